@@ -1,7 +1,8 @@
 /**
  * Scroll-triggered animations using Intersection Observer API
  * Implements performance-optimized reveal animations with stagger timing
- * and accessibility support for reduced motion preferences
+ * and accessibility support for reduced motion preferences. Horizontal reveals
+ * are mirrored in right-to-left documents.
  * 
  * @generated-from: task-id:TASK-007
  * @modifies: index.html
@@ -42,6 +43,8 @@
     ACTIVE: 'active',
   });
 
+  const HORIZONTAL_REVEALS = Object.freeze([ANIMATION_CLASSES.REVEAL_LEFT, ANIMATION_CLASSES.REVEAL_RIGHT]);
+
   // ============================================
   // Utility Functions
   // ============================================
@@ -100,6 +103,41 @@
     };
   }
 
+  /**
+   * Whether an element sits in right-to-left text
+   * @param {HTMLElement} element - Element to check
+   * @returns {boolean} True if the nearest dir attribute is rtl
+   */
+  function isRightToLeft(element) {
+    return element.closest('[dir]')?.getAttribute('dir') === 'rtl';
+  }
+
+  /**
+   * Mirror a horizontal reveal in right-to-left text, so "left" always means
+   * sliding in from the inline start
+   * @param {HTMLElement} element - Element to animate
+   * @param {string} animationClass - Authored reveal class
+   * @returns {string} Reveal class to apply
+   */
+  function getDirectionalClass(element, animationClass) {
+    if (!isRightToLeft(element)) {
+      return animationClass;
+    }
+    return animationClass === ANIMATION_CLASSES.REVEAL_LEFT
+      ? ANIMATION_CLASSES.REVEAL_RIGHT
+      : ANIMATION_CLASSES.REVEAL_LEFT;
+  }
+
+  /**
+   * Re-apply horizontal reveals after the text direction changed
+   */
+  function updateRevealDirections() {
+    document.querySelectorAll('[data-reveal]').forEach(element => {
+      element.classList.remove(...HORIZONTAL_REVEALS);
+      element.classList.add(getDirectionalClass(element, element.getAttribute('data-reveal')));
+    });
+  }
+
   // ============================================
   // Animation State Management
   // ============================================
@@ -219,8 +257,13 @@
   function prepareElement(element, animationClass, index) {
     if (!element) return;
 
-    // Add reveal class
-    element.classList.add(animationClass);
+    // Add reveal class, remembering horizontal ones so they can be mirrored later
+    if (HORIZONTAL_REVEALS.includes(animationClass)) {
+      element.setAttribute('data-reveal', animationClass);
+      element.classList.add(getDirectionalClass(element, animationClass));
+    } else {
+      element.classList.add(animationClass);
+    }
 
     // Calculate and set stagger delay
     const delay = index * CONFIG.STAGGER_DELAY;
@@ -485,6 +528,26 @@
     }
   }
 
+  /**
+   * Show every element still waiting for its reveal, so switching animations
+   * off part way down the page leaves nothing hidden
+   */
+  function revealPendingElements() {
+    const selector = [
+      ANIMATION_CLASSES.REVEAL,
+      ANIMATION_CLASSES.REVEAL_LEFT,
+      ANIMATION_CLASSES.REVEAL_RIGHT,
+      ANIMATION_CLASSES.REVEAL_SCALE,
+    ].map(className => `.${className}`).join(', ');
+
+    document.querySelectorAll(selector).forEach(element => {
+      if (!isAnimated(element)) {
+        animateElement(element);
+        markAsAnimated(element);
+      }
+    });
+  }
+
   /**
    * Handle reduced motion preference changes
    */
@@ -493,6 +556,7 @@
     
     if (shouldDisable && animationState.isInitialized) {
       cleanup();
+      revealPendingElements();
       log('info', 'Animations disabled due to motion preference change');
     } else if (!shouldDisable && !animationState.isInitialized) {
       init();
@@ -556,6 +620,9 @@
   // Handle page visibility changes
   document.addEventListener('visibilitychange', handleVisibilityChange);
 
+  // Mirror horizontal reveals when the locale switches text direction
+  document.addEventListener('localechange', updateRevealDirections);
+
   // Handle motion preference changes
   const motionMediaQuery = window.matchMedia('(prefers-reduced-motion: reduce)');
   if (motionMediaQuery.addEventListener) {
@@ -565,6 +632,12 @@
     motionMediaQuery.addListener(handleMotionPreferenceChange);
   }
 
+  // data-no-animations can also be toggled at runtime (js/command-palette.js)
+  new MutationObserver(handleMotionPreferenceChange).observe(document.body, {
+    attributes: true,
+    attributeFilter: ['data-no-animations'],
+  });
+
   // Cleanup on page unload
   window.addEventListener('beforeunload', cleanup);
 
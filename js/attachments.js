@@ -0,0 +1,374 @@
+/**
+ * Attachments - Drag-and-drop file attachments for forms
+ * Enhances input[type="file"][data-attachments] with a drop zone, a removable
+ * file list and client-side type, size and count limits. The selected files are
+ * added to the payload in the form controller's beforeSubmit hook, which makes
+ * the transport send the submission as multipart with upload progress.
+ *
+ * @modifies: index.html
+ * @dependencies: ["js/interactions.js", "css/components.css"]
+ */
+
+(function() {
+  'use strict';
+
+  // ============================================
+  // Configuration and Constants
+  // ============================================
+
+  const CONFIG = Object.freeze({
+    MAX_FILE_SIZE: 5 * 1024 * 1024,
+    MAX_TOTAL_SIZE: 10 * 1024 * 1024,
+    MAX_FILES: 3,
+  });
+
+  const ATTRIBUTES = Object.freeze({
+    MAX_FILE_SIZE: 'data-max-file-size',
+    MAX_TOTAL_SIZE: 'data-max-total-size',
+    MAX_FILES: 'data-max-files',
+  });
+
+  const SELECTORS = Object.freeze({
+    INPUTS: 'input[type="file"][data-attachments]',
+    DROPZONE: '.attachments-dropzone',
+    LIST: '.attachments-list',
+    NOTICE: '.attachments-notice',
+  });
+
+  const CLASSES = Object.freeze({
+    DRAGGING: 'is-dragging',
+  });
+
+  // ============================================
+  // Utility Functions
+  // ============================================
+
+  /**
+   * Log structured message to console
+   * @param {string} level - Log level (info, warn, error)
+   * @param {string} message - Log message
+   * @param {Object} context - Additional context
+   */
+  function log(level, message, context = {}) {
+    const timestamp = new Date().toISOString();
+    const logData = {
+      timestamp,
+      level,
+      message,
+      module: 'attachments',
+      ...context,
+    };
+
+    if (level === 'error') {
+      console.error('[Programming School - Attachments]', logData);
+    } else if (level === 'warn') {
+      console.warn('[Programming School - Attachments]', logData);
+    } else {
+      console.log('[Programming School - Attachments]', logData);
+    }
+  }
+
+  /**
+   * Translate a message through the shared catalogs (js/i18n.js)
+   * @param {string} key - Message key
+   * @param {Object} [params] - Interpolation values
+   * @returns {string} Translated message, or the key if i18n is unavailable
+   */
+  function t(key, params) {
+    const i18n = window.ProgrammingSchool?.i18n;
+    return i18n ? i18n.t(key, params) : key;
+  }
+
+  /**
+   * Format a byte count for display in the active locale
+   * @param {number} bytes - Size in bytes
+   * @returns {string} Human-readable size
+   */
+  function formatSize(bytes) {
+    const locale = window.ProgrammingSchool?.i18n?.getLocale() || 'en';
+    const [value, unit, digits] = bytes < 1024
+      ? [bytes, 'byte', 0]
+      : bytes < 1024 * 1024
+        ? [bytes / 1024, 'kilobyte', 0]
+        : [bytes / (1024 * 1024), 'megabyte', 1];
+
+    return new Intl.NumberFormat(locale, {
+      style: 'unit',
+      unit,
+      unitDisplay: 'short',
+      maximumFractionDigits: digits,
+      minimumFractionDigits: digits,
+    }).format(value);
+  }
+
+  /**
+   * Read a positive integer attribute
+   * @param {HTMLElement} element - Element
+   * @param {string} name - Attribute name
+   * @param {number} fallback - Value when missing or invalid
+   * @returns {number} Parsed value
+   */
+  function readNumber(element, name, fallback) {
+    const value = parseInt(element.getAttribute(name), 10);
+    return Number.isFinite(value) && value > 0 ? value : fallback;
+  }
+
+  /**
+   * Whether a file matches an accept attribute
+   * @param {File} file - File
+   * @param {string} accept - Comma-separated extensions and MIME types
+   * @returns {boolean} True if accepted (or no restriction)
+   */
+  function isAccepted(file, accept) {
+    const patterns = (accept || '').split(',').map(item => item.trim().toLowerCase()).filter(Boolean);
+
+    if (patterns.length === 0) {
+      return true;
+    }
+
+    const name = file.name.toLowerCase();
+    const type = (file.type || '').toLowerCase();
+
+    return patterns.some(pattern => {
+      if (pattern.startsWith('.')) {
+        return name.endsWith(pattern);
+      }
+      if (pattern.endsWith('/*')) {
+        return type.startsWith(pattern.slice(0, -1));
+      }
+      return type === pattern;
+    });
+  }
+
+  // ============================================
+  // Attachment Field
+  // ============================================
+
+  /**
+   * File selection for one input
+   */
+  class AttachmentField {
+    constructor(input) {
+      this.input = input;
+      this.files = [];
+      this.limits = {
+        maxFileSize: readNumber(input, ATTRIBUTES.MAX_FILE_SIZE, CONFIG.MAX_FILE_SIZE),
+        maxTotalSize: readNumber(input, ATTRIBUTES.MAX_TOTAL_SIZE, CONFIG.MAX_TOTAL_SIZE),
+        maxFiles: input.multiple ? readNumber(input, ATTRIBUTES.MAX_FILES, CONFIG.MAX_FILES) : 1,
+      };
+
+      this.formGroup = input.closest('.form-group') || input.parentElement;
+      this.dropzone = this.formGroup.querySelector(SELECTORS.DROPZONE) || input.parentElement;
+      this.list = this.formGroup.querySelector(SELECTORS.LIST);
+
+      this.init();
+    }
+
+    /**
+     * Initialize field
+     */
+    init() {
+      this.input.addEventListener('change', () => {
+        this.addFiles(Array.from(this.input.files));
+        // The list, not the input, is the source of truth; clearing allows re-adding a file
+        this.input.value = '';
+      });
+
+      this.dropzone.addEventListener('dragenter', event => this.handleDragOver(event));
+      this.dropzone.addEventListener('dragover', event => this.handleDragOver(event));
+      this.dropzone.addEventListener('dragleave', event => {
+        if (!this.dropzone.contains(event.relatedTarget)) {
+          this.dropzone.classList.remove(CLASSES.DRAGGING);
+        }
+      });
+      this.dropzone.addEventListener('drop', event => {
+        event.preventDefault();
+        this.dropzone.classList.remove(CLASSES.DRAGGING);
+        this.addFiles(Array.from(event.dataTransfer?.files || []));
+      });
+
+      this.input.form?.addEventListener('reset', () => {
+        this.files = [];
+        this.render();
+        this.showRejections([]);
+      });
+
+      this.registerHook();
+    }
+
+    /**
+     * Accept a drag over the drop zone
+     * @param {DragEvent} event - Drag event
+     */
+    handleDragOver(event) {
+      if (!Array.from(event.dataTransfer?.types || []).includes('Files')) {
+        return;
+      }
+
+      event.preventDefault();
+      event.dataTransfer.dropEffect = 'copy';
+      this.dropzone.classList.add(CLASSES.DRAGGING);
+    }
+
+    /**
+     * Add files that pass the limits and report the ones that do not
+     * @param {File[]} files - Candidate files
+     */
+    addFiles(files) {
+      const rejected = [];
+      const accept = this.input.getAttribute('accept');
+
+      files.forEach(file => {
+        const totalSize = this.files.reduce((sum, item) => sum + item.size, 0);
+        const duplicate = this.files.some(item => (
+          item.name === file.name && item.size === file.size && item.lastModified === file.lastModified
+        ));
+
+        if (duplicate) {
+          return;
+        }
+
+        if (!isAccepted(file, accept)) {
+          rejected.push(t('attachments.type', { name: file.name }));
+        } else if (file.size > this.limits.maxFileSize) {
+          rejected.push(t('attachments.fileSize', { name: file.name, size: formatSize(this.limits.maxFileSize) }));
+        } else if (this.files.length >= this.limits.maxFiles) {
+          rejected.push(t('attachments.count', { name: file.name, count: this.limits.maxFiles }));
+        } else if (totalSize + file.size > this.limits.maxTotalSize) {
+          rejected.push(t('attachments.totalSize', { name: file.name, size: formatSize(this.limits.maxTotalSize) }));
+        } else {
+          this.files.push(file);
+        }
+      });
+
+      this.render();
+      this.showRejections(rejected);
+
+      log('info', 'Attachments updated', {
+        field: this.input.name,
+        fileCount: this.files.length,
+        rejectedCount: rejected.length,
+      });
+    }
+
+    /**
+     * Remove a file and keep focus in the list
+     * @param {number} index - File index
+     */
+    removeFile(index) {
+      const [removed] = this.files.splice(index, 1);
+      this.render();
+      this.showRejections([]);
+
+      const buttons = this.list ? this.list.querySelectorAll('button') : [];
+      (buttons[Math.min(index, buttons.length - 1)] || this.input).focus();
+
+      log('info', 'Attachment removed', { name: removed?.name });
+    }
+
+    /**
+     * Show or clear the limit messages
+     * Rejected files are simply not attached, so this is a notice rather than
+     * a field error that would block the submission.
+     * @param {string[]} messages - Rejection messages
+     */
+    showRejections(messages) {
+      this.formGroup.querySelector(SELECTORS.NOTICE)?.remove();
+
+      if (messages.length === 0) {
+        return;
+      }
+
+      const notice = document.createElement('p');
+      notice.className = 'field-hint attachments-notice';
+      notice.setAttribute('role', 'alert');
+      notice.textContent = messages.join(' ');
+
+      this.formGroup.appendChild(notice);
+    }
+
+    /**
+     * Render the file list
+     */
+    render() {
+      if (!this.list) {
+        return;
+      }
+
+      this.list.replaceChildren(...this.files.map((file, index) => {
+        const item = document.createElement('li');
+        item.className = 'attachments-item';
+
+        const name = document.createElement('span');
+        name.className = 'attachments-name';
+        name.textContent = file.name;
+
+        const size = document.createElement('span');
+        size.className = 'attachments-size';
+        size.textContent = formatSize(file.size);
+
+        const removeButton = document.createElement('button');
+        removeButton.type = 'button';
+        removeButton.className = 'field-hint-action';
+        removeButton.textContent = t('attachments.remove');
+        removeButton.setAttribute('aria-label', t('attachments.removeFile', { name: file.name }));
+        removeButton.addEventListener('click', () => this.removeFile(index));
+
+        item.append(name, size, removeButton);
+        return item;
+      }));
+    }
+
+    /**
+     * Put the selected files into the submitted payload
+     */
+    registerHook() {
+      const forms = window.ProgrammingSchool?.forms;
+      const controller = this.input.form && forms?.getController(this.input.form);
+
+      if (!controller) {
+        log('warn', 'Form controller not found - attachments will not be sent', {
+          field: this.input.name,
+        });
+        return;
+      }
+
+      controller.addHook(forms.HOOKS.BEFORE_SUBMIT, context => {
+        // FormData holds the (cleared) native input, not the managed list
+        delete context.data[this.input.name];
+
+        if (this.files.length > 0) {
+          context.data[this.input.name] = this.files.slice();
+        }
+      });
+    }
+  }
+
+  // ============================================
+  // Initialization
+  // ============================================
+
+  /**
+   * Enhance every attachment input
+   */
+  function init() {
+    try {
+      const inputs = document.querySelectorAll(SELECTORS.INPUTS);
+      inputs.forEach(input => new AttachmentField(input));
+
+      log('info', 'Attachments initialized', { fieldCount: inputs.length });
+    } catch (error) {
+      log('error', 'Failed to initialize attachments', {
+        error: error.message,
+        stack: error.stack,
+      });
+    }
+  }
+
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', init);
+  } else {
+    init();
+  }
+
+})();
\ No newline at end of file
@@ -0,0 +1,274 @@
+/**
+ * Character Counter - Live length feedback for text fields
+ * Adds a counter to textareas with length rules and to any [data-character-counter]
+ * field. The limits come from the validation engine's rules (presets plus
+ * minlength/maxlength attributes), so the counter and the error messages always
+ * agree. The maximum is enforced natively and threshold changes are announced
+ * through a polite live region rather than on every keystroke.
+ *
+ * @modifies: index.html
+ * @dependencies: ["js/validation.js", "js/i18n.js", "css/components.css"]
+ */
+
+(function() {
+  'use strict';
+
+  // ============================================
+  // Configuration and Constants
+  // ============================================
+
+  const CONFIG = Object.freeze({
+    // Remaining share of the maximum at which the counter turns into a warning
+    WARNING_RATIO: 0.1,
+    WARNING_MIN_REMAINING: 10,
+  });
+
+  const SELECTORS = Object.freeze({
+    FIELDS: 'form textarea, [data-character-counter]',
+  });
+
+  const ATTRIBUTES = Object.freeze({
+    OPT_IN: 'data-character-counter',
+  });
+
+  const CLASSES = Object.freeze({
+    WARNING: 'is-warning',
+    OVER: 'is-over',
+  });
+
+  const STATUS = Object.freeze({
+    NEEDED: 'needed',
+    OK: 'ok',
+    WARNING: 'warning',
+    LIMIT: 'limit',
+    OVER: 'over',
+  });
+
+  // ============================================
+  // Utility Functions
+  // ============================================
+
+  /**
+   * Log structured message to console
+   * @param {string} level - Log level (info, warn, error)
+   * @param {string} message - Log message
+   * @param {Object} context - Additional context
+   */
+  function log(level, message, context = {}) {
+    const timestamp = new Date().toISOString();
+    const logData = {
+      timestamp,
+      level,
+      message,
+      module: 'character-counter',
+      ...context,
+    };
+
+    if (level === 'error') {
+      console.error('[Programming School - Character Counter]', logData);
+    } else if (level === 'warn') {
+      console.warn('[Programming School - Character Counter]', logData);
+    } else {
+      console.log('[Programming School - Character Counter]', logData);
+    }
+  }
+
+  /**
+   * Translate a message through the shared catalogs (js/i18n.js)
+   * @param {string} key - Message key
+   * @param {Object} [params] - Interpolation values
+   * @returns {string} Translated message, or the key if i18n is unavailable
+   */
+  function t(key, params) {
+    const i18n = window.ProgrammingSchool?.i18n;
+    return i18n ? i18n.t(key, params) : key;
+  }
+
+  // ============================================
+  // Character Counter
+  // ============================================
+
+  /**
+   * Counter for one field
+   */
+  class CharacterCounter {
+    constructor(field, rules) {
+      this.field = field;
+      this.minLength = rules.minLength || 0;
+      this.maxLength = rules.maxLength || 0;
+      this.status = null;
+
+      this.init();
+    }
+
+    /**
+     * Initialize counter
+     */
+    init() {
+      // Let the browser stop input at the same limit the engine validates
+      if (this.maxLength && !this.field.hasAttribute('maxlength')) {
+        this.field.maxLength = this.maxLength;
+      }
+
+      const id = `${this.field.id || this.field.name}-counter`;
+
+      this.counter = document.createElement('p');
+      this.counter.className = 'character-counter';
+      this.counter.id = id;
+
+      this.liveRegion = document.createElement('span');
+      this.liveRegion.className = 'sr-only';
+      this.liveRegion.setAttribute('aria-live', 'polite');
+
+      this.field.insertAdjacentElement('afterend', this.counter);
+      this.counter.insertAdjacentElement('afterend', this.liveRegion);
+
+      const describedBy = (this.field.getAttribute('aria-describedby') || '').split(/\s+/).filter(Boolean);
+      this.field.setAttribute('aria-describedby', [...describedBy, id].join(' '));
+
+      this.field.addEventListener('input', () => this.update());
+
+      // Reset fires before the fields are cleared
+      this.field.form?.addEventListener('reset', () => setTimeout(() => this.update({ announce: false }), 0));
+
+      document.addEventListener('localechange', () => this.update({ announce: false }));
+
+      this.update({ announce: false });
+    }
+
+    /**
+     * Length as the validation engine measures it
+     * @returns {number} Character count
+     */
+    getLength() {
+      return this.field.value.trim().length;
+    }
+
+    /**
+     * Where the current length sits relative to the limits
+     * @param {number} length - Character count
+     * @returns {string} Status (see STATUS)
+     */
+    getStatus(length) {
+      if (length > 0 && length < this.minLength) {
+        return STATUS.NEEDED;
+      }
+      if (!this.maxLength) {
+        return STATUS.OK;
+      }
+
+      const remaining = this.maxLength - length;
+      const warningAt = Math.max(CONFIG.WARNING_MIN_REMAINING, Math.floor(this.maxLength * CONFIG.WARNING_RATIO));
+
+      if (remaining < 0) {
+        return STATUS.OVER;
+      }
+      if (remaining === 0) {
+        return STATUS.LIMIT;
+      }
+      return remaining <= warningAt ? STATUS.WARNING : STATUS.OK;
+    }
+
+    /**
+     * Counter text for the current length
+     * @param {number} length - Character count
+     * @returns {string} Text
+     */
+    getText(length) {
+      if (length < this.minLength) {
+        return t('counter.needed', { count: this.minLength - length });
+      }
+      if (!this.maxLength) {
+        return t('counter.count', { count: length });
+      }
+      if (length > this.maxLength) {
+        return t('counter.over', { count: length - this.maxLength });
+      }
+      return t('counter.remaining', { count: this.maxLength - length });
+    }
+
+    /**
+     * Render the counter and announce threshold changes
+     * @param {Object} options - { announce } whether to announce status changes
+     */
+    update(options = {}) {
+      const { announce = true } = options;
+      const length = this.getLength();
+      const status = this.getStatus(length);
+
+      this.counter.textContent = this.getText(length);
+      this.counter.classList.toggle(CLASSES.WARNING, status === STATUS.WARNING || status === STATUS.LIMIT);
+      this.counter.classList.toggle(CLASSES.OVER, status === STATUS.OVER);
+
+      if (announce && status !== this.status) {
+        this.announce(status, length);
+      }
+
+      this.status = status;
+    }
+
+    /**
+     * Politely announce the status the field has just entered
+     * @param {string} status - New status
+     * @param {number} length - Character count
+     */
+    announce(status, length) {
+      let message = '';
+
+      if (status === STATUS.OK && this.status === STATUS.NEEDED) {
+        message = t('counter.minReached');
+      } else if (status === STATUS.WARNING || status === STATUS.OVER) {
+        message = this.getText(length);
+      } else if (status === STATUS.LIMIT) {
+        message = t('counter.limitReached');
+      }
+
+      this.liveRegion.textContent = message;
+    }
+  }
+
+  // ============================================
+  // Initialization
+  // ============================================
+
+  /**
+   * Add counters to every field with length rules
+   */
+  function init() {
+    try {
+      const engine = window.ProgrammingSchool?.validation;
+
+      if (!engine) {
+        log('warn', 'Validation engine not found - character counters disabled');
+        return;
+      }
+
+      let counterCount = 0;
+
+      document.querySelectorAll(SELECTORS.FIELDS).forEach(field => {
+        const rules = engine.getRules(field);
+
+        if (!rules.minLength && !rules.maxLength && !field.hasAttribute(ATTRIBUTES.OPT_IN)) {
+          return;
+        }
+
+        new CharacterCounter(field, rules);
+        counterCount += 1;
+      });
+
+      log('info', 'Character counters initialized', { counterCount });
+    } catch (error) {
+      log('error', 'Failed to initialize character counters', {
+        error: error.message,
+        stack: error.stack,
+      });
+    }
+  }
+
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', init);
+  } else {
+    init();
+  }
+
+})();
\ No newline at end of file
@@ -0,0 +1,855 @@
+/**
+ * Command Palette - Ctrl/Cmd+K quick navigation
+ * Lists the page sections, every course card and a few actions in a dialog
+ * with a fuzzy-filtered combobox. Arrow keys move through the results, Enter
+ * runs the active one and Escape closes the palette, returning focus to where
+ * it was. Sections and courses are reached through the router and scroll engine
+ * in js/main.js, so the URL, scroll offset and focus handling match a nav link.
+ * Other modules can add their own entries with registerCommand().
+ *
+ * @modifies: index.html
+ * @dependencies: ["js/main.js", "js/i18n.js", "js/mobile-nav.js", "css/components.css"]
+ */
+
+(function() {
+  'use strict';
+
+  // ============================================
+  // Configuration and Constants
+  // ============================================
+
+  const CONFIG = Object.freeze({
+    SHORTCUT_KEY: 'k',
+    // Wait for typing to pause before announcing the result count
+    ANNOUNCE_DELAY: 400,
+    ID_PREFIX: 'command-palette',
+  });
+
+  const SELECTORS = Object.freeze({
+    SECTIONS: 'main section[id]',
+    HEADING: 'h1, h2, h3, h4, h5, h6',
+    COURSE_CARDS: '.course-card',
+    COURSE_LINK: '[data-course]',
+    NEWSLETTER: '[data-newsletter]',
+    NEWSLETTER_EMAIL: 'input[type="email"]',
+    BACK_TO_TOP_TARGET: '#main',
+    OPTION: '[role="option"]',
+  });
+
+  const ATTRIBUTES = Object.freeze({
+    NO_ANIMATIONS: 'data-no-animations',
+    COMMAND: 'data-command',
+  });
+
+  const CLASSES = Object.freeze({
+    ACTIVE: 'is-active',
+  });
+
+  const GROUPS = Object.freeze({
+    SECTION: 'section',
+    COURSE: 'course',
+    ACTION: 'action',
+  });
+
+  // Catalog keys for the built-in group names; other groups are shown as given
+  const GROUP_LABELS = Object.freeze({
+    [GROUPS.SECTION]: 'palette.groupSection',
+    [GROUPS.COURSE]: 'palette.groupCourse',
+    [GROUPS.ACTION]: 'palette.groupAction',
+  });
+
+  // Characters after which a match counts as the start of a word
+  const WORD_SEPARATORS = Object.freeze([' ', '-', '_', '/', '&', '.']);
+
+  const SCORES = Object.freeze({
+    MATCH: 1,
+    CONSECUTIVE: 5,
+    WORD_START: 8,
+    // Subtracted per character skipped before the first match
+    LEADING_GAP: 0.1,
+    // Matches found only in keywords rank below any label match
+    KEYWORD_FACTOR: 0.5,
+  });
+
+  const state = {
+    commands: [],
+    results: [],
+    activeIndex: -1,
+    isOpen: false,
+    previousFocus: null,
+    announceTimeout: null,
+    elements: null,
+  };
+
+  // ============================================
+  // Utility Functions
+  // ============================================
+
+  /**
+   * Log structured message to console
+   * @param {string} level - Log level (info, warn, error)
+   * @param {string} message - Log message
+   * @param {Object} context - Additional context
+   */
+  function log(level, message, context = {}) {
+    const timestamp = new Date().toISOString();
+    const logData = {
+      timestamp,
+      level,
+      message,
+      module: 'command-palette',
+      ...context,
+    };
+
+    if (level === 'error') {
+      console.error('[Programming School - Command Palette]', logData);
+    } else if (level === 'warn') {
+      console.warn('[Programming School - Command Palette]', logData);
+    } else {
+      console.log('[Programming School - Command Palette]', logData);
+    }
+  }
+
+  /**
+   * Translate a message through the shared catalogs (js/i18n.js)
+   * @param {string} key - Message key
+   * @param {Object} [params] - Interpolation values
+   * @returns {string} Translated message, or the key if i18n is unavailable
+   */
+  function t(key, params) {
+    const i18n = window.ProgrammingSchool?.i18n;
+    return i18n ? i18n.t(key, params) : key;
+  }
+
+  /**
+   * Create an element with a class and optional text
+   * @param {string} tag - Tag name
+   * @param {string} [className] - Class name
+   * @param {string} [text] - Text content
+   * @returns {HTMLElement} Element
+   */
+  function createElement(tag, className, text) {
+    const element = document.createElement(tag);
+    if (className) {
+      element.className = className;
+    }
+    if (text) {
+      element.textContent = text;
+    }
+    return element;
+  }
+
+  /**
+   * Collapse the whitespace in an element's text
+   * @param {Element|null} element - Element
+   * @returns {string} Text
+   */
+  function getText(element) {
+    return element ? element.textContent.replace(/\s+/g, ' ').trim() : '';
+  }
+
+  // ============================================
+  // Fuzzy Search
+  // ============================================
+
+  /**
+   * Split text into comparable characters
+   * Accents are dropped so "programacion" finds "Programación".
+   * @param {string} text - Text
+   * @returns {string[]} One lower-cased entry per character of the text
+   */
+  function foldCharacters(text) {
+    return Array.from(text).map(character => (
+      character.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase()
+    ));
+  }
+
+  /**
+   * Match a query against text as an in-order subsequence
+   * Consecutive characters and characters that start a word score higher, so
+   * "js" ranks "JavaScript Fundamentals" above "Projects".
+   * @param {string[]} query - Folded query characters, without spaces
+   * @param {string} text - Text to search
+   * @returns {Object|null} { score, indices } or null if the text does not match
+   */
+  function fuzzyMatch(query, text) {
+    const characters = foldCharacters(text);
+    const indices = [];
+    let score = 0;
+    let position = 0;
+
+    for (const queryCharacter of query) {
+      while (position < characters.length && characters[position] !== queryCharacter) {
+        position += 1;
+      }
+
+      if (position === characters.length) {
+        return null;
+      }
+
+      score += SCORES.MATCH;
+
+      if (indices.length && indices[indices.length - 1] === position - 1) {
+        score += SCORES.CONSECUTIVE;
+      }
+
+      if (position === 0 || WORD_SEPARATORS.includes(characters[position - 1])) {
+        score += SCORES.WORD_START;
+      }
+
+      indices.push(position);
+      position += 1;
+    }
+
+    score -= (indices[0] || 0) * SCORES.LEADING_GAP;
+
+    return { score, indices };
+  }
+
+  /**
+   * Commands matching a query, best first
+   * @param {string} query - Search text
+   * @returns {Array<{command: Object, label: string, indices: number[]}>} Results
+   */
+  function search(query) {
+    const folded = foldCharacters(query).filter(character => character.trim());
+
+    const results = state.commands.map((command, order) => {
+      const label = getLabel(command);
+
+      if (!folded.length) {
+        return { command, label, indices: [], score: 0, order };
+      }
+
+      const labelMatch = fuzzyMatch(folded, label);
+      if (labelMatch) {
+        return { command, label, ...labelMatch, order };
+      }
+
+      const keywordMatch = fuzzyMatch(folded, command.keywords.join(' '));
+      if (keywordMatch) {
+        return { command, label, indices: [], score: keywordMatch.score * SCORES.KEYWORD_FACTOR, order };
+      }
+
+      return null;
+    });
+
+    // Ties keep registration order: sections, then courses, then actions
+    return results
+      .filter(Boolean)
+      .sort((a, b) => b.score - a.score || a.order - b.order);
+  }
+
+  // ============================================
+  // Commands
+  // ============================================
+
+  /**
+   * Label of a command in the current locale
+   * @param {Object} command - Command
+   * @returns {string} Label
+   */
+  function getLabel(command) {
+    return typeof command.label === 'function' ? command.label() : command.label;
+  }
+
+  /**
+   * Add an entry to the palette
+   * @param {Object} command - { id, label (string or function), group, keywords, run }
+   * @returns {Function} Removes the command again
+   */
+  function registerCommand(command) {
+    if (!command || !command.id || !command.label || typeof command.run !== 'function') {
+      log('warn', 'Invalid command ignored', { id: command?.id });
+      return () => {};
+    }
+
+    const entry = {
+      group: GROUPS.ACTION,
+      keywords: [],
+      ...command,
+    };
+
+    unregisterCommand(entry.id);
+    state.commands.push(entry);
+
+    if (state.isOpen) {
+      render();
+    }
+
+    return () => unregisterCommand(entry.id);
+  }
+
+  /**
+   * Remove an entry from the palette
+   * @param {string} id - Command id
+   */
+  function unregisterCommand(id) {
+    state.commands = state.commands.filter(command => command.id !== id);
+  }
+
+  /**
+   * Focus an element after jumping to it, for when js/main.js is not loaded
+   * @param {HTMLElement} element - Target
+   * @returns {Promise<boolean>} Resolves true
+   */
+  function jumpToElement(element) {
+    element.scrollIntoView();
+    element.setAttribute('tabindex', '-1');
+    element.focus({ preventScroll: true });
+    return Promise.resolve(true);
+  }
+
+  /**
+   * Scroll to an element through the shared scroll engine
+   * @param {HTMLElement} element - Target
+   * @param {Object} [options] - Passed to scrollToSection
+   * @returns {Promise<boolean>} Resolves true once the element is reached
+   */
+  function scrollToElement(element, options) {
+    const scroll = window.ProgrammingSchool?.scroll;
+    return scroll ? scroll.scrollToSection(element, options) : jumpToElement(element);
+  }
+
+  /**
+   * Go to a page section, adding a history entry like a nav link
+   * @param {HTMLElement} section - Section element
+   */
+  function goToSection(section) {
+    const router = window.ProgrammingSchool?.router;
+
+    if (router) {
+      router.navigate(section.id);
+    } else {
+      jumpToElement(section);
+    }
+  }
+
+  /**
+   * Focus the newsletter signup, in the footer by default
+   */
+  function goToNewsletter() {
+    const mount = document.querySelector(SELECTORS.NEWSLETTER);
+
+    scrollToElement(mount, { focus: false }).then(completed => {
+      if (completed) {
+        mount.querySelector(SELECTORS.NEWSLETTER_EMAIL)?.focus({ preventScroll: true });
+      }
+    });
+  }
+
+  /**
+   * Switch scroll-triggered animations and animated scrolling on or off
+   * Other modules read the same data-no-animations attribute, so the
+   * change applies without a reload.
+   */
+  function toggleAnimations() {
+    const disabled = !document.body.hasAttribute(ATTRIBUTES.NO_ANIMATIONS);
+
+    document.body.toggleAttribute(ATTRIBUTES.NO_ANIMATIONS, disabled);
+    announce(t(disabled ? 'palette.animationsOff' : 'palette.animationsOn'));
+
+    log('info', 'Animations toggled', { disabled });
+  }
+
+  /**
+   * Register the page sections, course cards and built-in actions
+   */
+  function registerDefaultCommands() {
+    document.querySelectorAll(SELECTORS.SECTIONS).forEach(section => {
+      const labelledBy = section.getAttribute('aria-labelledby');
+      const heading = (labelledBy && document.getElementById(labelledBy)) || section.querySelector(SELECTORS.HEADING);
+
+      registerCommand({
+        id: `section:${section.id}`,
+        label: () => getText(heading) || section.id,
+        group: GROUPS.SECTION,
+        keywords: [section.id],
+        run: () => goToSection(section),
+      });
+    });
+
+    document.querySelectorAll(SELECTORS.COURSE_CARDS).forEach((card, index) => {
+      const heading = card.querySelector(SELECTORS.HEADING);
+      const course = card.querySelector(SELECTORS.COURSE_LINK)?.getAttribute('data-course');
+
+      registerCommand({
+        id: `course:${course || index + 1}`,
+        label: () => getText(heading),
+        group: GROUPS.COURSE,
+        keywords: course ? [course] : [],
+        run: () => scrollToElement(card),
+      });
+    });
+
+    const contact = document.getElementById('contact');
+    if (contact) {
+      registerCommand({
+        id: 'action:contact',
+        label: () => t('palette.contact'),
+        keywords: ['admissions', 'email', 'message'],
+        run: () => goToSection(contact),
+      });
+    }
+
+    if (document.querySelector(SELECTORS.NEWSLETTER)) {
+      registerCommand({
+        id: 'action:newsletter',
+        label: () => t('palette.newsletter'),
+        keywords: ['newsletter', 'subscribe', 'email'],
+        run: goToNewsletter,
+      });
+    }
+
+    const top = document.querySelector(SELECTORS.BACK_TO_TOP_TARGET);
+    if (top) {
+      registerCommand({
+        id: 'action:top',
+        label: () => t('palette.backToTop'),
+        keywords: ['top', 'start', 'home'],
+        run: () => scrollToElement(top),
+      });
+    }
+
+    registerCommand({
+      id: 'action:animations',
+      label: () => t('palette.toggleAnimations'),
+      keywords: ['motion', 'animations', 'reduce'],
+      run: toggleAnimations,
+    });
+  }
+
+  // ============================================
+  // Rendering
+  // ============================================
+
+  /**
+   * Build the dialog and the live region that announces results
+   * @returns {Object} Palette elements
+   */
+  function createPalette() {
+    const root = createElement('div', 'command-palette');
+    const overlay = createElement('div', 'command-palette-overlay');
+    const dialog = createElement('div', 'command-palette-dialog');
+    const field = createElement('div', 'command-palette-field');
+    const icon = createElement('i', 'fas fa-search');
+    const input = createElement('input', 'command-palette-input');
+    const list = createElement('ul', 'command-palette-list');
+    const empty = createElement('p', 'command-palette-empty');
+    const status = createElement('p', 'sr-only');
+    const listId = `${CONFIG.ID_PREFIX}-list`;
+
+    root.hidden = true;
+    overlay.setAttribute('aria-hidden', 'true');
+
+    dialog.setAttribute('role', 'dialog');
+    dialog.setAttribute('aria-modal', 'true');
+
+    icon.setAttribute('aria-hidden', 'true');
+
+    input.type = 'text';
+    input.id = `${CONFIG.ID_PREFIX}-input`;
+    input.autocomplete = 'off';
+    input.spellcheck = false;
+    input.setAttribute('role', 'combobox');
+    input.setAttribute('aria-autocomplete', 'list');
+    input.setAttribute('aria-expanded', 'false');
+    input.setAttribute('aria-controls', listId);
+
+    list.id = listId;
+    list.setAttribute('role', 'listbox');
+
+    empty.hidden = true;
+
+    // Kept outside the dialog so announcements survive the palette closing
+    status.setAttribute('role', 'status');
+
+    field.append(icon, input);
+    dialog.append(field, list, empty);
+    root.append(overlay, dialog);
+    document.body.append(root, status);
+
+    return { root, overlay, dialog, input, list, empty, status };
+  }
+
+  /**
+   * Apply the translated labels to the palette chrome
+   */
+  function applyLabels() {
+    const { dialog, input, list } = state.elements;
+
+    dialog.setAttribute('aria-label', t('palette.label'));
+    input.setAttribute('aria-label', t('palette.label'));
+    input.placeholder = t('palette.placeholder');
+    list.setAttribute('aria-label', t('palette.label'));
+  }
+
+  /**
+   * Build a label with the matched characters highlighted
+   * @param {string} label - Label text
+   * @param {number[]} indices - Matched character positions
+   * @returns {HTMLElement} Label element
+   */
+  function renderLabel(label, indices) {
+    const element = createElement('span', 'command-palette-label');
+    const matched = new Set(indices);
+    let run = '';
+    let runMatched = false;
+
+    const flush = () => {
+      if (run) {
+        element.appendChild(runMatched ? createElement('mark', null, run) : document.createTextNode(run));
+      }
+      run = '';
+    };
+
+    Array.from(label).forEach((character, index) => {
+      const isMatch = matched.has(index);
+      if (isMatch !== runMatched) {
+        flush();
+        runMatched = isMatch;
+      }
+      run += character;
+    });
+    flush();
+
+    return element;
+  }
+
+  /**
+   * Filter the commands for the current input and redraw the list
+   */
+  function render() {
+    const { input, list, empty } = state.elements;
+
+    state.results = search(input.value);
+    list.replaceChildren();
+
+    state.results.forEach((result, index) => {
+      const option = createElement('li', 'command-palette-option');
+      const group = result.command.group;
+
+      option.id = `${CONFIG.ID_PREFIX}-option-${index}`;
+      option.setAttribute('role', 'option');
+      option.setAttribute('aria-selected', 'false');
+      option.setAttribute(ATTRIBUTES.COMMAND, result.command.id);
+
+      option.append(
+        renderLabel(result.label, result.indices),
+        createElement('span', 'command-palette-group', GROUP_LABELS[group] ? t(GROUP_LABELS[group]) : group)
+      );
+
+      list.appendChild(option);
+    });
+
+    const hasResults = state.results.length > 0;
+
+    list.hidden = !hasResults;
+    empty.hidden = hasResults;
+    empty.textContent = hasResults ? '' : t('palette.empty', { query: input.value.trim() });
+    input.setAttribute('aria-expanded', String(hasResults));
+
+    setActive(hasResults ? 0 : -1);
+    scheduleAnnouncement();
+  }
+
+  /**
+   * Mark a result as the active option
+   * Focus stays in the input; aria-activedescendant points at the option.
+   * @param {number} index - Result index, or -1 for none
+   */
+  function setActive(index) {
+    const { input, list } = state.elements;
+    const options = list.querySelectorAll(SELECTORS.OPTION);
+
+    state.activeIndex = index;
+
+    options.forEach((option, optionIndex) => {
+      const isActive = optionIndex === index;
+      option.classList.toggle(CLASSES.ACTIVE, isActive);
+      option.setAttribute('aria-selected', String(isActive));
+    });
+
+    const active = options[index];
+
+    if (active) {
+      input.setAttribute('aria-activedescendant', active.id);
+      active.scrollIntoView?.({ block: 'nearest' });
+    } else {
+      input.removeAttribute('aria-activedescendant');
+    }
+  }
+
+  /**
+   * Move the active option, wrapping at either end
+   * @param {number} step - 1 for the next option, -1 for the previous one
+   */
+  function moveActive(step) {
+    const count = state.results.length;
+
+    if (count) {
+      setActive((state.activeIndex + step + count) % count);
+    }
+  }
+
+  /**
+   * Announce a message through the live region
+   * @param {string} message - Message
+   */
+  function announce(message) {
+    clearTimeout(state.announceTimeout);
+    state.elements.status.textContent = message;
+  }
+
+  /**
+   * Announce the result count once typing pauses
+   */
+  function scheduleAnnouncement() {
+    clearTimeout(state.announceTimeout);
+
+    state.announceTimeout = setTimeout(() => {
+      if (state.isOpen) {
+        state.elements.status.textContent = t('palette.results', { count: state.results.length });
+      }
+    }, CONFIG.ANNOUNCE_DELAY);
+  }
+
+  // ============================================
+  // Open and Close
+  // ============================================
+
+  /**
+   * Open the palette and move focus to the search input
+   * @returns {boolean} True if the palette opened
+   */
+  function open() {
+    if (!state.elements || state.isOpen) {
+      return false;
+    }
+
+    // Close the drawer first so focus returns to its toggle, which is then
+    // where the palette sends it back
+    window.ProgrammingSchool?.mobileNav?.close();
+
+    state.isOpen = true;
+    state.previousFocus = document.activeElement;
+
+    const { root, input } = state.elements;
+
+    input.value = '';
+    render();
+
+    root.hidden = false;
+    // Shared with the drawer (js/mobile-nav.js) so neither unlocks the other
+    window.ProgrammingSchool?.scrollLock?.lock();
+    input.focus();
+
+    log('info', 'Command palette opened');
+    return true;
+  }
+
+  /**
+   * Close the palette
+   * @param {Object} options - { restoreFocus } whether focus returns to where it was before opening
+   * @returns {boolean} True if the palette closed
+   */
+  function close(options = {}) {
+    const { restoreFocus = true } = options;
+
+    if (!state.isOpen) {
+      return false;
+    }
+
+    const { root, input } = state.elements;
+
+    state.isOpen = false;
+    root.hidden = true;
+    input.setAttribute('aria-expanded', 'false');
+    input.removeAttribute('aria-activedescendant');
+    window.ProgrammingSchool?.scrollLock?.unlock();
+    clearTimeout(state.announceTimeout);
+
+    if (restoreFocus && state.previousFocus?.isConnected) {
+      state.previousFocus.focus({ preventScroll: true });
+    }
+    state.previousFocus = null;
+
+    log('info', 'Command palette closed', { restoreFocus });
+    return true;
+  }
+
+  /**
+   * Run a result's command
+   * Focus moves to wherever the command leads rather than back to the page.
+   * @param {number} index - Result index
+   */
+  function select(index) {
+    const result = state.results[index];
+
+    if (!result) {
+      return;
+    }
+
+    close({ restoreFocus: false });
+
+    try {
+      result.command.run();
+      log('info', 'Command run', { id: result.command.id });
+    } catch (error) {
+      log('error', 'Command failed', {
+        id: result.command.id,
+        error: error.message,
+      });
+    }
+  }
+
+  // ============================================
+  // Event Handlers
+  // ============================================
+
+  /**
+   * Toggle the palette on Ctrl+K (Cmd+K on macOS)
+   * @param {KeyboardEvent} event - Keydown event
+   */
+  function handleShortcut(event) {
+    const isShortcut = (event.ctrlKey || event.metaKey) &&
+      !event.altKey &&
+      !event.shiftKey &&
+      event.key?.toLowerCase() === CONFIG.SHORTCUT_KEY;
+
+    if (!isShortcut || event.defaultPrevented) {
+      return;
+    }
+
+    event.preventDefault();
+
+    if (state.isOpen) {
+      close();
+    } else {
+      open();
+    }
+  }
+
+  /**
+   * Combobox keyboard handling
+   * @param {KeyboardEvent} event - Keydown event
+   */
+  function handleInputKeydown(event) {
+    switch (event.key) {
+      case 'ArrowDown':
+        event.preventDefault();
+        moveActive(1);
+        break;
+      case 'ArrowUp':
+        event.preventDefault();
+        moveActive(-1);
+        break;
+      case 'Enter':
+        // The scroll engine cancels on keydown, so the key that starts a
+        // scroll must not reach it
+        event.preventDefault();
+        event.stopPropagation();
+        select(state.activeIndex);
+        break;
+      case 'Escape':
+        event.preventDefault();
+        close();
+        break;
+      case 'Tab':
+        // The input is the only stop inside the modal dialog
+        event.preventDefault();
+        break;
+      default:
+        break;
+    }
+  }
+
+  /**
+   * Follow the pointer over the options
+   * @param {MouseEvent} event - Mousemove event
+   */
+  function handleListPointer(event) {
+    const option = event.target.closest(SELECTORS.OPTION);
+    const index = option ? Array.from(state.elements.list.children).indexOf(option) : -1;
+
+    if (index !== -1 && index !== state.activeIndex) {
+      setActive(index);
+    }
+  }
+
+  /**
+   * Run the clicked option
+   * @param {MouseEvent} event - Click event
+   */
+  function handleListClick(event) {
+    const option = event.target.closest(SELECTORS.OPTION);
+
+    if (option) {
+      select(Array.from(state.elements.list.children).indexOf(option));
+    }
+  }
+
+  // ============================================
+  // Initialization
+  // ============================================
+
+  /**
+   * Build the palette, register the default commands and listen for the shortcut
+   */
+  function init() {
+    try {
+      state.elements = createPalette();
+      applyLabels();
+      registerDefaultCommands();
+
+      const { input, list, overlay } = state.elements;
+
+      input.addEventListener('input', render);
+      input.addEventListener('keydown', handleInputKeydown);
+
+      // Keep focus in the input while the pointer picks an option
+      list.addEventListener('mousedown', event => event.preventDefault());
+      list.addEventListener('mousemove', handleListPointer);
+      list.addEventListener('click', handleListClick);
+
+      overlay.addEventListener('click', () => close());
+
+      document.addEventListener('keydown', handleShortcut);
+
+      document.addEventListener('localechange', () => {
+        applyLabels();
+        if (state.isOpen) {
+          render();
+        }
+      });
+
+      log('info', 'Command palette initialized', { commandCount: state.commands.length });
+    } catch (error) {
+      log('error', 'Failed to initialize command palette', {
+        error: error.message,
+        stack: error.stack,
+      });
+    }
+  }
+
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', init);
+  } else {
+    init();
+  }
+
+  // ============================================
+  // Public API
+  // ============================================
+
+  window.ProgrammingSchool = window.ProgrammingSchool || {};
+  window.ProgrammingSchool.commandPalette = Object.freeze({
+    version: '1.0.0',
+    GROUPS,
+    open,
+    close,
+    isOpen: () => state.isOpen,
+    registerCommand,
+  });
+
+})();
\ No newline at end of file
@@ -0,0 +1,509 @@
+/**
+ * Confirmation - Post-submission receipt for forms
+ * Replaces a [data-confirmation] form with a confirmation panel once the
+ * submission succeeds: a reference number (from the server, or generated
+ * locally), a summary of the submitted details, next steps and, when a course
+ * was chosen, a downloadable .ics invite for a free info session. "Send another
+ * message" brings the form back.
+ *
+ * @modifies: index.html
+ * @dependencies: ["js/interactions.js", "js/validation.js", "js/i18n.js", "css/components.css"]
+ */
+
+(function() {
+  'use strict';
+
+  // ============================================
+  // Configuration and Constants
+  // ============================================
+
+  const CONFIG = Object.freeze({
+    REFERENCE_PREFIX: 'PS',
+    // Info sessions run weekly; times are UTC and shown in the visitor's time zone
+    INFO_SESSION_WEEKDAY: 3,
+    INFO_SESSION_HOUR_UTC: 17,
+    INFO_SESSION_DURATION: 60 * 60 * 1000,
+    INFO_SESSION_MIN_LEAD: 2 * 24 * 60 * 60 * 1000,
+    ICS_FILENAME: 'programming-school-info-session.ics',
+  });
+
+  const ATTRIBUTES = Object.freeze({
+    COURSE_FIELD: 'data-confirmation-course',
+  });
+
+  const SELECTORS = Object.freeze({
+    FORMS: 'form[data-confirmation]',
+    SUBMIT_BUTTON: 'button[type="submit"]',
+    FIELDS: 'input, select, textarea',
+    PANEL: '.confirmation-panel',
+  });
+
+  // Outcomes that look successful to the visitor. 'rejected' is only used for
+  // suspected bots (js/spam-protection.js), which must not learn they were
+  // caught; rate-limited visitors get 'blocked' and are told to wait instead
+  const CONFIRMED_OUTCOMES = Object.freeze(['success', 'rejected']);
+
+  // Never shown back, even though they are part of the payload
+  const SKIPPED_TYPES = Object.freeze(['hidden', 'password', 'submit', 'button', 'reset']);
+
+  // ============================================
+  // Utility Functions
+  // ============================================
+
+  /**
+   * Log structured message to console
+   * @param {string} level - Log level (info, warn, error)
+   * @param {string} message - Log message
+   * @param {Object} context - Additional context
+   */
+  function log(level, message, context = {}) {
+    const timestamp = new Date().toISOString();
+    const logData = {
+      timestamp,
+      level,
+      message,
+      module: 'confirmation',
+      ...context,
+    };
+
+    if (level === 'error') {
+      console.error('[Programming School - Confirmation]', logData);
+    } else if (level === 'warn') {
+      console.warn('[Programming School - Confirmation]', logData);
+    } else {
+      console.log('[Programming School - Confirmation]', logData);
+    }
+  }
+
+  /**
+   * Translate a message through the shared catalogs (js/i18n.js)
+   * @param {string} key - Message key
+   * @param {Object} [params] - Interpolation values
+   * @returns {string} Translated message, or the key if i18n is unavailable
+   */
+  function t(key, params) {
+    const i18n = window.ProgrammingSchool?.i18n;
+    return i18n ? i18n.t(key, params) : key;
+  }
+
+  /**
+   * Visible text of an element, whitespace collapsed
+   * @param {Element} element - Element
+   * @returns {string} Text
+   */
+  function getText(element) {
+    return element ? element.textContent.replace(/\s+/g, ' ').trim() : '';
+  }
+
+  /**
+   * Generate a reference when the server did not return one
+   * @returns {string} Reference such as "PS-LX2F9K-7Q3M"
+   */
+  function createLocalReference() {
+    const alphabet = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+    const bytes = new Uint8Array(4);
+
+    if (window.crypto?.getRandomValues) {
+      window.crypto.getRandomValues(bytes);
+    } else {
+      bytes.forEach((_, index) => {
+        bytes[index] = Math.floor(Math.random() * 256);
+      });
+    }
+
+    const suffix = Array.from(bytes, byte => alphabet[byte % alphabet.length]).join('');
+    return `${CONFIG.REFERENCE_PREFIX}-${Date.now().toString(36).toUpperCase()}-${suffix}`;
+  }
+
+  /**
+   * Reference number from the server response, if it sent one
+   * @param {Object|null} result - Transport result
+   * @returns {string|null} Reference
+   */
+  function getServerReference(result) {
+    const body = result?.data;
+
+    if (!body || typeof body !== 'object') {
+      return null;
+    }
+
+    const reference = body.reference ?? body.referenceId ?? body.id;
+    return reference === undefined || reference === null ? null : String(reference);
+  }
+
+  // ============================================
+  // Calendar Invite
+  // ============================================
+
+  /**
+   * Start of the next info session, at least the minimum lead time away
+   * @param {number} [now] - Current time
+   * @returns {Date} Session start
+   */
+  function getNextInfoSession(now = Date.now()) {
+    const start = new Date(now + CONFIG.INFO_SESSION_MIN_LEAD);
+    start.setUTCHours(CONFIG.INFO_SESSION_HOUR_UTC, 0, 0, 0);
+
+    while (start.getUTCDay() !== CONFIG.INFO_SESSION_WEEKDAY || start.getTime() < now + CONFIG.INFO_SESSION_MIN_LEAD) {
+      start.setUTCDate(start.getUTCDate() + 1);
+    }
+
+    return start;
+  }
+
+  /**
+   * Format a date as an iCalendar UTC timestamp
+   * @param {Date} date - Date
+   * @returns {string} e.g. 20260101T170000Z
+   */
+  function formatICSDate(date) {
+    return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+  }
+
+  /**
+   * Escape text for an iCalendar property value
+   * @param {string} value - Text
+   * @returns {string} Escaped text
+   */
+  function escapeICSText(value) {
+    return String(value)
+      .replace(/\\/g, '\\\\')
+      .replace(/;/g, '\\;')
+      .replace(/,/g, '\\,')
+      .replace(/\r?\n/g, '\\n');
+  }
+
+  /**
+   * Fold a content line to 75 characters as iCalendar requires
+   * @param {string} line - Content line
+   * @returns {string} Folded line
+   */
+  function foldICSLine(line) {
+    const parts = [line.slice(0, 75)];
+
+    // Continuation lines start with a space, leaving room for 74 characters
+    for (let index = 75; index < line.length; index += 74) {
+      parts.push(line.slice(index, index + 74));
+    }
+
+    return parts.join('\r\n ');
+  }
+
+  /**
+   * Build an .ics invite for an info session
+   * @param {Object} session - { reference, course, start }
+   * @returns {string} iCalendar document
+   */
+  function createInfoSessionICS({ reference, course, start }) {
+    const end = new Date(start.getTime() + CONFIG.INFO_SESSION_DURATION);
+
+    const lines = [
+      'BEGIN:VCALENDAR',
+      'VERSION:2.0',
+      'PRODID:-//Programming School//Info Sessions//EN',
+      'CALSCALE:GREGORIAN',
+      'METHOD:PUBLISH',
+      'BEGIN:VEVENT',
+      `UID:${reference}@programming-school`,
+      `DTSTAMP:${formatICSDate(new Date())}`,
+      `DTSTART:${formatICSDate(start)}`,
+      `DTEND:${formatICSDate(end)}`,
+      `SUMMARY:${escapeICSText(t('confirmation.sessionTitle', { course }))}`,
+      `DESCRIPTION:${escapeICSText(t('confirmation.sessionDescription', { course, reference }))}`,
+      `LOCATION:${escapeICSText(t('confirmation.sessionLocation'))}`,
+      'END:VEVENT',
+      'END:VCALENDAR',
+    ];
+
+    return `${lines.map(foldICSLine).join('\r\n')}\r\n`;
+  }
+
+  // ============================================
+  // Summary
+  // ============================================
+
+  /**
+   * Human-readable value of a submitted field
+   * @param {HTMLFormElement} form - Form element
+   * @param {HTMLElement} field - First field with the name
+   * @param {*} value - Submitted value
+   * @returns {string} Display value, empty if not answered
+   */
+  function describeValue(form, field, value) {
+    if (Array.isArray(value)) {
+      return value.map(item => (item instanceof Blob && item.name) || String(item)).join(', ');
+    }
+    if (field.type === 'radio') {
+      const checked = form.querySelector(`input[name="${CSS.escape(field.name)}"]:checked`);
+      return checked ? getText(checked.closest('label')) : String(value);
+    }
+    if (field.type === 'checkbox') {
+      return value ? t('confirmation.yes') : '';
+    }
+    if (field.tagName === 'SELECT') {
+      return getText(Array.from(field.options).find(option => option.value === value)) || String(value);
+    }
+    return String(value ?? '').trim();
+  }
+
+  /**
+   * Label/value pairs for the submitted fields, in form order
+   * @param {HTMLFormElement} form - Form element
+   * @param {Object} data - Submitted payload
+   * @returns {Object[]} Entries { label, value }
+   */
+  function summarise(form, data) {
+    const engine = window.ProgrammingSchool?.validation;
+    const seen = new Set();
+    const entries = [];
+
+    form.querySelectorAll(SELECTORS.FIELDS).forEach(field => {
+      if (!field.name || seen.has(field.name) || !(field.name in data)) {
+        return;
+      }
+      seen.add(field.name);
+
+      if (SKIPPED_TYPES.includes(field.type) || field.hasAttribute('data-honeypot')) {
+        return;
+      }
+
+      const value = describeValue(form, field, data[field.name]);
+      if (value) {
+        entries.push({
+          label: engine ? engine.getFieldLabel(field) : field.name,
+          value,
+        });
+      }
+    });
+
+    return entries;
+  }
+
+  // ============================================
+  // Confirmation Panel
+  // ============================================
+
+  /**
+   * Build the confirmation panel
+   * @param {HTMLFormElement} form - Form element
+   * @param {Object} details - { reference, data, course }
+   * @returns {HTMLElement} Panel
+   */
+  function createPanel(form, { reference, data, course }) {
+    const titleId = `${form.id || 'form'}-confirmation-title`;
+
+    const panel = document.createElement('section');
+    panel.className = 'confirmation-panel';
+    panel.setAttribute('tabindex', '-1');
+    panel.setAttribute('aria-labelledby', titleId);
+
+    const title = document.createElement('h3');
+    title.id = titleId;
+    title.className = 'confirmation-title';
+    title.textContent = data.name
+      ? t('confirmation.titleNamed', { name: String(data.name).trim().split(/\s+/)[0] })
+      : t('confirmation.title');
+
+    const referenceLine = document.createElement('p');
+    referenceLine.className = 'confirmation-reference';
+    const referenceValue = document.createElement('strong');
+    referenceValue.textContent = reference;
+    referenceLine.append(`${t('confirmation.reference')} `, referenceValue);
+
+    panel.append(title, referenceLine);
+
+    const entries = summarise(form, data);
+    if (entries.length > 0) {
+      const summaryTitle = document.createElement('h4');
+      summaryTitle.textContent = t('confirmation.summaryTitle');
+
+      const list = document.createElement('dl');
+      list.className = 'confirmation-summary';
+      entries.forEach(({ label, value }) => {
+        const term = document.createElement('dt');
+        term.textContent = label;
+        const detail = document.createElement('dd');
+        detail.textContent = value;
+        list.append(term, detail);
+      });
+
+      panel.append(summaryTitle, list);
+    }
+
+    const nextTitle = document.createElement('h4');
+    nextTitle.textContent = t('confirmation.nextTitle');
+
+    const nextSteps = document.createElement('ol');
+    nextSteps.className = 'confirmation-next';
+    ['confirmation.nextReply', 'confirmation.nextReference'].forEach(key => {
+      const item = document.createElement('li');
+      item.textContent = t(key, { email: data.email || '', reference });
+      nextSteps.appendChild(item);
+    });
+
+    panel.append(nextTitle, nextSteps);
+
+    if (course) {
+      panel.appendChild(createSessionInvite(reference, course));
+    }
+
+    const actions = document.createElement('div');
+    actions.className = 'confirmation-actions';
+
+    const againButton = document.createElement('button');
+    againButton.type = 'button';
+    againButton.className = 'btn btn-primary';
+    againButton.textContent = t('confirmation.sendAnother');
+    againButton.addEventListener('click', () => restoreForm(form));
+
+    actions.appendChild(againButton);
+    panel.appendChild(actions);
+
+    return panel;
+  }
+
+  /**
+   * Info session blurb with an .ics download
+   * @param {string} reference - Submission reference
+   * @param {string} course - Course name
+   * @returns {HTMLElement} Invite block
+   */
+  function createSessionInvite(reference, course) {
+    const start = getNextInfoSession();
+    const locale = window.ProgrammingSchool?.i18n?.getLocale() || 'en';
+    const when = new Intl.DateTimeFormat(locale, { dateStyle: 'full', timeStyle: 'short' }).format(start);
+
+    const invite = document.createElement('div');
+    invite.className = 'confirmation-session';
+
+    const text = document.createElement('p');
+    text.textContent = t('confirmation.session', { course, date: when });
+
+    const link = document.createElement('a');
+    link.className = 'btn btn-secondary';
+    link.href = `data:text/calendar;charset=utf-8,${encodeURIComponent(createInfoSessionICS({ reference, course, start }))}`;
+    link.download = CONFIG.ICS_FILENAME;
+    link.textContent = t('confirmation.addToCalendar');
+
+    invite.append(text, link);
+    return invite;
+  }
+
+  /**
+   * Swap the form for its confirmation panel
+   * @param {HTMLFormElement} form - Form element
+   * @param {Object} context - Submission context from the afterSubmit hook
+   */
+  function showConfirmation(form, context) {
+    const data = context.data || {};
+    const courseField = form.elements.namedItem(form.getAttribute(ATTRIBUTES.COURSE_FIELD) || 'course');
+    const courseOption = courseField?.selectedOptions?.[0];
+    const course = courseOption && courseOption.value && courseOption.value !== 'not-sure'
+      ? getText(courseOption)
+      : null;
+
+    const reference = getServerReference(context.result) || createLocalReference();
+
+    // A panel from an earlier submission may still be there
+    removePanel(form);
+
+    const panel = createPanel(form, { reference, data, course });
+    form.hidden = true;
+    form.insertAdjacentElement('afterend', panel);
+    panel.focus();
+
+    log('info', 'Confirmation shown', {
+      formId: form.id || 'unnamed',
+      reference,
+      hasSession: Boolean(course),
+    });
+  }
+
+  /**
+   * Remove a form's confirmation panel, if shown
+   * @param {HTMLFormElement} form - Form element
+   */
+  function removePanel(form) {
+    const panel = form.nextElementSibling;
+    if (panel?.matches(SELECTORS.PANEL)) {
+      panel.remove();
+    }
+  }
+
+  /**
+   * Bring the form back for another message
+   * @param {HTMLFormElement} form - Form element
+   */
+  function restoreForm(form) {
+    removePanel(form);
+
+    // The controller's own reset would otherwise wipe what is typed next
+    window.ProgrammingSchool?.forms?.getController(form)?.cancelPendingReset();
+
+    form.reset();
+    form.hidden = false;
+
+    // The success state would otherwise linger until its timer runs out
+    const button = form.querySelector(SELECTORS.SUBMIT_BUTTON);
+    if (button) {
+      window.ProgrammingSchool?.buttons?.getManager(button).setState('idle');
+    }
+
+    form.querySelector(SELECTORS.FIELDS)?.focus();
+
+    log('info', 'Confirmation dismissed', { formId: form.id || 'unnamed' });
+  }
+
+  // ============================================
+  // Initialization
+  // ============================================
+
+  /**
+   * Show a confirmation after each successful submission of opted-in forms
+   */
+  function init() {
+    try {
+      const forms = window.ProgrammingSchool?.forms;
+
+      document.querySelectorAll(SELECTORS.FORMS).forEach(form => {
+        const controller = forms?.getController(form);
+
+        if (!controller) {
+          log('warn', 'Form controller not found - confirmation disabled', {
+            formId: form.id || 'unnamed',
+          });
+          return;
+        }
+
+        controller.addHook(forms.HOOKS.AFTER_SUBMIT, context => {
+          if (CONFIRMED_OUTCOMES.includes(context.outcome)) {
+            showConfirmation(form, context);
+          }
+        });
+      });
+    } catch (error) {
+      log('error', 'Failed to initialize confirmations', {
+        error: error.message,
+        stack: error.stack,
+      });
+    }
+  }
+
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', init);
+  } else {
+    init();
+  }
+
+  // ============================================
+  // Public API
+  // ============================================
+
+  window.ProgrammingSchool = window.ProgrammingSchool || {};
+  window.ProgrammingSchool.confirmation = Object.freeze({
+    version: '1.0.0',
+    createInfoSessionICS,
+    getNextInfoSession,
+  });
+
+})();
\ No newline at end of file
@@ -0,0 +1,485 @@
+/**
+ * Email Validation - Typo suggestions, disposable domains and remote verification
+ * Registers the "email-domain" validator with the validation engine. It offers
+ * one-click corrections for common domain typos, rejects disposable mailboxes
+ * and can defer to a pluggable async verification endpoint.
+ *
+ * @modifies: index.html
+ * @dependencies: ["js/validation.js", "css/components.css"]
+ */
+
+(function() {
+  'use strict';
+
+  // ============================================
+  // Configuration and Constants
+  // ============================================
+
+  const CONFIG = Object.freeze({
+    VALIDATOR_NAME: 'email-domain',
+    VERIFY_DEBOUNCE: 400,
+    VERIFY_TIMEOUT: 5000,
+    MAX_TYPO_DISTANCE: 2,
+  });
+
+  const ATTRIBUTES = Object.freeze({
+    VERIFY_URL: 'data-email-verify-url',
+  });
+
+  const SELECTORS = Object.freeze({
+    FIELDS: '[data-validate~="email-domain"]',
+    FORM_GROUP: '.form-group',
+    HINT: '.field-hint',
+  });
+
+  const COMMON_DOMAINS = Object.freeze([
+    'gmail.com', 'googlemail.com', 'yahoo.com', 'yahoo.co.uk', 'hotmail.com',
+    'hotmail.co.uk', 'outlook.com', 'live.com', 'msn.com', 'icloud.com', 'me.com',
+    'aol.com', 'protonmail.com', 'proton.me', 'mail.com', 'gmx.com', 'zoho.com',
+  ]);
+
+  const COMMON_TLDS = Object.freeze([
+    'com', 'net', 'org', 'edu', 'gov', 'io', 'co', 'co.uk', 'dev', 'me', 'info',
+  ]);
+
+  // Every two-letter top-level label is an ISO 3166 country code
+  const COUNTRY_CODE_TLD = /(^|\.)[a-z]{2}$/;
+
+  const DEFAULT_DISPOSABLE_DOMAINS = Object.freeze([
+    'mailinator.com', 'guerrillamail.com', '10minutemail.com', 'tempmail.com',
+    'temp-mail.org', 'yopmail.com', 'trashmail.com', 'sharklasers.com',
+    'getnada.com', 'dispostable.com', 'throwawaymail.com', 'maildrop.cc',
+    'fakeinbox.com', 'mintemail.com', 'emailondeck.com',
+  ]);
+
+  const disposableDomains = new Set(DEFAULT_DISPOSABLE_DOMAINS);
+
+  // Remote verification results keyed by lower-cased address
+  const verificationCache = new Map();
+
+  let verifier = null;
+
+  // ============================================
+  // Utility Functions
+  // ============================================
+
+  /**
+   * Log structured message to console
+   * @param {string} level - Log level (info, warn, error)
+   * @param {string} message - Log message
+   * @param {Object} context - Additional context
+   */
+  function log(level, message, context = {}) {
+    const timestamp = new Date().toISOString();
+    const logData = {
+      timestamp,
+      level,
+      message,
+      module: 'email-validation',
+      ...context,
+    };
+
+    if (level === 'error') {
+      console.error('[Programming School - Email]', logData);
+    } else if (level === 'warn') {
+      console.warn('[Programming School - Email]', logData);
+    } else {
+      console.log('[Programming School - Email]', logData);
+    }
+  }
+
+  /**
+   * Translate a message through the shared catalogs (js/i18n.js)
+   * @param {string} key - Message key
+   * @param {Object} [params] - Interpolation values
+   * @returns {string} Translated message, or the key if i18n is unavailable
+   */
+  function t(key, params) {
+    const i18n = window.ProgrammingSchool?.i18n;
+    return i18n ? i18n.t(key, params) : key;
+  }
+
+  /**
+   * Wait for a delay unless the signal aborts first
+   * @param {number} ms - Milliseconds to wait
+   * @param {AbortSignal} signal - Abort signal
+   * @returns {Promise<boolean>} True if the delay elapsed, false if aborted
+   */
+  function abortableDelay(ms, signal) {
+    return new Promise(resolve => {
+      if (signal?.aborted) {
+        resolve(false);
+        return;
+      }
+
+      const timer = setTimeout(() => resolve(true), ms);
+      signal?.addEventListener('abort', () => {
+        clearTimeout(timer);
+        resolve(false);
+      }, { once: true });
+    });
+  }
+
+  /**
+   * Edit distance counting insertions, deletions, substitutions and
+   * adjacent transpositions (so "gmial" is one edit from "gmail")
+   * @param {string} a - First string
+   * @param {string} b - Second string
+   * @returns {number} Edit distance
+   */
+  function editDistance(a, b) {
+    const matrix = Array.from({ length: a.length + 1 }, (_, i) => (
+      Array.from({ length: b.length + 1 }, (_, j) => (i === 0 ? j : j === 0 ? i : 0))
+    ));
+
+    for (let i = 1; i <= a.length; i++) {
+      for (let j = 1; j <= b.length; j++) {
+        const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+        matrix[i][j] = Math.min(
+          matrix[i - 1][j] + 1,
+          matrix[i][j - 1] + 1,
+          matrix[i - 1][j - 1] + cost
+        );
+
+        if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+          matrix[i][j] = Math.min(matrix[i][j], matrix[i - 2][j - 2] + 1);
+        }
+      }
+    }
+
+    return matrix[a.length][b.length];
+  }
+
+  /**
+   * Closest candidate within a maximum edit distance
+   * @param {string} value - Value to match
+   * @param {readonly string[]} candidates - Candidates
+   * @param {number} maxDistance - Maximum distance
+   * @returns {string|null} Closest candidate, or null
+   */
+  function findClosest(value, candidates, maxDistance) {
+    let best = null;
+    let bestDistance = maxDistance + 1;
+
+    candidates.forEach(candidate => {
+      const distance = editDistance(value, candidate);
+      if (distance < bestDistance) {
+        best = candidate;
+        bestDistance = distance;
+      }
+    });
+
+    return best;
+  }
+
+  /**
+   * Split an address into local part and lower-cased domain
+   * @param {string} email - Email address
+   * @returns {{local: string, domain: string}|null} Parts, or null if malformed
+   */
+  function splitAddress(email) {
+    const at = email.lastIndexOf('@');
+    if (at < 1 || at === email.length - 1) {
+      return null;
+    }
+    return {
+      local: email.slice(0, at),
+      domain: email.slice(at + 1).toLowerCase(),
+    };
+  }
+
+  // ============================================
+  // Checks
+  // ============================================
+
+  /**
+   * Whether a top-level domain ends in a country code
+   * @param {string} tld - Everything after the first dot, e.g. "de" or "com.mx"
+   * @returns {boolean} True for country-code TLDs
+   */
+  function isCountryCode(tld) {
+    return COUNTRY_CODE_TLD.test(tld);
+  }
+
+  /**
+   * Suggest a corrected address for a likely domain typo
+   * @param {string} email - Email address
+   * @returns {string|null} Suggested address, or null
+   */
+  function suggestCorrection(email) {
+    const parts = splitAddress(email);
+    if (!parts || COMMON_DOMAINS.includes(parts.domain)) {
+      return null;
+    }
+
+    // Short domains such as gmx.de sit close to real providers, so allow fewer edits
+    const maxDistance = parts.domain.length < 8 ? 1 : CONFIG.MAX_TYPO_DISTANCE;
+    const domain = findClosest(parts.domain, COMMON_DOMAINS, maxDistance);
+    if (domain) {
+      return `${parts.local}@${domain}`;
+    }
+
+    // Fall back to correcting just the top-level domain, e.g. example.cmo.
+    // Two-letter TLDs are country codes (gmx.de, empresa.com.mx), so they are
+    // valid as typed and never "corrected" to a nearby generic TLD.
+    const dot = parts.domain.indexOf('.');
+    if (dot > 0) {
+      const name = parts.domain.slice(0, dot);
+      const tld = parts.domain.slice(dot + 1);
+
+      if (!COMMON_TLDS.includes(tld) && !isCountryCode(tld)) {
+        const closestTld = findClosest(tld, COMMON_TLDS, 1);
+        if (closestTld) {
+          return `${parts.local}@${name}.${closestTld}`;
+        }
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Whether an address uses a disposable mailbox provider (including subdomains)
+   * @param {string} email - Email address
+   * @returns {boolean} True if disposable
+   */
+  function isDisposable(email) {
+    const parts = splitAddress(email);
+    if (!parts) {
+      return false;
+    }
+
+    return Array.from(disposableDomains).some(domain => (
+      parts.domain === domain || parts.domain.endsWith(`.${domain}`)
+    ));
+  }
+
+  /**
+   * Build a verifier for a JSON endpoint answering { valid, message }
+   * @param {string} url - Endpoint URL; the address is sent as ?email=
+   * @returns {Function} Verifier
+   */
+  function createEndpointVerifier(url) {
+    return async (email, { signal }) => {
+      const target = new URL(url, document.baseURI);
+      target.searchParams.set('email', email);
+
+      const response = await fetch(target.toString(), {
+        headers: { Accept: 'application/json' },
+        signal,
+      });
+
+      if (!response.ok) {
+        throw new Error(`Verification endpoint responded ${response.status}`);
+      }
+
+      return response.json();
+    };
+  }
+
+  /**
+   * Verify an address remotely, debounced and cancellable
+   * Verification problems never block the user; only an explicit
+   * { valid: false } answer does.
+   * @param {string} email - Email address
+   * @param {HTMLElement} field - Email field
+   * @param {AbortSignal} signal - Abort signal from the validation engine
+   * @returns {Promise<true|string>} True, or an error message
+   */
+  async function verifyRemotely(email, field, signal) {
+    const url = field.getAttribute(ATTRIBUTES.VERIFY_URL);
+    const activeVerifier = verifier || (url ? createEndpointVerifier(url) : null);
+
+    if (!activeVerifier) {
+      return true;
+    }
+
+    const key = email.toLowerCase();
+    if (verificationCache.has(key)) {
+      return verificationCache.get(key);
+    }
+
+    // A newer validation run aborts this one before any request is made
+    if (!await abortableDelay(CONFIG.VERIFY_DEBOUNCE, signal)) {
+      return true;
+    }
+
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), CONFIG.VERIFY_TIMEOUT);
+    const onAbort = () => controller.abort();
+    signal?.addEventListener('abort', onAbort, { once: true });
+
+    try {
+      const answer = await activeVerifier(email, { signal: controller.signal });
+      const outcome = answer && answer.valid === false
+        ? (answer.message || t('email.unverified'))
+        : true;
+
+      verificationCache.set(key, outcome);
+      return outcome;
+    } catch (error) {
+      if (!signal?.aborted) {
+        log('warn', 'Email verification unavailable - accepting address', {
+          error: error.message,
+        });
+      }
+      return true;
+    } finally {
+      clearTimeout(timer);
+      signal?.removeEventListener('abort', onAbort);
+    }
+  }
+
+  // ============================================
+  // Suggestion UI
+  // ============================================
+
+  /**
+   * Remove the suggestion hint for a field
+   * @param {HTMLElement} field - Email field
+   */
+  function clearSuggestion(field) {
+    field.closest(SELECTORS.FORM_GROUP)?.querySelector(SELECTORS.HINT)?.remove();
+  }
+
+  /**
+   * Show a "Did you mean ...?" hint with a one-click fix
+   * @param {HTMLElement} field - Email field
+   * @param {string} suggestion - Suggested address
+   */
+  function showSuggestion(field, suggestion) {
+    const formGroup = field.closest(SELECTORS.FORM_GROUP);
+    if (!formGroup) return;
+
+    clearSuggestion(field);
+
+    const hint = document.createElement('p');
+    hint.className = 'field-hint';
+    hint.setAttribute('role', 'status');
+
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'field-hint-action';
+    button.textContent = suggestion;
+    button.addEventListener('click', () => {
+      field.value = suggestion;
+      clearSuggestion(field);
+      field.focus();
+      // Re-run the blur-time validation for the corrected value
+      window.ProgrammingSchool?.formValidation?.validateField(field);
+
+      log('info', 'Email suggestion accepted', { suggestion });
+    });
+
+    // The suggestion is a button, so split the sentence around its placeholder
+    const [before, after = ''] = t('email.suggestion').split('{suggestion}');
+    hint.append(before, button, after);
+    formGroup.appendChild(hint);
+  }
+
+  // ============================================
+  // Validator
+  // ============================================
+
+  /**
+   * Validator registered as "email-domain"
+   * @param {string} value - Email address
+   * @param {HTMLElement} field - Email field
+   * @param {Object} options - Engine options
+   * @returns {Promise<true|string>} True, or an error message
+   */
+  async function validateEmailDomain(value, field, { signal }) {
+    const suggestion = suggestCorrection(value);
+    if (suggestion) {
+      showSuggestion(field, suggestion);
+    } else {
+      clearSuggestion(field);
+    }
+
+    if (isDisposable(value)) {
+      return t('email.disposable');
+    }
+
+    return verifyRemotely(value, field, signal);
+  }
+
+  // ============================================
+  // Configuration API
+  // ============================================
+
+  /**
+   * Replace the disposable domain list
+   * @param {string[]} domains - Domains
+   */
+  function setDisposableDomains(domains) {
+    disposableDomains.clear();
+    addDisposableDomains(domains);
+  }
+
+  /**
+   * Add domains to the disposable list
+   * @param {string[]} domains - Domains
+   */
+  function addDisposableDomains(domains) {
+    domains.forEach(domain => disposableDomains.add(String(domain).toLowerCase()));
+    log('info', 'Disposable domain list updated', { count: disposableDomains.size });
+  }
+
+  /**
+   * Plug in a custom async verifier, overriding data-email-verify-url
+   * @param {Function|null} callback - (email, { signal }) resolving to { valid, message }
+   */
+  function setVerifier(callback) {
+    verifier = callback;
+    verificationCache.clear();
+  }
+
+  // ============================================
+  // Initialization
+  // ============================================
+
+  /**
+   * Register validator and wire suggestion cleanup
+   */
+  function init() {
+    const engine = window.ProgrammingSchool?.validation;
+
+    if (!engine) {
+      log('warn', 'Validation engine not found - email checks disabled');
+      return;
+    }
+
+    engine.registerValidator(CONFIG.VALIDATOR_NAME, validateEmailDomain, {
+      messageKey: 'validation.email',
+    });
+
+    const fields = document.querySelectorAll(SELECTORS.FIELDS);
+    fields.forEach(field => {
+      field.addEventListener('input', () => clearSuggestion(field));
+    });
+
+    log('info', 'Email validation initialized', { fieldCount: fields.length });
+  }
+
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', init);
+  } else {
+    init();
+  }
+
+  // ============================================
+  // Public API
+  // ============================================
+
+  window.ProgrammingSchool = window.ProgrammingSchool || {};
+  window.ProgrammingSchool.emailValidation = Object.freeze({
+    version: '1.0.0',
+    config: CONFIG,
+    suggestCorrection,
+    isDisposable,
+    setDisposableDomains,
+    addDisposableDomains,
+    setVerifier,
+  });
+
+})();
\ No newline at end of file
@@ -0,0 +1,338 @@
+/**
+ * Error Summary - Accessible overview of a form's errors
+ * Renders a summary at the top of a form listing every invalid field as a link
+ * that moves focus to the field, plus form-level messages (e.g. transport errors).
+ * The summary takes focus when a submission fails and follows field fixes as they
+ * happen, announcing the remaining error count through a polite live region.
+ * Following a link dispatches errorSummaryLinkActivate on the field first, so a
+ * module that hides fields (the form wizard) can reveal it before it is focused.
+ *
+ * @modifies: index.html
+ * @dependencies: ["js/i18n.js", "js/main.js", "css/components.css"]
+ */
+
+(function() {
+  'use strict';
+
+  // ============================================
+  // Configuration and Constants
+  // ============================================
+
+  const SELECTORS = Object.freeze({
+    SUMMARY: '.error-summary',
+    LIVE_REGION: '.error-summary-status',
+    FORM_GROUP: '.form-group',
+    FIELD_ERROR: '.field-error',
+    INVALID_FIELDS: '[aria-invalid="true"]',
+    LABEL_TARGET: 'label, legend',
+  });
+
+  const EVENTS = Object.freeze({
+    FIELD_VALIDATION_CHANGE: 'fieldValidationChange',
+    LINK_ACTIVATE: 'errorSummaryLinkActivate',
+  });
+
+  // Form-level messages of the summary currently shown per form
+  const formMessages = new WeakMap();
+
+  // ============================================
+  // Utility Functions
+  // ============================================
+
+  /**
+   * Log structured message to console
+   * @param {string} level - Log level (info, warn, error)
+   * @param {string} message - Log message
+   * @param {Object} context - Additional context
+   */
+  function log(level, message, context = {}) {
+    const timestamp = new Date().toISOString();
+    const logData = {
+      timestamp,
+      level,
+      message,
+      module: 'error-summary',
+      ...context,
+    };
+
+    if (level === 'error') {
+      console.error('[Programming School - Error Summary]', logData);
+    } else if (level === 'warn') {
+      console.warn('[Programming School - Error Summary]', logData);
+    } else {
+      console.log('[Programming School - Error Summary]', logData);
+    }
+  }
+
+  /**
+   * Translate a message through the shared catalogs (js/i18n.js)
+   * @param {string} key - Message key
+   * @param {Object} [params] - Interpolation values
+   * @returns {string} Translated message, or the key if i18n is unavailable
+   */
+  function t(key, params) {
+    const i18n = window.ProgrammingSchool?.i18n;
+    return i18n ? i18n.t(key, params) : key;
+  }
+
+  /**
+   * Invalid fields of a form with their visible messages, in document order
+   * Radio and checkbox groups are listed once.
+   * @param {HTMLFormElement} form - Form element
+   * @returns {Object[]} Entries { field, message }
+   */
+  function collectFieldErrors(form) {
+    const seenGroups = new Set();
+
+    return Array.from(form.querySelectorAll(SELECTORS.INVALID_FIELDS))
+      .filter(field => {
+        if (!field.name || seenGroups.has(field.name)) {
+          return false;
+        }
+        seenGroups.add(field.name);
+        return true;
+      })
+      .map(field => ({
+        field,
+        message: field.closest(SELECTORS.FORM_GROUP)?.querySelector(SELECTORS.FIELD_ERROR)?.textContent || '',
+      }))
+      .filter(entry => entry.message);
+  }
+
+  /**
+   * Polite live region used to announce count changes
+   * Created once per form so it is already in the page when it changes.
+   * @param {HTMLFormElement} form - Form element
+   * @returns {HTMLElement} Live region
+   */
+  function getLiveRegion(form) {
+    let region = form.querySelector(SELECTORS.LIVE_REGION);
+
+    if (!region) {
+      region = document.createElement('p');
+      region.className = 'sr-only error-summary-status';
+      region.setAttribute('role', 'status');
+      region.setAttribute('aria-live', 'polite');
+      form.appendChild(region);
+    }
+
+    return region;
+  }
+
+  /**
+   * Announce a message through the form's live region
+   * @param {HTMLFormElement} form - Form element
+   * @param {string} message - Message
+   */
+  function announce(form, message) {
+    const region = getLiveRegion(form);
+
+    // Clearing first makes repeated identical messages announce again
+    region.textContent = '';
+    setTimeout(() => {
+      region.textContent = message;
+    }, 100);
+  }
+
+  // ============================================
+  // Rendering
+  // ============================================
+
+  /**
+   * Move focus to a field and bring its label into view
+   * @param {HTMLElement} field - Form field
+   */
+  function focusField(field) {
+    const label = field.closest(SELECTORS.FORM_GROUP)?.querySelector(SELECTORS.LABEL_TARGET);
+
+    (label || field).scrollIntoView({ block: 'start' });
+    field.focus({ preventScroll: true });
+  }
+
+  /**
+   * Build the summary element
+   * @param {HTMLFormElement} form - Form element
+   * @param {Object[]} fieldErrors - Entries { field, message }
+   * @param {string[]} messages - Form-level messages
+   * @returns {HTMLElement} Summary
+   */
+  function createSummary(form, fieldErrors, messages) {
+    const count = fieldErrors.length + messages.length;
+    const titleId = `${form.id || 'form'}-error-summary-title`;
+
+    const summary = document.createElement('div');
+    summary.className = 'error-summary';
+    summary.setAttribute('tabindex', '-1');
+    summary.setAttribute('aria-labelledby', titleId);
+
+    const title = document.createElement('h2');
+    title.className = 'error-summary-title';
+    title.id = titleId;
+    title.textContent = t('errorSummary.title', { count });
+
+    const list = document.createElement('ul');
+    list.className = 'error-summary-list';
+
+    messages.forEach(message => {
+      const item = document.createElement('li');
+      item.textContent = message;
+      list.appendChild(item);
+    });
+
+    fieldErrors.forEach(({ field, message }) => {
+      const item = document.createElement('li');
+      const link = document.createElement('a');
+      link.textContent = message;
+
+      if (field.id) {
+        link.href = `#${field.id}`;
+      }
+
+      link.addEventListener('click', event => {
+        event.preventDefault();
+        field.dispatchEvent(new CustomEvent(EVENTS.LINK_ACTIVATE, {
+          detail: { field },
+          bubbles: true,
+        }));
+        focusField(field);
+      });
+
+      item.appendChild(link);
+      list.appendChild(item);
+    });
+
+    summary.append(title, list);
+    return summary;
+  }
+
+  /**
+   * Show the summary for a form's current errors
+   * @param {HTMLFormElement} form - Form element
+   * @param {Object} options - Summary options
+   * @param {string[]} [options.messages] - Form-level messages without a field
+   * @param {boolean} [options.focus=true] - Move focus to the summary
+   * @returns {HTMLElement|null} Summary, or null if there is nothing to report
+   */
+  function show(form, options = {}) {
+    const { messages = [], focus = true } = options;
+
+    formMessages.set(form, messages.slice());
+
+    const summary = render(form);
+    if (summary && focus) {
+      summary.focus();
+    }
+
+    log('info', 'Error summary shown', {
+      formId: form.id || 'unnamed',
+      count: summary ? summary.querySelectorAll('li').length : 0,
+    });
+
+    return summary;
+  }
+
+  /**
+   * Replace the summary with one for the current errors
+   * @param {HTMLFormElement} form - Form element
+   * @returns {HTMLElement|null} Summary, or null if no errors remain
+   */
+  function render(form) {
+    const existing = form.querySelector(SELECTORS.SUMMARY);
+    const fieldErrors = collectFieldErrors(form);
+    const messages = formMessages.get(form) || [];
+
+    if (fieldErrors.length === 0 && messages.length === 0) {
+      existing?.remove();
+      formMessages.delete(form);
+      return null;
+    }
+
+    const summary = createSummary(form, fieldErrors, messages);
+
+    if (existing) {
+      existing.replaceWith(summary);
+    } else {
+      form.insertBefore(summary, form.firstChild);
+    }
+
+    return summary;
+  }
+
+  /**
+   * Bring an open summary in line with the fields after one changed
+   * @param {HTMLFormElement} form - Form element
+   */
+  function update(form) {
+    const existing = form.querySelector(SELECTORS.SUMMARY);
+    if (!existing) {
+      return;
+    }
+
+    const previousCount = existing.querySelectorAll('li').length;
+    const hadFocus = existing.contains(document.activeElement);
+    const summary = render(form);
+    const count = summary ? summary.querySelectorAll('li').length : 0;
+
+    if (hadFocus && summary) {
+      summary.focus();
+    }
+
+    if (count !== previousCount) {
+      announce(form, count === 0 ? t('errorSummary.resolved') : t('errorSummary.remaining', { count }));
+    }
+  }
+
+  /**
+   * Remove a form's summary
+   * @param {HTMLFormElement} form - Form element
+   */
+  function clear(form) {
+    formMessages.delete(form);
+    form.querySelector(SELECTORS.SUMMARY)?.remove();
+  }
+
+  // ============================================
+  // Initialization
+  // ============================================
+
+  /**
+   * Keep open summaries in step with field validation
+   */
+  function init() {
+    try {
+      document.addEventListener(EVENTS.FIELD_VALIDATION_CHANGE, event => {
+        const form = event.target.form || event.target.closest('form');
+        if (form) {
+          update(form);
+        }
+      });
+
+      log('info', 'Error summary initialized');
+    } catch (error) {
+      log('error', 'Failed to initialize error summary', {
+        error: error.message,
+        stack: error.stack,
+      });
+    }
+  }
+
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', init);
+  } else {
+    init();
+  }
+
+  // ============================================
+  // Public API
+  // ============================================
+
+  window.ProgrammingSchool = window.ProgrammingSchool || {};
+  window.ProgrammingSchool.errorSummary = Object.freeze({
+    version: '1.0.0',
+    EVENTS,
+    show,
+    update,
+    clear,
+  });
+
+})();
\ No newline at end of file
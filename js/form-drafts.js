@@ -0,0 +1,457 @@
+/**
+ * Form Drafts - Autosave and restore of unsent form input
+ * Saves fields of [data-draft] forms to localStorage as the visitor types,
+ * offers to restore the draft on return and clears it once the submission
+ * succeeds or is queued. Fields marked [data-draft-exclude] are never stored.
+ *
+ * @modifies: index.html
+ * @dependencies: ["js/interactions.js", "css/components.css"]
+ */
+
+(function() {
+  'use strict';
+
+  // ============================================
+  // Configuration and Constants
+  // ============================================
+
+  const CONFIG = Object.freeze({
+    STORAGE_PREFIX: 'programming-school:draft:',
+    SAVE_DELAY: 500,
+    MAX_AGE: 7 * 24 * 60 * 60 * 1000,
+  });
+
+  const ATTRIBUTES = Object.freeze({
+    DRAFT: 'data-draft',
+    EXCLUDE: 'data-draft-exclude',
+  });
+
+  const SELECTORS = Object.freeze({
+    FORMS: 'form[data-draft]',
+    BANNER: '.draft-banner',
+  });
+
+  // Input types that are never worth (or safe) persisting
+  const SKIPPED_TYPES = Object.freeze(['password', 'file', 'hidden', 'submit', 'button', 'reset']);
+
+  // ============================================
+  // Utility Functions
+  // ============================================
+
+  /**
+   * Log structured message to console
+   * @param {string} level - Log level (info, warn, error)
+   * @param {string} message - Log message
+   * @param {Object} context - Additional context
+   */
+  function log(level, message, context = {}) {
+    const timestamp = new Date().toISOString();
+    const logData = {
+      timestamp,
+      level,
+      message,
+      module: 'form-drafts',
+      ...context,
+    };
+
+    if (level === 'error') {
+      console.error('[Programming School - Drafts]', logData);
+    } else if (level === 'warn') {
+      console.warn('[Programming School - Drafts]', logData);
+    } else {
+      console.log('[Programming School - Drafts]', logData);
+    }
+  }
+
+  /**
+   * Translate a message through the shared catalogs (js/i18n.js)
+   * @param {string} key - Message key
+   * @param {Object} [params] - Interpolation values
+   * @returns {string} Translated message, or the key if i18n is unavailable
+   */
+  function t(key, params) {
+    const i18n = window.ProgrammingSchool?.i18n;
+    return i18n ? i18n.t(key, params) : key;
+  }
+
+  /**
+   * Debounce function to limit execution rate
+   * @param {Function} func - Function to debounce
+   * @param {number} wait - Wait time in milliseconds
+   * @returns {Function} Debounced function
+   */
+  function debounce(func, wait) {
+    let timeout;
+    return function executedFunction(...args) {
+      const later = () => {
+        clearTimeout(timeout);
+        func(...args);
+      };
+      clearTimeout(timeout);
+      timeout = setTimeout(later, wait);
+    };
+  }
+
+  /**
+   * Describe how long ago a timestamp was, in the active locale
+   * @param {number} time - Timestamp in milliseconds
+   * @returns {string} Relative description
+   */
+  function describeAge(time) {
+    const minutes = Math.round((Date.now() - time) / 60000);
+
+    if (minutes < 1) {
+      return t('drafts.justNow');
+    }
+
+    const locale = window.ProgrammingSchool?.i18n?.getLocale() || 'en';
+    const formatter = new Intl.RelativeTimeFormat(locale, { numeric: 'auto' });
+
+    if (minutes < 60) {
+      return formatter.format(-minutes, 'minute');
+    }
+
+    const hours = Math.round(minutes / 60);
+    if (hours < 24) {
+      return formatter.format(-hours, 'hour');
+    }
+
+    return formatter.format(-Math.round(hours / 24), 'day');
+  }
+
+  // ============================================
+  // Storage
+  // ============================================
+
+  /**
+   * Storage key for a form's draft
+   * @param {HTMLFormElement} form - Form element
+   * @returns {string} Storage key
+   */
+  function getStorageKey(form) {
+    return CONFIG.STORAGE_PREFIX + (form.getAttribute(ATTRIBUTES.DRAFT) || form.id || 'form');
+  }
+
+  /**
+   * Read a form's draft, dropping it if expired
+   * @param {HTMLFormElement} form - Form element
+   * @returns {Object|null} Draft { savedAt, values }
+   */
+  function readDraft(form) {
+    const key = getStorageKey(form);
+
+    try {
+      const draft = JSON.parse(window.localStorage.getItem(key));
+
+      if (!draft || typeof draft.values !== 'object') {
+        return null;
+      }
+
+      if (Date.now() - draft.savedAt > CONFIG.MAX_AGE) {
+        window.localStorage.removeItem(key);
+        log('info', 'Expired draft discarded', { key });
+        return null;
+      }
+
+      return draft;
+    } catch (error) {
+      log('warn', 'Failed to read draft', { key, error: error.message });
+      return null;
+    }
+  }
+
+  /**
+   * Remove a form's draft
+   * @param {HTMLFormElement} form - Form element
+   */
+  function clearDraft(form) {
+    try {
+      window.localStorage.removeItem(getStorageKey(form));
+    } catch (error) {
+      log('warn', 'Failed to clear draft', { error: error.message });
+    }
+  }
+
+  // ============================================
+  // Field Values
+  // ============================================
+
+  /**
+   * Fields of a form that may be stored
+   * @param {HTMLFormElement} form - Form element
+   * @returns {HTMLElement[]} Fields
+   */
+  function getDraftFields(form) {
+    return Array.from(form.elements).filter(field => (
+      field.name &&
+      !SKIPPED_TYPES.includes(field.type) &&
+      !field.hasAttribute(ATTRIBUTES.EXCLUDE)
+    ));
+  }
+
+  /**
+   * Collect storable values
+   * @param {HTMLFormElement} form - Form element
+   * @returns {Object} Values keyed by field name (empty values omitted)
+   */
+  function collectValues(form) {
+    const values = {};
+
+    getDraftFields(form).forEach(field => {
+      if (field.type === 'checkbox' || field.type === 'radio') {
+        if (field.checked) {
+          values[field.name] = field.type === 'checkbox'
+            ? [...(values[field.name] || []), field.value]
+            : field.value;
+        }
+      } else if (field.value.trim() !== '') {
+        values[field.name] = field.value;
+      }
+    });
+
+    return values;
+  }
+
+  /**
+   * Write stored values back into the form
+   * @param {HTMLFormElement} form - Form element
+   * @param {Object} values - Values keyed by field name
+   * @returns {HTMLElement[]} Fields that received a value
+   */
+  function applyValues(form, values) {
+    const restored = [];
+
+    getDraftFields(form).forEach(field => {
+      if (!(field.name in values)) {
+        return;
+      }
+
+      const value = values[field.name];
+
+      if (field.type === 'checkbox') {
+        field.checked = [].concat(value).includes(field.value);
+      } else if (field.type === 'radio') {
+        field.checked = field.value === value;
+      } else {
+        field.value = value;
+      }
+
+      // Let formatters, counters and validation react as if typed
+      field.dispatchEvent(new Event('input', { bubbles: true }));
+      restored.push(field);
+    });
+
+    return restored;
+  }
+
+  // ============================================
+  // Autosave
+  // ============================================
+
+  // Forms whose stored draft is still awaiting a restore/discard decision
+  const pendingDrafts = new WeakSet();
+
+  // Forms whose values were just sent and are waiting for the controller's reset
+  const submittedForms = new WeakSet();
+
+  /**
+   * Save the current input, or drop the draft if the form is empty
+   * @param {HTMLFormElement} form - Form element
+   */
+  function saveDraft(form) {
+    // Never overwrite a draft the visitor has not decided about yet
+    if (pendingDrafts.has(form)) {
+      return;
+    }
+
+    // The sent message stays in the fields until the form resets; saving it
+    // would offer it again on the next visit
+    if (submittedForms.has(form)) {
+      return;
+    }
+
+    const values = collectValues(form);
+
+    try {
+      if (Object.keys(values).length === 0) {
+        window.localStorage.removeItem(getStorageKey(form));
+        return;
+      }
+
+      window.localStorage.setItem(getStorageKey(form), JSON.stringify({
+        savedAt: Date.now(),
+        values,
+      }));
+    } catch (error) {
+      log('warn', 'Failed to save draft', { error: error.message });
+    }
+  }
+
+  // ============================================
+  // Restore Banner
+  // ============================================
+
+  /**
+   * Offer to restore a stored draft
+   * @param {HTMLFormElement} form - Form element
+   * @param {Object} draft - Stored draft
+   */
+  function showRestoreBanner(form, draft) {
+    pendingDrafts.add(form);
+
+    const banner = document.createElement('div');
+    banner.className = 'draft-banner';
+    banner.setAttribute('role', 'region');
+    banner.setAttribute('aria-label', t('drafts.label'));
+
+    const text = document.createElement('p');
+    text.textContent = t('drafts.prompt', { age: describeAge(draft.savedAt) });
+
+    const restoreButton = document.createElement('button');
+    restoreButton.type = 'button';
+    restoreButton.className = 'field-hint-action';
+    restoreButton.textContent = t('drafts.restore');
+
+    const discardButton = document.createElement('button');
+    discardButton.type = 'button';
+    discardButton.className = 'field-hint-action';
+    discardButton.textContent = t('drafts.discard');
+
+    const close = () => dismissRestoreBanner(form);
+
+    restoreButton.addEventListener('click', () => {
+      close();
+      const restored = applyValues(form, draft.values);
+      if (restored.length > 0) {
+        restored[restored.length - 1].focus();
+      }
+      log('info', 'Draft restored', { fieldCount: restored.length });
+    });
+
+    discardButton.addEventListener('click', () => {
+      close();
+      clearDraft(form);
+      saveDraft(form);
+      getDraftFields(form)[0]?.focus();
+      log('info', 'Draft discarded');
+    });
+
+    banner.append(text, restoreButton, discardButton);
+    form.insertBefore(banner, form.firstChild);
+  }
+
+  /**
+   * Remove the restore banner and stop protecting the stored draft
+   * @param {HTMLFormElement} form - Form element
+   */
+  function dismissRestoreBanner(form) {
+    pendingDrafts.delete(form);
+    form.querySelector(SELECTORS.BANNER)?.remove();
+  }
+
+  /**
+   * Start a fresh draft when the visitor types without answering the banner
+   * The old draft is replaced rather than the new input being lost on reload.
+   * @param {HTMLFormElement} form - Form element
+   * @param {Event} event - Input or change event
+   */
+  function startFreshDraft(form, event) {
+    // Values set by scripts (deep links, formatters) are not the visitor's choice
+    if (!pendingDrafts.has(form) || !event.isTrusted) {
+      return;
+    }
+
+    dismissRestoreBanner(form);
+    log('info', 'Draft replaced by new input');
+  }
+
+  /**
+   * Save drafts again once the visitor edits a form that was just sent
+   * @param {HTMLFormElement} form - Form element
+   * @param {Event} event - Input or change event
+   */
+  function resumeDrafts(form, event) {
+    if (event.isTrusted) {
+      submittedForms.delete(form);
+    }
+  }
+
+  /**
+   * Enable autosave and restore for a form
+   * @param {HTMLFormElement} form - Form element
+   */
+  function initForm(form) {
+    const save = debounce(() => saveDraft(form), CONFIG.SAVE_DELAY);
+
+    form.addEventListener('input', event => {
+      if (!event.target.hasAttribute(ATTRIBUTES.EXCLUDE)) {
+        resumeDrafts(form, event);
+        startFreshDraft(form, event);
+        save();
+      }
+    });
+    form.addEventListener('change', event => {
+      resumeDrafts(form, event);
+      startFreshDraft(form, event);
+      save();
+    });
+
+    // Catch the last keystrokes the debounce has not written yet
+    window.addEventListener('pagehide', () => saveDraft(form));
+
+    // Delivered or safely queued - the draft has served its purpose
+    ['formSubmitSuccess', 'formSubmitQueued'].forEach(eventName => {
+      form.addEventListener(eventName, () => {
+        dismissRestoreBanner(form);
+        clearDraft(form);
+        submittedForms.add(form);
+      });
+    });
+    form.addEventListener('reset', () => submittedForms.delete(form));
+
+    const draft = readDraft(form);
+    if (draft && Object.keys(collectValues(form)).length === 0) {
+      showRestoreBanner(form, draft);
+    }
+  }
+
+  // ============================================
+  // Initialization
+  // ============================================
+
+  /**
+   * Enable drafts on every opted-in form
+   */
+  function init() {
+    try {
+      const forms = document.querySelectorAll(SELECTORS.FORMS);
+      forms.forEach(initForm);
+
+      log('info', 'Form drafts initialized', { formCount: forms.length });
+    } catch (error) {
+      log('error', 'Failed to initialize form drafts', {
+        error: error.message,
+        stack: error.stack,
+      });
+    }
+  }
+
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', init);
+  } else {
+    init();
+  }
+
+  // ============================================
+  // Public API
+  // ============================================
+
+  window.ProgrammingSchool = window.ProgrammingSchool || {};
+  window.ProgrammingSchool.drafts = Object.freeze({
+    version: '1.0.0',
+    config: CONFIG,
+    save: saveDraft,
+    clear: clearDraft,
+  });
+
+})();
\ No newline at end of file
@@ -0,0 +1,441 @@
+/**
+ * Form Wizard - Multi-step forms on top of the form controller
+ * Splits [data-wizard] forms into [data-wizard-step] fieldsets with per-step
+ * validation, back/next navigation, a progress indicator and a review step
+ * summarising earlier answers. All steps stay in one form, so values persist
+ * across steps and the final submission goes through the regular controller.
+ *
+ * @modifies: index.html
+ * @dependencies: ["js/validation.js", "js/main.js", "js/interactions.js", "js/error-summary.js", "css/components.css"]
+ */
+
+(function() {
+  'use strict';
+
+  // ============================================
+  // Configuration and Constants
+  // ============================================
+
+  const SELECTORS = Object.freeze({
+    WIZARDS: 'form[data-wizard]',
+    STEP: '[data-wizard-step]',
+    REVIEW: '[data-wizard-review]',
+    SUMMARY: '[data-wizard-summary]',
+    PROGRESS: '[data-wizard-progress]',
+    STATUS: '[data-wizard-status]',
+    BACK: '[data-wizard-back]',
+    NEXT: '[data-wizard-next]',
+    SUBMIT: 'button[type="submit"]',
+    OPTIONS_FROM: 'select[data-wizard-options-from]',
+    TITLE: '.wizard-step-title',
+    FIELDS: 'input, select, textarea',
+  });
+
+  const CLASSES = Object.freeze({
+    CURRENT: 'is-current',
+    COMPLETE: 'is-complete',
+  });
+
+  const EVENTS = Object.freeze({
+    STEP_CHANGE: 'wizardStepChange',
+  });
+
+  // ============================================
+  // Utility Functions
+  // ============================================
+
+  /**
+   * Log structured message to console
+   * @param {string} level - Log level (info, warn, error)
+   * @param {string} message - Log message
+   * @param {Object} context - Additional context
+   */
+  function log(level, message, context = {}) {
+    const timestamp = new Date().toISOString();
+    const logData = {
+      timestamp,
+      level,
+      message,
+      module: 'form-wizard',
+      ...context,
+    };
+
+    if (level === 'error') {
+      console.error('[Programming School - Wizard]', logData);
+    } else if (level === 'warn') {
+      console.warn('[Programming School - Wizard]', logData);
+    } else {
+      console.log('[Programming School - Wizard]', logData);
+    }
+  }
+
+  /**
+   * Translate a message through the shared catalogs (js/i18n.js)
+   * @param {string} key - Message key
+   * @param {Object} [params] - Interpolation values
+   * @returns {string} Translated message, or the key if i18n is unavailable
+   */
+  function t(key, params) {
+    const i18n = window.ProgrammingSchool?.i18n;
+    return i18n ? i18n.t(key, params) : key;
+  }
+
+  /**
+   * Visible text of an element, whitespace collapsed
+   * @param {Element} element - Element
+   * @returns {string} Text
+   */
+  function getText(element) {
+    return element ? element.textContent.replace(/\s+/g, ' ').trim() : '';
+  }
+
+  /**
+   * Copy options from a source select (e.g. the contact form's course list)
+   * @param {HTMLSelectElement} select - Target select
+   */
+  function copyOptions(select) {
+    const source = document.querySelector(select.getAttribute('data-wizard-options-from'));
+
+    if (!source) {
+      log('warn', 'Option source not found', { field: select.name });
+      return;
+    }
+
+    Array.from(source.options)
+      .filter(option => option.value)
+      .forEach(option => select.appendChild(option.cloneNode(true)));
+  }
+
+  // ============================================
+  // Form Wizard
+  // ============================================
+
+  /**
+   * Multi-step navigation for one form
+   */
+  class FormWizard {
+    constructor(form, controller) {
+      this.form = form;
+      this.controller = controller;
+      this.steps = Array.from(form.querySelectorAll(SELECTORS.STEP));
+      this.currentIndex = 0;
+      this.progressItems = [];
+
+      this.backButton = form.querySelector(SELECTORS.BACK);
+      this.nextButton = form.querySelector(SELECTORS.NEXT);
+      this.submitButton = form.querySelector(SELECTORS.SUBMIT);
+      this.status = form.querySelector(SELECTORS.STATUS);
+
+      this.init();
+    }
+
+    /**
+     * Initialize wizard
+     */
+    init() {
+      this.form.querySelectorAll(SELECTORS.OPTIONS_FROM).forEach(copyOptions);
+      this.buildProgress();
+
+      this.backButton?.addEventListener('click', () => this.back());
+      this.nextButton?.addEventListener('click', () => this.next());
+
+      // Enter in a field submits the form; only the last step may really submit
+      this.controller.addHook(window.ProgrammingSchool.forms.HOOKS.BEFORE_VALIDATE, async () => {
+        if (this.isLastStep()) {
+          return true;
+        }
+        await this.next();
+        return false;
+      });
+
+      // Server-side field errors may belong to an earlier step. The error summary
+      // keeps focus after a failed submission; its links open the field's step.
+      const summaryEvents = window.ProgrammingSchool?.errorSummary?.EVENTS;
+      if (summaryEvents) {
+        this.form.addEventListener(summaryEvents.LINK_ACTIVATE, event => {
+          this.revealField(event.detail.field);
+        });
+      }
+
+      // The controller resets the form after a successful submission
+      this.form.addEventListener('reset', () => this.goTo(0, { focus: false }));
+
+      // Re-render the status line and summary in the new language
+      document.addEventListener('localechange', () => this.goTo(this.currentIndex, { focus: false }));
+
+      this.goTo(0, { focus: false });
+
+      log('info', 'Form wizard initialized', {
+        formId: this.form.id || 'unnamed',
+        stepCount: this.steps.length,
+      });
+    }
+
+    /**
+     * Title of a step, taken from its legend
+     * @param {number} index - Step index
+     * @returns {string} Title
+     */
+    getStepTitle(index) {
+      return getText(this.steps[index].querySelector(SELECTORS.TITLE)) || t('wizard.stepFallback', { step: index + 1 });
+    }
+
+    /**
+     * Build the progress indicator from the step titles
+     */
+    buildProgress() {
+      const progress = this.form.querySelector(SELECTORS.PROGRESS);
+      if (!progress) {
+        return;
+      }
+
+      this.progressItems = this.steps.map((step, index) => {
+        const item = document.createElement('li');
+        item.className = 'wizard-progress-item';
+
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'wizard-progress-button';
+        button.textContent = this.getStepTitle(index);
+        button.addEventListener('click', () => this.goTo(index));
+
+        item.appendChild(button);
+        progress.appendChild(item);
+        return item;
+      });
+    }
+
+    /**
+     * Whether the current step is the last one
+     * @returns {boolean} True on the last step
+     */
+    isLastStep() {
+      return this.currentIndex === this.steps.length - 1;
+    }
+
+    /**
+     * Show a step
+     * @param {number} index - Step index
+     * @param {Object} options - { focus } whether to move focus to the step
+     */
+    goTo(index, options = {}) {
+      const { focus = true } = options;
+      const target = Math.max(0, Math.min(index, this.steps.length - 1));
+
+      this.currentIndex = target;
+
+      this.steps.forEach((step, stepIndex) => {
+        step.hidden = stepIndex !== target;
+      });
+
+      this.progressItems.forEach((item, itemIndex) => {
+        const button = item.querySelector('button');
+        item.classList.toggle(CLASSES.CURRENT, itemIndex === target);
+        item.classList.toggle(CLASSES.COMPLETE, itemIndex < target);
+
+        if (itemIndex === target) {
+          item.setAttribute('aria-current', 'step');
+        } else {
+          item.removeAttribute('aria-current');
+        }
+
+        // Only completed steps can be revisited directly
+        button.disabled = itemIndex >= target;
+      });
+
+      if (this.status) {
+        this.status.textContent = t('wizard.status', {
+          step: target + 1,
+          count: this.steps.length,
+          title: this.getStepTitle(target),
+        });
+      }
+
+      if (this.backButton) {
+        this.backButton.hidden = target === 0;
+      }
+      if (this.nextButton) {
+        this.nextButton.hidden = this.isLastStep();
+      }
+      if (this.submitButton) {
+        this.submitButton.hidden = !this.isLastStep();
+      }
+
+      if (this.steps[target].matches(SELECTORS.REVIEW)) {
+        this.renderSummary();
+      }
+
+      if (focus) {
+        this.steps[target].focus();
+      }
+
+      this.form.dispatchEvent(new CustomEvent(EVENTS.STEP_CHANGE, {
+        detail: { index: target, stepCount: this.steps.length },
+        bubbles: true,
+      }));
+    }
+
+    /**
+     * Validate the current step and advance
+     * @returns {Promise<boolean>} True if the wizard advanced
+     */
+    async next() {
+      const validation = window.ProgrammingSchool?.formValidation;
+      const step = this.steps[this.currentIndex];
+
+      if (validation && !await validation.validateForm(step)) {
+        step.querySelector('[aria-invalid="true"]')?.focus();
+        log('info', 'Wizard step invalid', { step: this.currentIndex + 1 });
+        return false;
+      }
+
+      this.goTo(this.currentIndex + 1);
+      return true;
+    }
+
+    /**
+     * Return to the previous step
+     */
+    back() {
+      this.goTo(this.currentIndex - 1);
+    }
+
+    /**
+     * Show the step holding a field so it can take focus
+     * @param {HTMLElement} field - Form field
+     */
+    revealField(field) {
+      const step = field?.closest(SELECTORS.STEP);
+
+      if (!step || !step.hidden) {
+        return;
+      }
+
+      this.goTo(this.steps.indexOf(step), { focus: false });
+    }
+
+    /**
+     * Human-readable value of a field
+     * @param {HTMLElement} field - Form field
+     * @returns {string} Display value, empty if not answered
+     */
+    describeValue(field) {
+      if (field.type === 'radio') {
+        const checked = this.form.querySelector(`input[name="${CSS.escape(field.name)}"]:checked`);
+        return checked ? getText(checked.closest('label')) : '';
+      }
+      if (field.type === 'checkbox') {
+        return field.checked ? t('wizard.yes') : '';
+      }
+      if (field.tagName === 'SELECT') {
+        return field.value ? getText(field.selectedOptions[0]) : '';
+      }
+      return field.value.trim();
+    }
+
+    /**
+     * Render the answers of every earlier step into the review step
+     */
+    renderSummary() {
+      const summary = this.form.querySelector(SELECTORS.SUMMARY);
+      const engine = window.ProgrammingSchool?.validation;
+
+      if (!summary) {
+        return;
+      }
+
+      summary.replaceChildren();
+
+      this.steps.slice(0, this.currentIndex).forEach((step, index) => {
+        const section = document.createElement('div');
+        section.className = 'wizard-summary-section';
+
+        const header = document.createElement('div');
+        header.className = 'wizard-summary-header';
+
+        const title = document.createElement('h3');
+        title.textContent = this.getStepTitle(index);
+
+        const editButton = document.createElement('button');
+        editButton.type = 'button';
+        editButton.className = 'field-hint-action';
+        editButton.textContent = t('wizard.edit');
+        editButton.setAttribute('aria-label', t('wizard.editStep', { title: this.getStepTitle(index) }));
+        editButton.addEventListener('click', () => this.goTo(index));
+
+        header.append(title, editButton);
+
+        const list = document.createElement('dl');
+        const seenGroups = new Set();
+
+        step.querySelectorAll(SELECTORS.FIELDS).forEach(field => {
+          if (!field.name || seenGroups.has(field.name)) {
+            return;
+          }
+          seenGroups.add(field.name);
+
+          const term = document.createElement('dt');
+          term.textContent = engine ? engine.getFieldLabel(field) : field.name;
+
+          const detail = document.createElement('dd');
+          detail.textContent = this.describeValue(field) || t('wizard.notProvided');
+
+          list.append(term, detail);
+        });
+
+        section.append(header, list);
+        summary.appendChild(section);
+      });
+    }
+  }
+
+  // ============================================
+  // Initialization
+  // ============================================
+
+  const wizards = new WeakMap();
+
+  /**
+   * Set up every wizard form
+   */
+  function init() {
+    try {
+      const forms = window.ProgrammingSchool?.forms;
+
+      document.querySelectorAll(SELECTORS.WIZARDS).forEach(form => {
+        const controller = forms?.getController(form);
+
+        if (!controller) {
+          log('warn', 'Form controller not found - wizard disabled', {
+            formId: form.id || 'unnamed',
+          });
+          return;
+        }
+
+        wizards.set(form, new FormWizard(form, controller));
+      });
+    } catch (error) {
+      log('error', 'Failed to initialize form wizards', {
+        error: error.message,
+        stack: error.stack,
+      });
+    }
+  }
+
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', init);
+  } else {
+    init();
+  }
+
+  // ============================================
+  // Public API
+  // ============================================
+
+  window.ProgrammingSchool = window.ProgrammingSchool || {};
+  window.ProgrammingSchool.wizards = Object.freeze({
+    EVENTS,
+    getWizard: form => wizards.get(form) || null,
+  });
+
+})();
\ No newline at end of file
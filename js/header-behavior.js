@@ -0,0 +1,267 @@
+/**
+ * Header Behavior - Hide-on-scroll header, reading progress and back to top
+ * Slides the sticky header away while the visitor scrolls down and brings it
+ * back as soon as they scroll up, unless focus is inside it. A thin bar shows
+ * how far down the page the visitor is, and a back-to-top button appears once
+ * the page has been scrolled far enough. Scrolling is read through one passive
+ * listener and handled at most once per animation frame.
+ *
+ * @modifies: index.html
+ * @dependencies: ["js/main.js", "js/i18n.js", "css/components.css"]
+ */
+
+(function() {
+  'use strict';
+
+  // ============================================
+  // Configuration and Constants
+  // ============================================
+
+  const CONFIG = Object.freeze({
+    // The header never hides this close to the top of the page
+    HIDE_AFTER: 200,
+    // Smaller movements (trackpad jitter, momentum tails) do not toggle the header
+    SCROLL_DELTA: 8,
+    BACK_TO_TOP_AFTER: 800,
+    BACK_TO_TOP_TARGET: '#main',
+  });
+
+  const SELECTORS = Object.freeze({
+    HEADER: 'header[role="banner"]',
+  });
+
+  const CLASSES = Object.freeze({
+    HIDDEN: 'is-hidden',
+    VISIBLE: 'is-visible',
+  });
+
+  const state = {
+    header: null,
+    progressBar: null,
+    backToTop: null,
+    lastScrollY: 0,
+    ticking: false,
+  };
+
+  // ============================================
+  // Utility Functions
+  // ============================================
+
+  /**
+   * Log structured message to console
+   * @param {string} level - Log level (info, warn, error)
+   * @param {string} message - Log message
+   * @param {Object} context - Additional context
+   */
+  function log(level, message, context = {}) {
+    const timestamp = new Date().toISOString();
+    const logData = {
+      timestamp,
+      level,
+      message,
+      module: 'header-behavior',
+      ...context,
+    };
+
+    if (level === 'error') {
+      console.error('[Programming School - Header Behavior]', logData);
+    } else if (level === 'warn') {
+      console.warn('[Programming School - Header Behavior]', logData);
+    } else {
+      console.log('[Programming School - Header Behavior]', logData);
+    }
+  }
+
+  /**
+   * Translate a message through the shared catalogs (js/i18n.js)
+   * @param {string} key - Message key
+   * @param {Object} [params] - Interpolation values
+   * @returns {string} Translated message, or the key if i18n is unavailable
+   */
+  function t(key, params) {
+    const i18n = window.ProgrammingSchool?.i18n;
+    return i18n ? i18n.t(key, params) : key;
+  }
+
+  // ============================================
+  // Header
+  // ============================================
+
+  /**
+   * Show or hide the header
+   * @param {boolean} hidden - Whether the header should slide away
+   */
+  function setHeaderHidden(hidden) {
+    state.header?.classList.toggle(CLASSES.HIDDEN, hidden);
+  }
+
+  /**
+   * Decide whether the header should be hidden for the latest scroll movement
+   * @param {number} scrollY - Current scroll position
+   */
+  function updateHeader(scrollY) {
+    if (!state.header) {
+      return;
+    }
+
+    const delta = scrollY - state.lastScrollY;
+
+    if (scrollY <= CONFIG.HIDE_AFTER) {
+      setHeaderHidden(false);
+    } else if (Math.abs(delta) < CONFIG.SCROLL_DELTA) {
+      // Too small to count as a direction change; compare against the last real movement
+      return;
+    } else if (delta > 0) {
+      // Keyboard users tabbing through the nav must be able to see it
+      setHeaderHidden(!state.header.contains(document.activeElement));
+    } else {
+      setHeaderHidden(false);
+    }
+
+    state.lastScrollY = scrollY;
+  }
+
+  // ============================================
+  // Progress and Back to Top
+  // ============================================
+
+  /**
+   * Create the reading progress bar
+   * Decorative: the scroll position is already conveyed by the browser.
+   * @returns {HTMLElement} Progress bar
+   */
+  function createProgressBar() {
+    const bar = document.createElement('div');
+    bar.className = 'scroll-progress';
+    bar.setAttribute('aria-hidden', 'true');
+    document.body.appendChild(bar);
+    return bar;
+  }
+
+  /**
+   * Create the back-to-top button
+   * @returns {HTMLButtonElement} Button
+   */
+  function createBackToTop() {
+    const button = document.createElement('button');
+    const icon = document.createElement('i');
+
+    button.type = 'button';
+    button.className = 'back-to-top';
+    button.setAttribute('aria-label', t('backToTop.label'));
+
+    icon.className = 'fas fa-arrow-up';
+    icon.setAttribute('aria-hidden', 'true');
+    button.appendChild(icon);
+
+    button.addEventListener('click', scrollToTop);
+
+    document.addEventListener('localechange', () => {
+      button.setAttribute('aria-label', t('backToTop.label'));
+    });
+
+    document.body.appendChild(button);
+    return button;
+  }
+
+  /**
+   * Scroll back to the start of the main content and focus it
+   * @returns {Promise<boolean>} Resolves true once the top is reached
+   */
+  function scrollToTop() {
+    const scroll = window.ProgrammingSchool?.scroll;
+    const target = document.querySelector(CONFIG.BACK_TO_TOP_TARGET);
+
+    if (scroll && target) {
+      return scroll.scrollToSection(target);
+    }
+
+    // Without the scroll engine (js/main.js) fall back to a native jump
+    window.scrollTo({ top: 0 });
+    if (target) {
+      target.setAttribute('tabindex', '-1');
+      target.focus({ preventScroll: true });
+    }
+    return Promise.resolve(true);
+  }
+
+  /**
+   * Update the progress bar and back-to-top visibility
+   * @param {number} scrollY - Current scroll position
+   */
+  function updateProgress(scrollY) {
+    const scrollable = document.documentElement.scrollHeight - window.innerHeight;
+    const progress = scrollable > 0 ? Math.min(scrollY / scrollable, 1) : 0;
+
+    state.progressBar.style.setProperty('--scroll-progress', progress.toFixed(4));
+    state.backToTop.classList.toggle(CLASSES.VISIBLE, scrollY > CONFIG.BACK_TO_TOP_AFTER);
+  }
+
+  // ============================================
+  // Scroll Handling
+  // ============================================
+
+  /**
+   * Apply the latest scroll position (once per frame)
+   */
+  function update() {
+    state.ticking = false;
+
+    const scrollY = Math.max(0, window.pageYOffset);
+
+    updateHeader(scrollY);
+    updateProgress(scrollY);
+  }
+
+  /**
+   * Schedule an update for the next animation frame
+   */
+  function requestUpdate() {
+    if (!state.ticking) {
+      state.ticking = true;
+      window.requestAnimationFrame(update);
+    }
+  }
+
+  // ============================================
+  // Initialization
+  // ============================================
+
+  /**
+   * Initialize header behavior, progress bar and back-to-top button
+   */
+  function init() {
+    try {
+      state.header = document.querySelector(SELECTORS.HEADER);
+      state.progressBar = createProgressBar();
+      state.backToTop = createBackToTop();
+      state.lastScrollY = window.pageYOffset;
+
+      if (state.header) {
+        // Tabbing into a hidden header brings it back
+        state.header.addEventListener('focusin', () => setHeaderHidden(false));
+      } else {
+        log('warn', 'Header not found - hide on scroll disabled');
+      }
+
+      window.addEventListener('scroll', requestUpdate, { passive: true });
+      window.addEventListener('resize', requestUpdate, { passive: true });
+
+      update();
+
+      log('info', 'Header behavior initialized');
+    } catch (error) {
+      log('error', 'Failed to initialize header behavior', {
+        error: error.message,
+        stack: error.stack,
+      });
+    }
+  }
+
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', init);
+  } else {
+    init();
+  }
+
+})();
\ No newline at end of file
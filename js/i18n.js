@@ -0,0 +1,327 @@
+/**
+ * I18n - Message catalogs, interpolation, pluralisation and text direction
+ * Other modules look up their user-facing text here with t(key, params). Catalogs
+ * are registered per locale (see js/locales/); lookups fall back from the active
+ * locale to its base language, then to English, then to the key itself. The locale
+ * comes from an override (?lang=, a stored choice or the footer language switcher,
+ * see js/language-switcher.js), then the browser languages. The static <html lang>
+ * only describes the markup, so it is the last resort.
+ *
+ * @modifies: index.html
+ * @dependencies: []
+ */
+
+(function() {
+  'use strict';
+
+  // ============================================
+  // Configuration and Constants
+  // ============================================
+
+  const CONFIG = Object.freeze({
+    DEFAULT_LOCALE: 'en',
+    STORAGE_KEY: 'programming-school:locale',
+    QUERY_PARAM: 'lang',
+    RTL_LANGUAGES: Object.freeze(['ar', 'fa', 'he', 'ur']),
+  });
+
+  const EVENTS = Object.freeze({
+    LOCALE_CHANGE: 'localechange',
+  });
+
+  // Registered catalogs keyed by lower-case locale tag
+  const catalogs = new Map();
+
+  // Locale tags in order of preference, resolved against the registered catalogs on use
+  let preferredLocales = [];
+
+  // ============================================
+  // Utility Functions
+  // ============================================
+
+  /**
+   * Log structured message to console
+   * @param {string} level - Log level (info, warn, error)
+   * @param {string} message - Log message
+   * @param {Object} context - Additional context
+   */
+  function log(level, message, context = {}) {
+    const timestamp = new Date().toISOString();
+    const logData = {
+      timestamp,
+      level,
+      message,
+      module: 'i18n',
+      ...context,
+    };
+
+    if (level === 'error') {
+      console.error('[Programming School - I18n]', logData);
+    } else if (level === 'warn') {
+      console.warn('[Programming School - I18n]', logData);
+    } else {
+      console.log('[Programming School - I18n]', logData);
+    }
+  }
+
+  /**
+   * Normalise a locale tag (e.g. "es_MX" -> "es-mx")
+   * @param {string} tag - Locale tag
+   * @returns {string} Lower-case tag, empty if missing
+   */
+  function normalizeLocale(tag) {
+    return String(tag || '').trim().replace(/_/g, '-').toLowerCase();
+  }
+
+  /**
+   * Base language of a locale tag
+   * @param {string} tag - Locale tag
+   * @returns {string} Language subtag
+   */
+  function getLanguage(tag) {
+    return normalizeLocale(tag).split('-')[0];
+  }
+
+  // ============================================
+  // Locale Detection
+  // ============================================
+
+  /**
+   * Locale chosen explicitly via the query string or a stored preference
+   * @returns {string|null} Locale tag
+   */
+  function readOverride() {
+    const fromQuery = new URLSearchParams(window.location.search).get(CONFIG.QUERY_PARAM);
+    if (fromQuery) {
+      return fromQuery;
+    }
+
+    try {
+      return window.localStorage.getItem(CONFIG.STORAGE_KEY);
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Candidate locales in order of preference
+   * @returns {string[]} Normalised locale tags
+   */
+  function detectPreferredLocales() {
+    const candidates = [
+      readOverride(),
+      ...(navigator.languages || [navigator.language]),
+      document.documentElement.getAttribute('lang'),
+    ];
+
+    return candidates.map(normalizeLocale).filter(Boolean);
+  }
+
+  /**
+   * Registered locale matching a tag, exactly or by base language
+   * @param {string} tag - Locale tag
+   * @returns {string|null} Registered locale
+   */
+  function matchCatalog(tag) {
+    const locale = normalizeLocale(tag);
+
+    if (catalogs.has(locale)) {
+      return locale;
+    }
+
+    const language = getLanguage(locale);
+    return catalogs.has(language) ? language : null;
+  }
+
+  /**
+   * Active locale: the first preferred locale with a catalog
+   * Resolved on every call, because catalogs register after this module loads.
+   * @returns {string} Locale tag
+   */
+  function getLocale() {
+    for (const candidate of preferredLocales) {
+      const match = matchCatalog(candidate);
+      if (match) {
+        return match;
+      }
+    }
+    return CONFIG.DEFAULT_LOCALE;
+  }
+
+  /**
+   * Locales that have a registered catalog
+   * @returns {string[]} Locale tags in registration order
+   */
+  function getLocales() {
+    return Array.from(catalogs.keys());
+  }
+
+  /**
+   * Whether a locale is written right to left
+   * @param {string} [locale] - Locale tag (defaults to the active locale)
+   * @returns {boolean} True for right-to-left scripts
+   */
+  function isRTL(locale = getLocale()) {
+    return CONFIG.RTL_LANGUAGES.includes(getLanguage(locale));
+  }
+
+  /**
+   * Reflect the active locale on <html lang> and dir
+   */
+  function applyDocumentLocale() {
+    const locale = getLocale();
+    document.documentElement.setAttribute('lang', locale);
+    document.documentElement.setAttribute('dir', isRTL(locale) ? 'rtl' : 'ltr');
+  }
+
+  /**
+   * Switch locale, remember the choice and notify other modules
+   * @param {string} locale - Locale tag
+   * @returns {boolean} True if a catalog exists for the locale
+   */
+  function setLocale(locale) {
+    const match = matchCatalog(locale);
+
+    if (!match) {
+      log('warn', 'No catalog for locale', { locale });
+      return false;
+    }
+
+    const previousLocale = getLocale();
+    preferredLocales = [match, ...preferredLocales.filter(candidate => candidate !== match)];
+
+    try {
+      window.localStorage.setItem(CONFIG.STORAGE_KEY, match);
+    } catch (error) {
+      log('warn', 'Failed to store locale', { error: error.message });
+    }
+
+    applyDocumentLocale();
+
+    document.dispatchEvent(new CustomEvent(EVENTS.LOCALE_CHANGE, {
+      detail: { locale: match, previousLocale, dir: isRTL(match) ? 'rtl' : 'ltr' },
+    }));
+
+    log('info', 'Locale changed', { locale: match, previousLocale });
+    return true;
+  }
+
+  // ============================================
+  // Catalogs and Lookup
+  // ============================================
+
+  /**
+   * Register (or extend) the messages of a locale
+   * Plural messages are objects keyed by Intl.PluralRules category
+   * (zero, one, two, few, many, other) and selected by params.count.
+   * @param {string} locale - Locale tag
+   * @param {Object} messages - Messages keyed by dotted message key
+   */
+  function registerCatalog(locale, messages) {
+    const key = normalizeLocale(locale);
+    catalogs.set(key, { ...(catalogs.get(key) || {}), ...messages });
+
+    // The preferred locale may only become available now
+    if (getLocale() === key) {
+      applyDocumentLocale();
+    }
+
+    log('info', 'Catalog registered', { locale: key, messageCount: Object.keys(messages).length });
+  }
+
+  /**
+   * Locales to search for a message, most specific first
+   * @param {string} locale - Active locale
+   * @returns {string[]} Locale tags
+   */
+  function getFallbackChain(locale) {
+    return [...new Set([locale, getLanguage(locale), CONFIG.DEFAULT_LOCALE])];
+  }
+
+  /**
+   * Pick the plural form for a count
+   * @param {Object} forms - Messages keyed by plural category
+   * @param {number} count - Count
+   * @param {string} locale - Locale of the forms
+   * @returns {string} Message
+   */
+  function selectPlural(forms, count, locale) {
+    if (count === 0 && forms.zero !== undefined) {
+      return forms.zero;
+    }
+
+    let category = 'other';
+    try {
+      category = new Intl.PluralRules(locale).select(count);
+    } catch (error) {
+      category = count === 1 ? 'one' : 'other';
+    }
+
+    return forms[category] ?? forms.other;
+  }
+
+  /**
+   * Replace {name} placeholders
+   * @param {string} message - Message template
+   * @param {Object} params - Values by placeholder name
+   * @param {string} locale - Locale used to format numbers
+   * @returns {string} Message
+   */
+  function interpolate(message, params, locale) {
+    return message.replace(/\{(\w+)\}/g, (placeholder, name) => {
+      if (!(name in params)) {
+        return placeholder;
+      }
+      const value = params[name];
+      return typeof value === 'number' ? value.toLocaleString(locale) : String(value);
+    });
+  }
+
+  /**
+   * Translate a message key
+   * @param {string} key - Message key (e.g. "validation.required")
+   * @param {Object} [params] - Interpolation values; count selects the plural form
+   * @returns {string} Translated message, or the key if no catalog has it
+   */
+  function t(key, params = {}) {
+    for (const locale of getFallbackChain(getLocale())) {
+      const message = catalogs.get(locale)?.[key];
+
+      if (message === undefined) {
+        continue;
+      }
+
+      const template = typeof message === 'object'
+        ? selectPlural(message, Number(params.count), locale)
+        : message;
+
+      return interpolate(String(template ?? ''), params, locale);
+    }
+
+    log('warn', 'Missing translation', { key, locale: getLocale() });
+    return key;
+  }
+
+  // ============================================
+  // Initialization
+  // ============================================
+
+  preferredLocales = detectPreferredLocales();
+
+  // ============================================
+  // Public API
+  // ============================================
+
+  window.ProgrammingSchool = window.ProgrammingSchool || {};
+  window.ProgrammingSchool.i18n = Object.freeze({
+    version: '1.0.0',
+    EVENTS,
+    t,
+    getLocale,
+    getLocales,
+    setLocale,
+    isRTL,
+    registerCatalog,
+  });
+
+})();
\ No newline at end of file
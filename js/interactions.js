@@ -1,11 +1,12 @@
 /**
- * Interactions JavaScript - Morphing Button States and Form Submission
- * Handles button state transitions (idle, loading, success, error) and form submission
- * with AJAX-like simulation for enhanced user feedback
+ * Interactions JavaScript - Morphing Button States and Form Controller
+ * Drives every [data-morphing-button] through a registry of declared states (idle, loading,
+ * progress, success, error, queued, disabled-until, plus any registered later) and owns the
+ * lifecycle (validate, submit, result) of every [data-form-controller] form with hooks for other modules
  * 
  * @generated-from: task-id:TASK-007
  * @modifies: index.html
- * @dependencies: ["js/main.js", "css/components.css"]
+ * @dependencies: ["js/transport.js", "js/submission-queue.js", "js/main.js", "css/components.css"]
  */
 
 (function() {
@@ -20,22 +21,169 @@
     LOADING_MIN_DURATION: 1000,
     SUCCESS_DISPLAY_DURATION: 3000,
     ERROR_DISPLAY_DURATION: 3000,
+    QUEUED_DISPLAY_DURATION: 4000,
     ANIMATION_TIMING: 'cubic-bezier(0.4, 0, 0.2, 1)',
   });
 
   const BUTTON_STATES = Object.freeze({
     IDLE: 'idle',
     LOADING: 'loading',
+    PROGRESS: 'progress',
     SUCCESS: 'success',
     ERROR: 'error',
+    QUEUED: 'queued',
+    DISABLED_UNTIL: 'disabled-until',
+  });
+
+  const HOOKS = Object.freeze({
+    BEFORE_VALIDATE: 'beforeValidate',
+    BEFORE_SUBMIT: 'beforeSubmit',
+    AFTER_SUBMIT: 'afterSubmit',
   });
 
   const SELECTORS = Object.freeze({
-    CONTACT_FORM: '.contact-form',
-    SUBMIT_BUTTON: '.contact-form .btn-primary',
+    FORMS: 'form[data-form-controller]',
+    SUBMIT_BUTTON: 'button[type="submit"][data-morphing-button]',
+    MORPHING_BUTTONS: '[data-morphing-button]',
+    CANCEL_BUTTON: '[data-form-cancel]',
     FORM_INPUTS: 'input, textarea, select',
   });
 
+  // ============================================
+  // Button State Registry
+  // ============================================
+
+  /**
+   * Declared button states keyed by name. Each definition describes:
+   * - label: default text (overridable per button via data-<state>-text)
+   * - labelKey: catalog key of the default text, translated on render (wins over label)
+   * - icon: glyph shown before the text, spinner: show a spinner instead
+   * - progress: render a determinate fill bar (see updateProgress)
+   * - disabled, busy, live: button disabled flag, aria-busy and aria-live
+   * - duration: auto-reset delay in ms (null to stay), resetTo: state to reset to
+   * - transitions: states reachable from this one
+   * - render(manager, options): optional custom rendering
+   */
+  const stateRegistry = new Map();
+
+  /**
+   * Declare a button state
+   * @param {string} name - State name (also used as the button class)
+   * @param {Object} definition - State definition (see stateRegistry)
+   * @param {string[]} [definition.from] - Existing states that may transition into this one
+   */
+  function registerButtonState(name, definition = {}) {
+    if (!name || typeof name !== 'string') {
+      throw new TypeError('Button state name must be a non-empty string');
+    }
+
+    const { from = [], ...rest } = definition;
+
+    stateRegistry.set(name, Object.freeze({
+      label: '',
+      labelKey: null,
+      icon: null,
+      spinner: false,
+      progress: false,
+      disabled: false,
+      busy: false,
+      live: 'polite',
+      duration: null,
+      resetTo: BUTTON_STATES.IDLE,
+      transitions: [],
+      render: null,
+      ...rest,
+    }));
+
+    from.forEach(source => {
+      const sourceDefinition = stateRegistry.get(source);
+      if (sourceDefinition && !sourceDefinition.transitions.includes(name)) {
+        stateRegistry.set(source, Object.freeze({
+          ...sourceDefinition,
+          transitions: [...sourceDefinition.transitions, name],
+        }));
+      }
+    });
+
+    log('info', 'Button state registered', { name });
+  }
+
+  registerButtonState(BUTTON_STATES.IDLE, {
+    live: 'off',
+    // ERROR is reachable directly when a hook or proof of work fails before loading starts
+    transitions: [
+      BUTTON_STATES.LOADING,
+      BUTTON_STATES.PROGRESS,
+      BUTTON_STATES.ERROR,
+      BUTTON_STATES.QUEUED,
+      BUTTON_STATES.DISABLED_UNTIL,
+    ],
+    render: manager => manager.restoreOriginalContent(),
+  });
+
+  registerButtonState(BUTTON_STATES.LOADING, {
+    labelKey: 'button.loading',
+    spinner: true,
+    disabled: true,
+    busy: true,
+    transitions: [
+      BUTTON_STATES.IDLE,
+      BUTTON_STATES.PROGRESS,
+      BUTTON_STATES.SUCCESS,
+      BUTTON_STATES.ERROR,
+      BUTTON_STATES.QUEUED,
+    ],
+  });
+
+  registerButtonState(BUTTON_STATES.PROGRESS, {
+    labelKey: 'button.progress',
+    progress: true,
+    disabled: true,
+    busy: true,
+    transitions: [BUTTON_STATES.IDLE, BUTTON_STATES.SUCCESS, BUTTON_STATES.ERROR, BUTTON_STATES.QUEUED],
+  });
+
+  registerButtonState(BUTTON_STATES.SUCCESS, {
+    labelKey: 'button.success',
+    icon: '✓',
+    disabled: true,
+    duration: CONFIG.SUCCESS_DISPLAY_DURATION,
+    transitions: [BUTTON_STATES.IDLE],
+  });
+
+  registerButtonState(BUTTON_STATES.ERROR, {
+    labelKey: 'button.error',
+    icon: '✕',
+    live: 'assertive',
+    duration: CONFIG.ERROR_DISPLAY_DURATION,
+    transitions: [
+      BUTTON_STATES.IDLE,
+      BUTTON_STATES.LOADING,
+      BUTTON_STATES.PROGRESS,
+      BUTTON_STATES.QUEUED,
+      BUTTON_STATES.DISABLED_UNTIL,
+    ],
+  });
+
+  registerButtonState(BUTTON_STATES.QUEUED, {
+    labelKey: 'button.queued',
+    icon: '⏳',
+    disabled: true,
+    duration: CONFIG.QUEUED_DISPLAY_DURATION,
+    transitions: [BUTTON_STATES.IDLE],
+  });
+
+  // The countdown re-renders every second, so it stays silent; the error
+  // summary announces the wait once
+  registerButtonState(BUTTON_STATES.DISABLED_UNTIL, {
+    labelKey: 'button.disabledUntil',
+    icon: '⏱',
+    disabled: true,
+    live: 'off',
+    transitions: [BUTTON_STATES.IDLE],
+    render: (manager, options) => manager.startCountdown(options),
+  });
+
   // ============================================
   // Button State Management
   // ============================================
@@ -47,13 +195,11 @@
     constructor(button) {
       this.button = button;
       this.currentState = BUTTON_STATES.IDLE;
-      this.originalContent = button.innerHTML;
       this.stateTimeout = null;
-      
-      // Store original text for restoration
-      if (!button.hasAttribute('data-original-content')) {
-        button.setAttribute('data-original-content', this.originalContent);
-      }
+      this.stateInterval = null;
+
+      // Keep the original markup as nodes so idle can be restored without innerHTML
+      this.originalContent = Array.from(button.childNodes).map(node => node.cloneNode(true));
 
       this.init();
     }
@@ -71,133 +217,227 @@
       });
     }
 
+    /**
+     * Whether a state can be entered from the current one
+     * @param {string} state - Target state
+     * @returns {boolean} True if the transition is allowed
+     */
+    canTransition(state) {
+      if (state === this.currentState) {
+        return true;
+      }
+
+      const current = stateRegistry.get(this.currentState);
+      return Boolean(current && current.transitions.includes(state));
+    }
+
     /**
      * Set button state with appropriate visual feedback
      * @param {string} state - Target state
-     * @param {Object} options - State options
+     * @param {Object} options - State options (text, duration and state-specific values)
+     * @returns {boolean} True if the state was applied
      */
     setState(state, options = {}) {
-      // Clear any pending state transitions
-      if (this.stateTimeout) {
-        clearTimeout(this.stateTimeout);
-        this.stateTimeout = null;
+      const definition = stateRegistry.get(state);
+
+      if (!definition) {
+        log('warn', 'Unknown button state', { state });
+        return false;
       }
 
+      if (!this.canTransition(state)) {
+        log('warn', 'Illegal button state transition rejected', {
+          from: this.currentState,
+          to: state,
+        });
+        return false;
+      }
+
+      // Clear any pending state transitions
+      this.clearTimers();
+
       // Remove all state classes
-      Object.values(BUTTON_STATES).forEach(s => {
-        this.button.classList.remove(s);
+      stateRegistry.forEach((_, name) => {
+        this.button.classList.remove(name);
       });
+      this.button.style.removeProperty('--btn-progress');
 
       // Update current state
+      const previousState = this.currentState;
       this.currentState = state;
       this.button.classList.add(state);
 
-      // Apply state-specific changes
-      switch (state) {
-        case BUTTON_STATES.IDLE:
-          this.setIdleState();
-          break;
-        case BUTTON_STATES.LOADING:
-          this.setLoadingState(options);
-          break;
-        case BUTTON_STATES.SUCCESS:
-          this.setSuccessState(options);
-          break;
-        case BUTTON_STATES.ERROR:
-          this.setErrorState(options);
-          break;
-        default:
-          log('warn', 'Unknown button state', { state });
+      this.button.disabled = definition.disabled;
+      this.button.setAttribute('aria-busy', String(definition.busy));
+      this.button.setAttribute('aria-live', definition.live);
+
+      // Apply state-specific content
+      if (definition.render) {
+        definition.render(this, options);
+      } else {
+        this.renderContent(state, definition, options);
+      }
+
+      // Auto-reset after duration
+      const duration = options.duration ?? definition.duration;
+      if (duration) {
+        this.stateTimeout = setTimeout(() => {
+          this.setState(definition.resetTo);
+        }, duration);
       }
 
+      this.button.dispatchEvent(new CustomEvent('buttonstatechange', {
+        detail: { previousState, state, options },
+        bubbles: true,
+      }));
+
       log('info', 'Button state changed', {
+        from: previousState,
         state,
         disabled: this.button.disabled,
       });
+
+      return true;
     }
 
     /**
-     * Set idle state
+     * Label for a state, honouring per-button data-<state>-text overrides
+     * @param {string} state - State name
+     * @param {Object} definition - State definition
+     * @param {Object} options - State options
+     * @returns {string} Label
      */
-    setIdleState() {
-      this.button.disabled = false;
-      this.button.setAttribute('aria-busy', 'false');
-      this.button.setAttribute('aria-live', 'off');
-      
-      const originalContent = this.button.getAttribute('data-original-content');
-      this.button.innerHTML = originalContent || this.originalContent;
+    getLabel(state, definition, options) {
+      return options.text ||
+        this.button.getAttribute(`data-${state}-text`) ||
+        (definition.labelKey ? t(definition.labelKey) : definition.label);
     }
 
     /**
-     * Set loading state
-     * @param {Object} options - Loading options
+     * Render icon/spinner, optional progress bar and label
+     * @param {string} state - State name
+     * @param {Object} definition - State definition
+     * @param {Object} options - State options
      */
-    setLoadingState(options = {}) {
-      this.button.disabled = true;
-      this.button.setAttribute('aria-busy', 'true');
-      this.button.setAttribute('aria-live', 'polite');
-      
-      const loadingText = options.text || 'Sending...';
-      
-      // Create loading content with spinner
-      this.button.innerHTML = `
-        <span class="btn-content">
-          <span class="btn-spinner" aria-hidden="true"></span>
-          <span class="btn-text">${loadingText}</span>
-        </span>
-      `;
+    renderContent(state, definition, options) {
+      const content = document.createElement('span');
+      content.className = 'btn-content';
+
+      if (definition.spinner) {
+        const spinner = document.createElement('span');
+        spinner.className = 'btn-spinner';
+        spinner.setAttribute('aria-hidden', 'true');
+        content.appendChild(spinner);
+      } else if (definition.icon) {
+        const icon = document.createElement('span');
+        icon.className = `btn-icon btn-icon-${state}`;
+        icon.setAttribute('aria-hidden', 'true');
+        icon.textContent = definition.icon;
+        content.appendChild(icon);
+      }
+
+      const text = document.createElement('span');
+      text.className = 'btn-text';
+      text.textContent = this.getLabel(state, definition, options);
+      content.appendChild(text);
+
+      if (definition.progress) {
+        const bar = document.createElement('span');
+        bar.className = 'btn-progress-bar';
+        bar.setAttribute('aria-hidden', 'true');
+        this.button.replaceChildren(bar, content);
+        this.updateProgress(options.percent || 0, options);
+      } else {
+        this.button.replaceChildren(content);
+      }
     }
 
     /**
-     * Set success state
-     * @param {Object} options - Success options
+     * Restore the button's original content
      */
-    setSuccessState(options = {}) {
-      this.button.disabled = true;
-      this.button.setAttribute('aria-busy', 'false');
-      this.button.setAttribute('aria-live', 'polite');
-      
-      const successText = options.text || 'Message Sent!';
-      
-      // Create success content with checkmark
-      this.button.innerHTML = `
-        <span class="btn-content">
-          <span class="btn-icon btn-icon-success" aria-hidden="true">✓</span>
-          <span class="btn-text">${successText}</span>
-        </span>
-      `;
+    restoreOriginalContent() {
+      this.button.replaceChildren(...this.originalContent.map(node => node.cloneNode(true)));
+    }
+
+    /**
+     * Replace the content restored in the idle state (e.g. after translation,
+     * see js/newsletter.js)
+     * @param {string} text - New idle label
+     */
+    setOriginalContent(text) {
+      this.originalContent = [document.createTextNode(text)];
 
-      // Auto-reset to idle after duration
-      const duration = options.duration || CONFIG.SUCCESS_DISPLAY_DURATION;
-      this.stateTimeout = setTimeout(() => {
-        this.setState(BUTTON_STATES.IDLE);
-      }, duration);
+      if (this.currentState === BUTTON_STATES.IDLE) {
+        this.restoreOriginalContent();
+      }
     }
 
     /**
-     * Set error state
-     * @param {Object} options - Error options
+     * Update the progress state without re-rendering it
+     * @param {number} percent - Completion from 0 to 100
+     * @param {Object} options - Progress options
      */
-    setErrorState(options = {}) {
-      this.button.disabled = false;
-      this.button.setAttribute('aria-busy', 'false');
-      this.button.setAttribute('aria-live', 'assertive');
-      
-      const errorText = options.text || 'Failed - Try Again';
-      
-      // Create error content with X icon
-      this.button.innerHTML = `
-        <span class="btn-content">
-          <span class="btn-icon btn-icon-error" aria-hidden="true">✕</span>
-          <span class="btn-text">${errorText}</span>
-        </span>
-      `;
+    updateProgress(percent, options = {}) {
+      const definition = stateRegistry.get(this.currentState);
+      const text = this.button.querySelector('.btn-text');
+
+      if (!definition?.progress || !text) {
+        return;
+      }
+
+      const value = Math.max(0, Math.min(100, Math.round(percent)));
+      const progressText = this.getLabel(this.currentState, definition, options);
+
+      this.button.style.setProperty('--btn-progress', `${value}%`);
+      text.textContent = value >= 100 ? t('button.processing') : `${progressText} ${value}%`;
+    }
+
+    /**
+     * Count down to options.until, then reset
+     * Waits over a minute are shown in minutes (button.disabledUntilMinutes).
+     * @param {Object} options - { until: Date|number, text } with {seconds} in a custom text
+     */
+    startCountdown(options = {}) {
+      const state = this.currentState;
+      const definition = stateRegistry.get(state);
+      const until = new Date(options.until || Date.now()).getTime();
+      const customText = options.text || this.button.getAttribute(`data-${state}-text`);
+
+      const render = () => {
+        const seconds = Math.max(1, Math.ceil((until - Date.now()) / 1000));
+        let label;
+
+        if (customText) {
+          label = customText.replace('{seconds}', seconds);
+        } else if (seconds > 60) {
+          const minutes = Math.ceil(seconds / 60);
+          label = t('button.disabledUntilMinutes', { count: minutes, minutes });
+        } else {
+          label = t(definition.labelKey, { count: seconds, seconds });
+        }
+
+        this.renderContent(state, definition, { text: label });
+      };
+
+      render();
 
-      // Auto-reset to idle after duration
-      const duration = options.duration || CONFIG.ERROR_DISPLAY_DURATION;
-      this.stateTimeout = setTimeout(() => {
-        this.setState(BUTTON_STATES.IDLE);
-      }, duration);
+      // setState clears timers before rendering, so these survive until the next state
+      this.stateInterval = setInterval(render, 1000);
+      this.stateTimeout = setTimeout(() => this.setState(definition.resetTo), Math.max(0, until - Date.now()));
+    }
+
+    /**
+     * Clear pending auto-reset and countdown timers
+     */
+    clearTimers() {
+      if (this.stateTimeout) {
+        clearTimeout(this.stateTimeout);
+        this.stateTimeout = null;
+      }
+      if (this.stateInterval) {
+        clearInterval(this.stateInterval);
+        this.stateInterval = null;
+      }
     }
 
     /**
@@ -209,52 +449,139 @@
     }
 
     /**
-     * Check if button is in loading state
+     * Check if button is in a busy state (loading or progress)
      * @returns {boolean} True if loading
      */
     isLoading() {
-      return this.currentState === BUTTON_STATES.LOADING;
+      return Boolean(stateRegistry.get(this.currentState)?.busy);
     }
 
     /**
      * Cleanup and destroy manager
      */
     destroy() {
-      if (this.stateTimeout) {
-        clearTimeout(this.stateTimeout);
-      }
-      this.setState(BUTTON_STATES.IDLE);
+      this.clearTimers();
+      this.currentState = BUTTON_STATES.IDLE;
+      this.restoreOriginalContent();
+      this.button.disabled = false;
+      stateRegistry.forEach((_, name) => {
+        this.button.classList.remove(name);
+      });
       this.button.classList.remove('btn-morphing');
     }
   }
 
+  // Managers for every morphing button, whether or not it submits a form
+  const buttonManagers = new WeakMap();
+
+  /**
+   * Get (or create) the state manager for a button
+   * @param {HTMLElement} button - Button element
+   * @returns {ButtonStateManager} Manager
+   */
+  function getButtonManager(button) {
+    if (!buttonManagers.has(button)) {
+      buttonManagers.set(button, new ButtonStateManager(button));
+    }
+    return buttonManagers.get(button);
+  }
+
   // ============================================
-  // Form Submission Handler
+  // Form Controller
   // ============================================
 
   /**
-   * Form submission manager with AJAX-like simulation
+   * Form controller owning the validate → submit → result lifecycle.
+   * Other modules extend it through hooks instead of adding submit listeners:
+   * - beforeValidate(context): runs before validation; return false to cancel
+   * - beforeSubmit(context): runs after validation with context.data populated;
+   *   may modify context.data or return false to cancel. Setting context.rejected
+   *   (a reason) fakes a success for suspected bots; setting context.blockedUntil
+   *   (a timestamp) tells the visitor when they can submit again
+   * - afterSubmit(context): runs once the outcome is known
+   *   (context.outcome is 'success', 'error', 'queued', 'cancelled', 'rejected' or 'blocked')
+   * A formControllerReady event (detail: { controller }) is dispatched on the form
+   * once its controller exists, for modules that initialise before this one.
    */
-  class FormSubmissionManager {
+  class FormController {
     constructor(form, buttonManager) {
       this.form = form;
       this.buttonManager = buttonManager;
+      this.cancelButton = form.querySelector(SELECTORS.CANCEL_BUTTON);
+      this.abortController = null;
+      this.resetTimeout = null;
       this.isSubmitting = false;
+      this.hooks = {
+        [HOOKS.BEFORE_VALIDATE]: [],
+        [HOOKS.BEFORE_SUBMIT]: [],
+        [HOOKS.AFTER_SUBMIT]: [],
+      };
       
       this.init();
     }
 
     /**
-     * Initialize form submission manager
+     * Initialize form controller
      */
     init() {
       this.form.addEventListener('submit', this.handleSubmit.bind(this));
+      this.cancelButton?.addEventListener('click', () => this.cancel());
       
-      log('info', 'Form submission manager initialized', {
+      log('info', 'Form controller initialized', {
         formId: this.form.id || 'unnamed',
       });
     }
 
+    /**
+     * Register a lifecycle hook
+     * @param {string} name - Hook name (see HOOKS)
+     * @param {Function} callback - Hook receiving the submission context
+     * @returns {Function} Function removing the hook
+     */
+    addHook(name, callback) {
+      if (!this.hooks[name]) {
+        throw new Error(`Unknown form hook "${name}"`);
+      }
+
+      this.hooks[name].push(callback);
+
+      return () => {
+        this.hooks[name] = this.hooks[name].filter(hook => hook !== callback);
+      };
+    }
+
+    /**
+     * Run hooks in registration order
+     * @param {string} name - Hook name
+     * @param {Object} context - Submission context
+     * @returns {Promise<boolean>} False if a hook cancelled the submission
+     */
+    async runHooks(name, context) {
+      for (const hook of this.hooks[name]) {
+        if (await hook(context) === false) {
+          log('info', 'Form submission cancelled by hook', { hook: name });
+          return false;
+        }
+      }
+      return true;
+    }
+
+    /**
+     * Validate the form through the shared validation helpers
+     * @returns {Promise<boolean>} True if form is valid
+     */
+    async validate() {
+      const validation = window.ProgrammingSchool?.formValidation;
+
+      if (!validation) {
+        log('warn', 'Form validation not available - submitting unvalidated');
+        return true;
+      }
+
+      validation.clearAllErrors(this.form);
+      return validation.validateForm(this.form);
+    }
+
     /**
      * Handle form submission
      * @param {Event} event - Submit event
@@ -268,26 +595,79 @@
         return;
       }
 
+      const context = {
+        form: this.form,
+        data: null,
+        idempotencyKey: window.ProgrammingSchool?.submissionQueue?.createIdempotencyKey(),
+        outcome: null,
+        result: null,
+        error: null,
+        rejected: null,
+        blockedUntil: null,
+      };
+
       try {
         this.isSubmitting = true;
-        
+
+        if (!await this.runHooks(HOOKS.BEFORE_VALIDATE, context)) {
+          return;
+        }
+
+        if (!await this.validate()) {
+          log('warn', 'Form validation failed');
+          this.showErrorSummary();
+          return;
+        }
+
         // Collect form data
         const formData = new FormData(this.form);
-        const data = Object.fromEntries(formData.entries());
+        context.data = Object.fromEntries(formData.entries());
+
+        if (!await this.runHooks(HOOKS.BEFORE_SUBMIT, context)) {
+          return;
+        }
+
+        // A hook flagged the submission as spam - look successful but send nothing
+        if (context.rejected) {
+          await this.handleRejected(context);
+          return;
+        }
+
+        if (context.blockedUntil) {
+          context.outcome = 'blocked';
+          this.handleBlocked(context.blockedUntil);
+          return;
+        }
 
         log('info', 'Form submission started', {
-          fields: Object.keys(data),
+          fields: Object.keys(context.data),
+          idempotencyKey: context.idempotencyKey,
           timestamp: new Date().toISOString(),
         });
 
-        // Set loading state
-        this.buttonManager.setState(BUTTON_STATES.LOADING, {
-          text: 'Sending...',
-        });
+        // Skip the network entirely when the browser knows it is offline
+        if (navigator.onLine === false && this.queueSubmission(context, 'offline')) {
+          return;
+        }
 
-        // Simulate API call with minimum loading duration
+        // Files get a determinate progress state and can be cancelled mid-upload
+        const hasFiles = Boolean(window.ProgrammingSchool?.transport?.hasFiles(context.data));
+        this.abortController = new AbortController();
+
+        if (hasFiles) {
+          this.buttonManager.setState(BUTTON_STATES.PROGRESS, { percent: 0 });
+          this.setCancelVisible(true);
+        } else {
+          this.buttonManager.setState(BUTTON_STATES.LOADING);
+        }
+
+        // Submit with minimum loading duration
         const startTime = Date.now();
-        const result = await this.simulateSubmission(data);
+        const result = await this.submit(context.data, {
+          idempotencyKey: context.idempotencyKey,
+          signal: this.abortController.signal,
+          onUploadProgress: hasFiles ? progress => this.buttonManager.updateProgress(progress.percent) : undefined,
+        });
         const elapsed = Date.now() - startTime;
         
         // Ensure minimum loading duration for better UX
@@ -295,18 +675,215 @@
           await this.delay(CONFIG.LOADING_MIN_DURATION - elapsed);
         }
 
-        // Handle success
-        if (result.success) {
-          this.handleSuccess(result);
-        } else {
-          this.handleError(result.error);
-        }
+        context.outcome = 'success';
+        context.result = result;
+        this.handleSuccess(result);
 
       } catch (error) {
+        if (error?.type === window.ProgrammingSchool?.transport?.ERROR_TYPES.ABORTED) {
+          context.outcome = 'cancelled';
+          this.handleCancelled();
+          return;
+        }
+        if (context.data && this.isUndelivered(error) && this.queueSubmission(context, error.type)) {
+          return;
+        }
+        context.outcome = 'error';
+        context.error = error;
         this.handleError(error);
       } finally {
         this.isSubmitting = false;
+        this.abortController = null;
+        this.setCancelVisible(false);
+
+        if (context.outcome) {
+          this.runHooks(HOOKS.AFTER_SUBMIT, context).catch(error => {
+            log('error', 'afterSubmit hook failed', {
+              error: error.message,
+              stack: error.stack,
+            });
+          });
+        }
+      }
+    }
+
+    /**
+     * Abort the submission in flight
+     * @returns {boolean} True if there was a submission to cancel
+     */
+    cancel() {
+      if (!this.abortController) {
+        return false;
+      }
+
+      this.abortController.abort();
+      return true;
+    }
+
+    /**
+     * Success label, read at display time so relabelled forms stay current
+     * @returns {string|null} data-success-text, or null for the translated default
+     */
+    getSuccessText() {
+      return this.form.getAttribute('data-success-text');
+    }
+
+    /**
+     * Clear the form once the outcome has been shown
+     * @param {number} delay - Delay in milliseconds
+     */
+    scheduleReset(delay) {
+      this.cancelPendingReset();
+
+      this.resetTimeout = setTimeout(() => {
+        this.resetTimeout = null;
+        this.form.reset();
+        this.clearFormErrors();
+      }, delay);
+    }
+
+    /**
+     * Keep the form as it is when the visitor has already moved on
+     * (e.g. started a new message before the scheduled reset)
+     * @returns {boolean} True if a reset was pending
+     */
+    cancelPendingReset() {
+      if (!this.resetTimeout) {
+        return false;
       }
+
+      clearTimeout(this.resetTimeout);
+      this.resetTimeout = null;
+      return true;
+    }
+
+    /**
+     * Show or hide the form's cancel button
+     * @param {boolean} visible - Whether the button should be shown
+     */
+    setCancelVisible(visible) {
+      if (this.cancelButton) {
+        this.cancelButton.hidden = !visible;
+      }
+    }
+
+    /**
+     * Handle a submission cancelled by the visitor
+     */
+    handleCancelled() {
+      this.buttonManager.setState(BUTTON_STATES.IDLE);
+      this.buttonManager.button.focus();
+
+      log('info', 'Form submission cancelled', {
+        timestamp: new Date().toISOString(),
+      });
+
+      this.form.dispatchEvent(new CustomEvent('formSubmitCancelled', {
+        bubbles: true,
+      }));
+    }
+
+    /**
+     * Whether a failed submission never got an answer from the server
+     * Network failures and timeouts count even while navigator.onLine still
+     * reports a (flaky) connection; server errors are shown, not queued.
+     * @param {Error|Object} error - Submission error
+     * @returns {boolean} True if the submission should wait for the connection
+     */
+    isUndelivered(error) {
+      const errorTypes = window.ProgrammingSchool?.transport?.ERROR_TYPES;
+
+      return Boolean(errorTypes) &&
+        [errorTypes.NETWORK, errorTypes.TIMEOUT].includes(error?.type);
+    }
+
+    /**
+     * Persist an undeliverable submission for automatic replay
+     * @param {Object} context - Submission context
+     * @param {string} reason - Why the submission was queued
+     * @returns {boolean} True if the submission was queued
+     */
+    queueSubmission(context, reason) {
+      const queue = window.ProgrammingSchool?.submissionQueue;
+      const { data, idempotencyKey } = context;
+
+      // Files cannot be persisted to localStorage
+      if (window.ProgrammingSchool?.transport?.hasFiles(data)) {
+        log('warn', 'Submission with attachments cannot be queued', { reason });
+        return false;
+      }
+
+      if (!queue || !idempotencyKey || !queue.enqueue(this.form, data, idempotencyKey)) {
+        return false;
+      }
+
+      context.outcome = 'queued';
+      this.handleQueued({ idempotencyKey, reason });
+      return true;
+    }
+
+    /**
+     * Handle submission queued for later delivery
+     * @param {Object} detail - Queue details
+     */
+    handleQueued(detail) {
+      this.buttonManager.setState(BUTTON_STATES.QUEUED, {
+        duration: CONFIG.QUEUED_DISPLAY_DURATION,
+      });
+
+      // The lead is safe locally, so clear the form as on success
+      this.scheduleReset(CONFIG.QUEUED_DISPLAY_DURATION);
+
+      log('info', 'Form submission queued', {
+        ...detail,
+        timestamp: new Date().toISOString(),
+      });
+
+      // Dispatch custom event for external listeners
+      this.form.dispatchEvent(new CustomEvent('formSubmitQueued', {
+        detail,
+        bubbles: true,
+      }));
+    }
+
+    /**
+     * Mimic a successful submission without sending it
+     * @param {Object} context - Submission context with a rejection reason
+     */
+    async handleRejected(context) {
+      this.buttonManager.setState(BUTTON_STATES.LOADING);
+
+      await this.delay(CONFIG.LOADING_MIN_DURATION);
+
+      context.outcome = 'rejected';
+
+      this.buttonManager.setState(BUTTON_STATES.SUCCESS, {
+        text: this.getSuccessText(),
+        duration: CONFIG.SUCCESS_DISPLAY_DURATION,
+      });
+
+      this.scheduleReset(CONFIG.SUCCESS_DISPLAY_DURATION);
+
+      log('warn', 'Form submission rejected', {
+        reason: context.rejected,
+        timestamp: new Date().toISOString(),
+      });
+    }
+
+    /**
+     * Keep the visitor from submitting until a limit expires, saying why
+     * @param {number} until - Timestamp the form can be submitted again
+     */
+    handleBlocked(until) {
+      const minutes = Math.max(1, Math.ceil((until - Date.now()) / 60000));
+
+      this.buttonManager.setState(BUTTON_STATES.DISABLED_UNTIL, { until });
+      this.showErrorSummary([t('form.rateLimited', { count: minutes })]);
+
+      log('warn', 'Form submission blocked', {
+        until: new Date(until).toISOString(),
+        timestamp: new Date().toISOString(),
+      });
     }
 
     /**
@@ -315,15 +892,12 @@
      */
     handleSuccess(result) {
       this.buttonManager.setState(BUTTON_STATES.SUCCESS, {
-        text: 'Message Sent!',
+        text: this.getSuccessText(),
         duration: CONFIG.SUCCESS_DISPLAY_DURATION,
       });
 
       // Reset form after success display
-      setTimeout(() => {
-        this.form.reset();
-        this.clearFormErrors();
-      }, CONFIG.SUCCESS_DISPLAY_DURATION);
+      this.scheduleReset(CONFIG.SUCCESS_DISPLAY_DURATION);
 
       log('info', 'Form submission successful', {
         result,
@@ -342,17 +916,20 @@
      * @param {Error|Object} error - Error object
      */
     handleError(error) {
-      const errorMessage = error?.message || 'Submission failed';
+      const errorMessage = error?.message || t('form.submitFailed');
       
       this.buttonManager.setState(BUTTON_STATES.ERROR, {
-        text: 'Failed - Try Again',
         duration: CONFIG.ERROR_DISPLAY_DURATION,
       });
 
-      this.showFormError(errorMessage);
+      // Field errors are listed in the summary; anything else becomes a form-level message
+      const unmatchedErrors = this.applyFieldErrors(error);
+      this.showErrorSummary(unmatchedErrors || [errorMessage]);
 
       log('error', 'Form submission failed', {
         error: errorMessage,
+        type: error?.type,
+        status: error?.status,
         stack: error?.stack,
         timestamp: new Date().toISOString(),
       });
@@ -365,76 +942,56 @@
     }
 
     /**
-     * Simulate form submission (replace with actual API call)
+     * Send form data through the shared submission transport
      * @param {Object} data - Form data
+     * @param {Object} options - Transport options
      * @returns {Promise<Object>} Submission result
      */
-    async simulateSubmission(data) {
-      return new Promise((resolve, reject) => {
-        // Simulate network delay (1-3 seconds)
-        const delay = 1000 + Math.random() * 2000;
-        
-        setTimeout(() => {
-          // Simulate 85% success rate
-          if (Math.random() > 0.15) {
-            resolve({
-              success: true,
-              data,
-              message: 'Form submitted successfully',
-              timestamp: new Date().toISOString(),
-            });
-          } else {
-            reject(new Error('Network error: Unable to reach server'));
-          }
-        }, delay);
-      });
+    async submit(data, options = {}) {
+      const transport = window.ProgrammingSchool?.transport;
+
+      if (!transport) {
+        throw new Error('Submission transport not available');
+      }
+
+      return transport.submit(this.form, data, options);
     }
 
     /**
-     * Show form-level error message
-     * @param {string} message - Error message
+     * Route server-side field errors onto their fields
+     * @param {Error|Object} error - Error object
+     * @returns {string[]|null} Unmatched messages, or null when there were no field errors
      */
-    showFormError(message) {
-      // Remove existing error
-      const existingError = this.form.querySelector('.form-error-message');
-      if (existingError) {
-        existingError.remove();
+    applyFieldErrors(error) {
+      const validation = window.ProgrammingSchool?.formValidation;
+
+      if (!error?.fieldErrors || !validation) {
+        return null;
       }
 
-      // Create error element
-      const errorElement = document.createElement('div');
-      errorElement.className = 'form-error-message';
-      errorElement.setAttribute('role', 'alert');
-      errorElement.setAttribute('aria-live', 'assertive');
-      errorElement.textContent = message;
-      
-      // Style error message
-      Object.assign(errorElement.style, {
-        padding: '1rem',
-        marginBottom: '1rem',
-        backgroundColor: 'hsl(0, 70%, 95%)',
-        color: 'hsl(0, 70%, 40%)',
-        borderRadius: '0.5rem',
-        border: '1px solid hsl(0, 70%, 80%)',
-        fontSize: '0.875rem',
-        fontWeight: '500',
-      });
+      return validation.applyServerErrors(this.form, error.fieldErrors);
+    }
 
-      // Insert at top of form
-      this.form.insertBefore(errorElement, this.form.firstChild);
+    /**
+     * Show the error summary for the form's invalid fields and any form-level messages
+     * @param {string[]} messages - Messages not tied to a field
+     */
+    showErrorSummary(messages = []) {
+      const summary = window.ProgrammingSchool?.errorSummary;
+
+      if (!summary) {
+        log('warn', 'Error summary not available', { messages });
+        return;
+      }
 
-      // Auto-remove after duration
-      setTimeout(() => {
-        errorElement.remove();
-      }, CONFIG.ERROR_DISPLAY_DURATION);
+      summary.show(this.form, { messages });
     }
 
     /**
      * Clear all form errors
      */
     clearFormErrors() {
-      const errorMessages = this.form.querySelectorAll('.form-error-message');
-      errorMessages.forEach(el => el.remove());
+      window.ProgrammingSchool?.errorSummary?.clear(this.form);
     }
 
     /**
@@ -476,6 +1033,32 @@
     }
   }
 
+  /**
+   * Translate a message through the shared catalogs (js/i18n.js)
+   * @param {string} key - Message key
+   * @param {Object} [params] - Interpolation values
+   * @returns {string} Translated message, or the key if i18n is unavailable
+   */
+  function t(key, params) {
+    const i18n = window.ProgrammingSchool?.i18n;
+    return i18n ? i18n.t(key, params) : key;
+  }
+
+  // ============================================
+  // Controller Registry
+  // ============================================
+
+  const controllers = new WeakMap();
+
+  /**
+   * Get the controller attached to a form
+   * @param {HTMLFormElement} form - Form element
+   * @returns {FormController|null} Controller, or null if none is attached
+   */
+  function getController(form) {
+    return controllers.get(form) || null;
+  }
+
   // ============================================
   // Initialization
   // ============================================
@@ -487,32 +1070,43 @@
     try {
       log('info', 'Initializing form interactions');
 
-      const form = document.querySelector(SELECTORS.CONTACT_FORM);
-      const submitButton = document.querySelector(SELECTORS.SUBMIT_BUTTON);
+      const forms = document.querySelectorAll(SELECTORS.FORMS);
 
-      if (!form) {
-        log('warn', 'Contact form not found - skipping initialization');
-        return;
-      }
+      forms.forEach(form => {
+        const submitButton = form.querySelector(SELECTORS.SUBMIT_BUTTON);
 
-      if (!submitButton) {
-        log('warn', 'Submit button not found - skipping initialization');
-        return;
-      }
+        if (!submitButton) {
+          log('warn', 'Submit button not found - skipping form', {
+            formId: form.id || 'unnamed',
+          });
+          return;
+        }
 
-      // Initialize button state manager
-      const buttonManager = new ButtonStateManager(submitButton);
+        // Each form owns its button state manager and controller
+        const controller = new FormController(form, getButtonManager(submitButton));
+        controllers.set(form, controller);
 
-      // Initialize form submission manager
-      const formManager = new FormSubmissionManager(form, buttonManager);
+        // Modules that load first attach their hooks once the controller exists
+        form.dispatchEvent(new CustomEvent('formControllerReady', {
+          detail: { controller },
+          bubbles: true,
+        }));
+      });
+
+      // Standalone morphing buttons get a manager too
+      document.querySelectorAll(SELECTORS.MORPHING_BUTTONS).forEach(getButtonManager);
 
-      log('info', 'Form interactions initialized successfully');
+      log('info', 'Form interactions initialized successfully', {
+        formCount: forms.length,
+      });
 
       // Expose managers for debugging (development only)
       if (window.location.hostname === 'localhost' || window.location.hostname === '127.0.0.1') {
+        const formController = getController(forms[0]);
         window.ProgrammingSchoolInteractions = {
-          buttonManager,
-          formManager,
+          buttonManager: formController?.buttonManager,
+          formController,
+          getController,
           version: '1.0.0',
         };
       }
@@ -532,4 +1126,20 @@
     init();
   }
 
+  // ============================================
+  // Public API
+  // ============================================
+
+  window.ProgrammingSchool = window.ProgrammingSchool || {};
+  window.ProgrammingSchool.forms = Object.freeze({
+    HOOKS,
+    BUTTON_STATES,
+    getController,
+  });
+  window.ProgrammingSchool.buttons = Object.freeze({
+    STATES: BUTTON_STATES,
+    registerState: registerButtonState,
+    getManager: getButtonManager,
+  });
+
 })();
\ No newline at end of file
@@ -0,0 +1,159 @@
+/**
+ * Language Switcher - Visible locale override in the footer
+ * Renders a labelled select into [data-language-switcher] listing every locale
+ * with a catalog, each named in its own language. Choosing one calls
+ * i18n.setLocale, which stores the choice so it wins over the browser languages
+ * on later visits.
+ *
+ * @modifies: index.html
+ * @dependencies: ["js/i18n.js", "css/components.css"]
+ */
+
+(function() {
+  'use strict';
+
+  // ============================================
+  // Configuration and Constants
+  // ============================================
+
+  const SELECTORS = Object.freeze({
+    CONTAINER: '[data-language-switcher]',
+  });
+
+  // ============================================
+  // Utility Functions
+  // ============================================
+
+  /**
+   * Log structured message to console
+   * @param {string} level - Log level (info, warn, error)
+   * @param {string} message - Log message
+   * @param {Object} context - Additional context
+   */
+  function log(level, message, context = {}) {
+    const timestamp = new Date().toISOString();
+    const logData = {
+      timestamp,
+      level,
+      message,
+      module: 'language-switcher',
+      ...context,
+    };
+
+    if (level === 'error') {
+      console.error('[Programming School - Language Switcher]', logData);
+    } else if (level === 'warn') {
+      console.warn('[Programming School - Language Switcher]', logData);
+    } else {
+      console.log('[Programming School - Language Switcher]', logData);
+    }
+  }
+
+  /**
+   * Translate a message through the shared catalogs (js/i18n.js)
+   * @param {string} key - Message key
+   * @param {Object} [params] - Interpolation values
+   * @returns {string} Translated message, or the key if i18n is unavailable
+   */
+  function t(key, params) {
+    const i18n = window.ProgrammingSchool?.i18n;
+    return i18n ? i18n.t(key, params) : key;
+  }
+
+  /**
+   * Name of a locale in its own language (e.g. "Español" for es)
+   * @param {string} locale - Locale tag
+   * @returns {string} Display name, or the tag if Intl cannot name it
+   */
+  function getNativeName(locale) {
+    try {
+      const name = new Intl.DisplayNames([locale], { type: 'language' }).of(locale);
+      return name ? name.charAt(0).toLocaleUpperCase(locale) + name.slice(1) : locale;
+    } catch (error) {
+      return locale;
+    }
+  }
+
+  // ============================================
+  // Switcher
+  // ============================================
+
+  /**
+   * Render the switcher into its container
+   * @param {HTMLElement} container - [data-language-switcher] element
+   * @param {Object} i18n - ProgrammingSchool.i18n
+   * @param {number} index - Position among the switchers, for unique ids
+   */
+  function renderSwitcher(container, i18n, index) {
+    const id = `language-switcher-${index + 1}`;
+
+    const label = document.createElement('label');
+    label.htmlFor = id;
+    label.textContent = t('language.label');
+
+    const select = document.createElement('select');
+    select.id = id;
+
+    i18n.getLocales().forEach(locale => {
+      const option = document.createElement('option');
+      option.value = locale;
+      option.lang = locale;
+      option.textContent = getNativeName(locale);
+      select.appendChild(option);
+    });
+
+    select.value = i18n.getLocale();
+
+    select.addEventListener('change', () => {
+      i18n.setLocale(select.value);
+    });
+
+    // Other switchers and scripts calling setLocale change the locale too
+    document.addEventListener('localechange', event => {
+      label.textContent = t('language.label');
+      select.value = event.detail.locale;
+    });
+
+    container.replaceChildren(label, select);
+  }
+
+  // ============================================
+  // Initialization
+  // ============================================
+
+  /**
+   * Render every language switcher on the page
+   */
+  function init() {
+    try {
+      const i18n = window.ProgrammingSchool?.i18n;
+      const containers = document.querySelectorAll(SELECTORS.CONTAINER);
+
+      if (!i18n) {
+        log('warn', 'I18n not loaded - language switcher disabled');
+        return;
+      }
+
+      // A single catalog leaves nothing to choose
+      if (i18n.getLocales().length < 2) {
+        return;
+      }
+
+      containers.forEach((container, index) => renderSwitcher(container, i18n, index));
+
+      log('info', 'Language switcher initialized', { switcherCount: containers.length });
+    } catch (error) {
+      log('error', 'Failed to initialize language switcher', {
+        error: error.message,
+        stack: error.stack,
+      });
+    }
+  }
+
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', init);
+  } else {
+    init();
+  }
+
+})();
\ No newline at end of file
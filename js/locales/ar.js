@@ -0,0 +1,242 @@
+/**
+ * Arabic catalog (right to left)
+ * Plural messages use all six Arabic plural categories. Missing keys fall back
+ * to the English catalog.
+ *
+ * @dependencies: ["js/i18n.js", "js/locales/en.js"]
+ */
+
+(function() {
+  'use strict';
+
+  const i18n = window.ProgrammingSchool?.i18n;
+
+  if (!i18n) {
+    console.warn('[Programming School - I18n]', { level: 'warn', message: 'I18n not loaded - Arabic catalog skipped' });
+    return;
+  }
+
+  i18n.registerCatalog('ar', {
+    // Validation engine
+    'validation.thisField': 'هذا الحقل',
+    'validation.required': '{label} مطلوب',
+    'validation.minLength': {
+      zero: 'يجب ألا يقل عن {count} حرف',
+      one: 'يجب ألا يقل عن حرف واحد',
+      two: 'يجب ألا يقل عن حرفين',
+      few: 'يجب ألا يقل عن {count} أحرف',
+      many: 'يجب ألا يقل عن {count} حرفًا',
+      other: 'يجب ألا يقل عن {count} حرف',
+    },
+    'validation.maxLength': {
+      zero: 'يجب ألا يزيد عن {count} حرف',
+      one: 'يجب ألا يزيد عن حرف واحد',
+      two: 'يجب ألا يزيد عن حرفين',
+      few: 'يجب ألا يزيد عن {count} أحرف',
+      many: 'يجب ألا يزيد عن {count} حرفًا',
+      other: 'يجب ألا يزيد عن {count} حرف',
+    },
+    'validation.pattern': 'يرجى مطابقة التنسيق المطلوب',
+    'validation.equals': 'يجب أن يطابق {label}',
+    'validation.invalid': 'يرجى مراجعة هذا الحقل',
+    'validation.name': 'يرجى إدخال اسم صالح (أحرف ومسافات وشرطات وفواصل عليا فقط)',
+    'validation.email': 'يرجى إدخال بريد إلكتروني صالح',
+    'validation.phone': 'يرجى إدخال رقم هاتف صالح',
+    'validation.message': 'يرجى كتابة رسالة (10 أحرف على الأقل)',
+
+    // Error summary
+    'errorSummary.title': {
+      zero: 'لا توجد مشكلات',
+      one: 'توجد مشكلة',
+      two: 'توجد مشكلتان',
+      few: 'توجد {count} مشكلات',
+      many: 'توجد {count} مشكلة',
+      other: 'توجد {count} مشكلة',
+    },
+    'errorSummary.remaining': {
+      zero: 'لا توجد أخطاء متبقية',
+      one: 'يتبقى خطأ واحد',
+      two: 'يتبقى خطآن',
+      few: 'تتبقى {count} أخطاء',
+      many: 'يتبقى {count} خطأً',
+      other: 'يتبقى {count} خطأ',
+    },
+    'errorSummary.resolved': 'تم إصلاح جميع الأخطاء',
+
+    // Character counter
+    'counter.count': {
+      zero: '{count} حرف',
+      one: 'حرف واحد',
+      two: 'حرفان',
+      few: '{count} أحرف',
+      many: '{count} حرفًا',
+      other: '{count} حرف',
+    },
+    'counter.needed': {
+      zero: 'لا حاجة إلى أحرف إضافية',
+      one: 'يلزم حرف واحد إضافي',
+      two: 'يلزم حرفان إضافيان',
+      few: 'يلزم {count} أحرف إضافية',
+      many: 'يلزم {count} حرفًا إضافيًا',
+      other: 'يلزم {count} حرف إضافي',
+    },
+    'counter.remaining': {
+      zero: 'لم يتبق أي حرف',
+      one: 'يتبقى حرف واحد',
+      two: 'يتبقى حرفان',
+      few: 'تتبقى {count} أحرف',
+      many: 'يتبقى {count} حرفًا',
+      other: 'يتبقى {count} حرف',
+    },
+    'counter.over': {
+      zero: 'لا توجد أحرف زائدة',
+      one: 'حرف واحد زائد',
+      two: 'حرفان زائدان',
+      few: '{count} أحرف زائدة',
+      many: '{count} حرفًا زائدًا',
+      other: '{count} حرف زائد',
+    },
+    'counter.minReached': 'تم بلوغ الحد الأدنى للطول',
+    'counter.limitReached': 'تم بلوغ الحد الأقصى للأحرف',
+
+    // Email checks
+    'email.suggestion': 'هل تقصد {suggestion}؟',
+    'email.disposable': 'يرجى استخدام بريد إلكتروني دائم - لا نقبل صناديق البريد المؤقتة',
+    'email.unverified': 'تعذر التحقق من عنوان البريد الإلكتروني هذا',
+
+    // Phone input
+    'phone.countryLabel': 'رمز الاتصال الدولي',
+    'phone.countryCode': 'يرجى إضافة رمز دولة صالح',
+    'phone.invalidForCountry': 'يرجى إدخال رقم هاتف صالح في {country}',
+
+    // Morphing buttons and form controller
+    'button.loading': 'جارٍ الإرسال...',
+    'button.progress': 'جارٍ الرفع...',
+    'button.processing': 'جارٍ المعالجة...',
+    'button.success': 'تم إرسال الرسالة!',
+    'button.error': 'فشل الإرسال - حاول مجددًا',
+    'button.queued': 'تم الحفظ - سيُرسل عند عودة الاتصال',
+    'button.disabledUntil': {
+      zero: 'حاول مجددًا بعد {count} ثانية',
+      one: 'حاول مجددًا بعد ثانية واحدة',
+      two: 'حاول مجددًا بعد ثانيتين',
+      few: 'حاول مجددًا بعد {count} ثوانٍ',
+      many: 'حاول مجددًا بعد {count} ثانية',
+      other: 'حاول مجددًا بعد {count} ثانية',
+    },
+    'button.disabledUntilMinutes': {
+      zero: 'حاول مجددًا بعد {count} دقيقة',
+      one: 'حاول مجددًا بعد دقيقة واحدة',
+      two: 'حاول مجددًا بعد دقيقتين',
+      few: 'حاول مجددًا بعد {count} دقائق',
+      many: 'حاول مجددًا بعد {count} دقيقة',
+      other: 'حاول مجددًا بعد {count} دقيقة',
+    },
+    'form.submitFailed': 'تعذر الإرسال',
+    'form.rateLimited': {
+      zero: 'لقد أرسلت هذا النموذج عدة مرات مؤخرًا. يرجى المحاولة مرة أخرى بعد {count} دقيقة.',
+      one: 'لقد أرسلت هذا النموذج عدة مرات مؤخرًا. يرجى المحاولة مرة أخرى بعد دقيقة واحدة.',
+      two: 'لقد أرسلت هذا النموذج عدة مرات مؤخرًا. يرجى المحاولة مرة أخرى بعد دقيقتين.',
+      few: 'لقد أرسلت هذا النموذج عدة مرات مؤخرًا. يرجى المحاولة مرة أخرى بعد {count} دقائق.',
+      many: 'لقد أرسلت هذا النموذج عدة مرات مؤخرًا. يرجى المحاولة مرة أخرى بعد {count} دقيقة.',
+      other: 'لقد أرسلت هذا النموذج عدة مرات مؤخرًا. يرجى المحاولة مرة أخرى بعد {count} دقيقة.',
+    },
+
+    // Transport errors
+    'transport.timeout': 'استغرق الخادم وقتًا طويلًا للرد. يرجى المحاولة مجددًا.',
+    'transport.network': 'خطأ في الشبكة: تعذر الوصول إلى الخادم',
+    'transport.aborted': 'تم إلغاء الإرسال',
+    'transport.client': 'تم رفض الإرسال. يرجى مراجعة بياناتك والمحاولة مجددًا.',
+    'transport.server': 'حدث خطأ في الخادم. يرجى المحاولة لاحقًا.',
+
+    // Drafts
+    'drafts.label': 'مسودة محفوظة',
+    'drafts.prompt': 'هل تريد متابعة رسالتك؟ لديك مسودة محفوظة {age}.',
+    'drafts.justNow': 'الآن',
+    'drafts.restore': 'استعادة المسودة',
+    'drafts.discard': 'تجاهل',
+
+    // Wizard
+    'wizard.stepFallback': 'الخطوة {step}',
+    'wizard.status': 'الخطوة {step} من {count}: {title}',
+    'wizard.edit': 'تعديل',
+    'wizard.editStep': 'تعديل {title}',
+    'wizard.notProvided': 'لم تتم الإجابة',
+    'wizard.yes': 'نعم',
+
+    // Attachments
+    'attachments.type': '{name} ليس نوع ملف مدعومًا.',
+    'attachments.fileSize': 'حجم {name} أكبر من {size}.',
+    'attachments.totalSize': 'إضافة {name} تتجاوز الحد الإجمالي البالغ {size}.',
+    'attachments.count': {
+      zero: 'لم تتم إضافة {name} - لا يمكن إرفاق ملفات.',
+      one: 'لم تتم إضافة {name} - يمكنك إرفاق ملف واحد فقط.',
+      two: 'لم تتم إضافة {name} - يمكنك إرفاق ملفين كحد أقصى.',
+      few: 'لم تتم إضافة {name} - يمكنك إرفاق {count} ملفات كحد أقصى.',
+      many: 'لم تتم إضافة {name} - يمكنك إرفاق {count} ملفًا كحد أقصى.',
+      other: 'لم تتم إضافة {name} - يمكنك إرفاق {count} ملف كحد أقصى.',
+    },
+    'attachments.remove': 'إزالة',
+    'attachments.removeFile': 'إزالة {name}',
+
+    // Confirmation
+    'confirmation.title': 'شكرًا لك! رسالتك في الطريق إلينا.',
+    'confirmation.titleNamed': 'شكرًا لك يا {name}! رسالتك في الطريق إلينا.',
+    'confirmation.reference': 'رقمك المرجعي:',
+    'confirmation.summaryTitle': 'ما أرسلته',
+    'confirmation.yes': 'نعم',
+    'confirmation.nextTitle': 'الخطوات التالية',
+    'confirmation.nextReply': 'سيرد مستشار القبول على {email} خلال يوم عمل واحد.',
+    'confirmation.nextReference': 'اذكر الرقم {reference} إذا احتجت إلى التواصل معنا بشأن هذه الرسالة.',
+    'confirmation.session': 'انضم إلى جلسة تعريفية مجانية عبر الإنترنت حول {course} يوم {date}.',
+    'confirmation.sessionTitle': 'جلسة تعريفية مجانية: {course}',
+    'confirmation.sessionDescription': 'تعرّف على المدربين واسأل عن كل ما يخص {course}. رقمك المرجعي: {reference}.',
+    'confirmation.sessionLocation': 'عبر الإنترنت - سنرسل رابط الانضمام بالبريد الإلكتروني',
+    'confirmation.addToCalendar': 'إضافة إلى التقويم (.ics)',
+    'confirmation.sendAnother': 'إرسال رسالة أخرى',
+
+    // Newsletter
+    'newsletter.label': 'الاشتراك في النشرة البريدية',
+    'newsletter.emailLabel': 'البريد الإلكتروني',
+    'newsletter.emailPlaceholder': 'you@example.com',
+    'newsletter.interests': 'الدورات التي تهمك',
+    'newsletter.subscribe': 'اشترك',
+    'newsletter.success': 'اقتربنا!',
+    'newsletter.checkInbox': 'تحقق من بريدك الوارد: أرسلنا رابط تأكيد إلى {email}. يبدأ اشتراكك بعد النقر عليه.',
+    'newsletter.subscribed': 'تم اشتراكك. أهلًا بك!',
+    'newsletter.note': 'سنرسل إليك رسالة للتأكيد. يمكنك إلغاء الاشتراك في أي وقت.',
+
+    // Header behavior
+    'backToTop.label': 'العودة إلى الأعلى',
+
+    // Language switcher
+    'language.label': 'اللغة',
+
+    // Command palette
+    'palette.label': 'الانتقال إلى قسم أو دورة أو إجراء',
+    'palette.placeholder': 'ابحث في الأقسام والدورات والإجراءات...',
+    'palette.empty': 'لا توجد نتائج لـ«{query}»',
+    'palette.results': {
+      zero: 'لا توجد نتائج',
+      one: 'نتيجة واحدة',
+      two: 'نتيجتان',
+      few: '{count} نتائج',
+      many: '{count} نتيجة',
+      other: '{count} نتيجة',
+    },
+    'palette.groupSection': 'قسم',
+    'palette.groupCourse': 'دورة',
+    'palette.groupAction': 'إجراء',
+    'palette.contact': 'التواصل مع قسم القبول',
+    'palette.newsletter': 'الاشتراك في النشرة البريدية',
+    'palette.backToTop': 'العودة إلى الأعلى',
+    'palette.toggleAnimations': 'تشغيل الحركات أو إيقافها',
+    'palette.animationsOff': 'تم إيقاف الحركات',
+    'palette.animationsOn': 'تم تشغيل الحركات',
+
+    // Contact personalisation
+    'contact.courseTitle': 'هل أنت مهتم بـ{course}؟',
+    'contact.coursePlaceholder': 'ماذا تود أن تعرف عن {course}؟ مواعيد البدء، المتطلبات المسبقة، التمويل...',
+  });
+
+})();
\ No newline at end of file
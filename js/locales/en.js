@@ -0,0 +1,190 @@
+/**
+ * English catalog - the default locale every other catalog falls back to
+ * Keys are grouped by the module that uses them. Plural messages are keyed by
+ * Intl.PluralRules category and selected by the count parameter.
+ *
+ * @dependencies: ["js/i18n.js"]
+ */
+
+(function() {
+  'use strict';
+
+  const i18n = window.ProgrammingSchool?.i18n;
+
+  if (!i18n) {
+    console.warn('[Programming School - I18n]', { level: 'warn', message: 'I18n not loaded - English catalog skipped' });
+    return;
+  }
+
+  i18n.registerCatalog('en', {
+    // Validation engine
+    'validation.thisField': 'This field',
+    'validation.required': '{label} is required',
+    'validation.minLength': {
+      one: 'Must be at least {count} character',
+      other: 'Must be at least {count} characters',
+    },
+    'validation.maxLength': {
+      one: 'Must be no more than {count} character',
+      other: 'Must be no more than {count} characters',
+    },
+    'validation.pattern': 'Please match the requested format',
+    'validation.equals': 'Must match {label}',
+    'validation.invalid': 'Please check this field',
+    'validation.name': 'Please enter a valid name (letters, spaces, hyphens, and apostrophes only)',
+    'validation.email': 'Please enter a valid email address',
+    'validation.phone': 'Please enter a valid phone number',
+    'validation.message': 'Please enter a message (at least 10 characters)',
+
+    // Error summary
+    'errorSummary.title': {
+      one: 'There is a problem',
+      other: 'There are {count} problems',
+    },
+    'errorSummary.remaining': {
+      one: '{count} error remaining',
+      other: '{count} errors remaining',
+    },
+    'errorSummary.resolved': 'All errors fixed',
+
+    // Character counter
+    'counter.count': {
+      one: '{count} character',
+      other: '{count} characters',
+    },
+    'counter.needed': {
+      one: '{count} more character needed',
+      other: '{count} more characters needed',
+    },
+    'counter.remaining': {
+      one: '{count} character remaining',
+      other: '{count} characters remaining',
+    },
+    'counter.over': {
+      one: '{count} character too many',
+      other: '{count} characters too many',
+    },
+    'counter.minReached': 'Minimum length reached',
+    'counter.limitReached': 'Character limit reached',
+
+    // Email checks
+    'email.suggestion': 'Did you mean {suggestion}?',
+    'email.disposable': 'Please use a permanent email address - disposable inboxes are not accepted',
+    'email.unverified': 'This email address could not be verified',
+
+    // Phone input
+    'phone.countryLabel': 'Country calling code',
+    'phone.countryCode': 'Please include a valid country code',
+    'phone.invalidForCountry': 'Please enter a valid {country} phone number',
+
+    // Morphing buttons and form controller
+    'button.loading': 'Sending...',
+    'button.progress': 'Uploading...',
+    'button.processing': 'Processing...',
+    'button.success': 'Message Sent!',
+    'button.error': 'Failed - Try Again',
+    'button.queued': 'Saved - Will Send When Online',
+    'button.disabledUntil': {
+      one: 'Try again in {count} second',
+      other: 'Try again in {count} seconds',
+    },
+    'button.disabledUntilMinutes': {
+      one: 'Try again in {count} minute',
+      other: 'Try again in {count} minutes',
+    },
+    'form.submitFailed': 'Submission failed',
+    'form.rateLimited': {
+      one: 'You have sent this form several times recently. Please try again in {count} minute.',
+      other: 'You have sent this form several times recently. Please try again in {count} minutes.',
+    },
+
+    // Transport errors
+    'transport.timeout': 'The server took too long to respond. Please try again.',
+    'transport.network': 'Network error: Unable to reach server',
+    'transport.aborted': 'The submission was cancelled',
+    'transport.client': 'The submission was rejected. Please check your details and try again.',
+    'transport.server': 'The server encountered an error. Please try again later.',
+
+    // Drafts
+    'drafts.label': 'Saved draft',
+    'drafts.prompt': 'Continue your message? You have a draft saved {age}.',
+    'drafts.justNow': 'just now',
+    'drafts.restore': 'Restore draft',
+    'drafts.discard': 'Discard',
+
+    // Wizard
+    'wizard.stepFallback': 'Step {step}',
+    'wizard.status': 'Step {step} of {count}: {title}',
+    'wizard.edit': 'Edit',
+    'wizard.editStep': 'Edit {title}',
+    'wizard.notProvided': 'Not provided',
+    'wizard.yes': 'Yes',
+
+    // Attachments
+    'attachments.type': '{name} is not a supported file type.',
+    'attachments.fileSize': '{name} is larger than {size}.',
+    'attachments.totalSize': '{name} would exceed the {size} total limit.',
+    'attachments.count': {
+      one: '{name} was not added - attach up to {count} file.',
+      other: '{name} was not added - attach up to {count} files.',
+    },
+    'attachments.remove': 'Remove',
+    'attachments.removeFile': 'Remove {name}',
+
+    // Confirmation
+    'confirmation.title': 'Thank you! Your message is on its way.',
+    'confirmation.titleNamed': 'Thank you, {name}! Your message is on its way.',
+    'confirmation.reference': 'Your reference number:',
+    'confirmation.summaryTitle': 'What you sent',
+    'confirmation.yes': 'Yes',
+    'confirmation.nextTitle': 'What happens next',
+    'confirmation.nextReply': 'An admissions advisor will reply to {email} within one business day.',
+    'confirmation.nextReference': 'Quote {reference} if you need to get in touch about this message.',
+    'confirmation.session': 'Join a free online info session about {course} on {date}.',
+    'confirmation.sessionTitle': 'Free info session: {course}',
+    'confirmation.sessionDescription': 'Meet the instructors and ask anything about {course}. Your reference: {reference}.',
+    'confirmation.sessionLocation': 'Online - joining link sent by email',
+    'confirmation.addToCalendar': 'Add to calendar (.ics)',
+    'confirmation.sendAnother': 'Send another message',
+
+    // Newsletter
+    'newsletter.label': 'Newsletter signup',
+    'newsletter.emailLabel': 'Email address',
+    'newsletter.emailPlaceholder': 'you@example.com',
+    'newsletter.interests': 'Courses you are interested in',
+    'newsletter.subscribe': 'Subscribe',
+    'newsletter.success': 'Almost there!',
+    'newsletter.checkInbox': 'Check your inbox: we sent a confirmation link to {email}. Your subscription starts once you click it.',
+    'newsletter.subscribed': 'You are subscribed. Welcome aboard!',
+    'newsletter.note': 'We will email you to confirm. Unsubscribe at any time.',
+
+    // Header behavior
+    'backToTop.label': 'Back to top',
+
+    // Language switcher
+    'language.label': 'Language',
+
+    // Command palette
+    'palette.label': 'Jump to a section, course or action',
+    'palette.placeholder': 'Search sections, courses and actions...',
+    'palette.empty': 'No matches for "{query}"',
+    'palette.results': {
+      one: '{count} result',
+      other: '{count} results',
+    },
+    'palette.groupSection': 'Section',
+    'palette.groupCourse': 'Course',
+    'palette.groupAction': 'Action',
+    'palette.contact': 'Contact admissions',
+    'palette.newsletter': 'Subscribe to the newsletter',
+    'palette.backToTop': 'Back to top',
+    'palette.toggleAnimations': 'Toggle animations',
+    'palette.animationsOff': 'Animations turned off',
+    'palette.animationsOn': 'Animations turned on',
+
+    // Contact personalisation
+    'contact.courseTitle': 'Interested in {course}?',
+    'contact.coursePlaceholder': 'What would you like to know about {course}? Start dates, prerequisites, financing...',
+  });
+
+})();
\ No newline at end of file
@@ -0,0 +1,189 @@
+/**
+ * Spanish catalog
+ * Missing keys fall back to the English catalog.
+ *
+ * @dependencies: ["js/i18n.js", "js/locales/en.js"]
+ */
+
+(function() {
+  'use strict';
+
+  const i18n = window.ProgrammingSchool?.i18n;
+
+  if (!i18n) {
+    console.warn('[Programming School - I18n]', { level: 'warn', message: 'I18n not loaded - Spanish catalog skipped' });
+    return;
+  }
+
+  i18n.registerCatalog('es', {
+    // Validation engine
+    'validation.thisField': 'Este campo',
+    'validation.required': '{label} es obligatorio',
+    'validation.minLength': {
+      one: 'Debe tener al menos {count} carácter',
+      other: 'Debe tener al menos {count} caracteres',
+    },
+    'validation.maxLength': {
+      one: 'No puede superar {count} carácter',
+      other: 'No puede superar {count} caracteres',
+    },
+    'validation.pattern': 'Usa el formato solicitado',
+    'validation.equals': 'Debe coincidir con {label}',
+    'validation.invalid': 'Revisa este campo',
+    'validation.name': 'Introduce un nombre válido (solo letras, espacios, guiones y apóstrofos)',
+    'validation.email': 'Introduce un correo electrónico válido',
+    'validation.phone': 'Introduce un número de teléfono válido',
+    'validation.message': 'Escribe un mensaje (al menos 10 caracteres)',
+
+    // Error summary
+    'errorSummary.title': {
+      one: 'Hay un problema',
+      other: 'Hay {count} problemas',
+    },
+    'errorSummary.remaining': {
+      one: 'Queda {count} error',
+      other: 'Quedan {count} errores',
+    },
+    'errorSummary.resolved': 'Se corrigieron todos los errores',
+
+    // Character counter
+    'counter.count': {
+      one: '{count} carácter',
+      other: '{count} caracteres',
+    },
+    'counter.needed': {
+      one: 'Falta {count} carácter',
+      other: 'Faltan {count} caracteres',
+    },
+    'counter.remaining': {
+      one: 'Queda {count} carácter',
+      other: 'Quedan {count} caracteres',
+    },
+    'counter.over': {
+      one: 'Sobra {count} carácter',
+      other: 'Sobran {count} caracteres',
+    },
+    'counter.minReached': 'Longitud mínima alcanzada',
+    'counter.limitReached': 'Has alcanzado el límite de caracteres',
+
+    // Email checks
+    'email.suggestion': '¿Quisiste decir {suggestion}?',
+    'email.disposable': 'Usa un correo electrónico permanente: no se aceptan buzones temporales',
+    'email.unverified': 'No se pudo verificar este correo electrónico',
+
+    // Phone input
+    'phone.countryLabel': 'Prefijo telefónico del país',
+    'phone.countryCode': 'Incluye un prefijo de país válido',
+    'phone.invalidForCountry': 'Introduce un número de teléfono válido de {country}',
+
+    // Morphing buttons and form controller
+    'button.loading': 'Enviando...',
+    'button.progress': 'Subiendo...',
+    'button.processing': 'Procesando...',
+    'button.success': '¡Mensaje enviado!',
+    'button.error': 'Error - Inténtalo de nuevo',
+    'button.queued': 'Guardado - Se enviará al recuperar la conexión',
+    'button.disabledUntil': {
+      one: 'Reintenta en {count} segundo',
+      other: 'Reintenta en {count} segundos',
+    },
+    'button.disabledUntilMinutes': {
+      one: 'Reintenta en {count} minuto',
+      other: 'Reintenta en {count} minutos',
+    },
+    'form.submitFailed': 'No se pudo enviar',
+    'form.rateLimited': {
+      one: 'Has enviado este formulario varias veces recientemente. Inténtalo de nuevo dentro de {count} minuto.',
+      other: 'Has enviado este formulario varias veces recientemente. Inténtalo de nuevo dentro de {count} minutos.',
+    },
+
+    // Transport errors
+    'transport.timeout': 'El servidor tardó demasiado en responder. Inténtalo de nuevo.',
+    'transport.network': 'Error de red: no se puede conectar con el servidor',
+    'transport.aborted': 'Se canceló el envío',
+    'transport.client': 'Se rechazó el envío. Revisa tus datos e inténtalo de nuevo.',
+    'transport.server': 'El servidor encontró un error. Inténtalo más tarde.',
+
+    // Drafts
+    'drafts.label': 'Borrador guardado',
+    'drafts.prompt': '¿Continuar con tu mensaje? Tienes un borrador guardado {age}.',
+    'drafts.justNow': 'ahora mismo',
+    'drafts.restore': 'Restaurar borrador',
+    'drafts.discard': 'Descartar',
+
+    // Wizard
+    'wizard.stepFallback': 'Paso {step}',
+    'wizard.status': 'Paso {step} de {count}: {title}',
+    'wizard.edit': 'Editar',
+    'wizard.editStep': 'Editar {title}',
+    'wizard.notProvided': 'Sin respuesta',
+    'wizard.yes': 'Sí',
+
+    // Attachments
+    'attachments.type': '{name} no es un tipo de archivo admitido.',
+    'attachments.fileSize': '{name} supera los {size}.',
+    'attachments.totalSize': '{name} superaría el límite total de {size}.',
+    'attachments.count': {
+      one: 'No se añadió {name}: puedes adjuntar hasta {count} archivo.',
+      other: 'No se añadió {name}: puedes adjuntar hasta {count} archivos.',
+    },
+    'attachments.remove': 'Quitar',
+    'attachments.removeFile': 'Quitar {name}',
+
+    // Confirmation
+    'confirmation.title': '¡Gracias! Tu mensaje está en camino.',
+    'confirmation.titleNamed': '¡Gracias, {name}! Tu mensaje está en camino.',
+    'confirmation.reference': 'Tu número de referencia:',
+    'confirmation.summaryTitle': 'Lo que enviaste',
+    'confirmation.yes': 'Sí',
+    'confirmation.nextTitle': 'Próximos pasos',
+    'confirmation.nextReply': 'Un asesor de admisiones responderá a {email} en un día hábil.',
+    'confirmation.nextReference': 'Indica {reference} si necesitas contactarnos sobre este mensaje.',
+    'confirmation.session': 'Únete a una sesión informativa gratuita en línea sobre {course} el {date}.',
+    'confirmation.sessionTitle': 'Sesión informativa gratuita: {course}',
+    'confirmation.sessionDescription': 'Conoce a los instructores y pregunta lo que quieras sobre {course}. Tu referencia: {reference}.',
+    'confirmation.sessionLocation': 'En línea - enviaremos el enlace por correo electrónico',
+    'confirmation.addToCalendar': 'Añadir al calendario (.ics)',
+    'confirmation.sendAnother': 'Enviar otro mensaje',
+
+    // Newsletter
+    'newsletter.label': 'Suscripción al boletín',
+    'newsletter.emailLabel': 'Correo electrónico',
+    'newsletter.emailPlaceholder': 'tu@ejemplo.com',
+    'newsletter.interests': 'Cursos que te interesan',
+    'newsletter.subscribe': 'Suscribirme',
+    'newsletter.success': '¡Casi listo!',
+    'newsletter.checkInbox': 'Revisa tu bandeja de entrada: enviamos un enlace de confirmación a {email}. Tu suscripción empieza cuando hagas clic en él.',
+    'newsletter.subscribed': 'Ya estás suscrito. ¡Te damos la bienvenida!',
+    'newsletter.note': 'Te enviaremos un correo para confirmar. Puedes darte de baja cuando quieras.',
+
+    // Header behavior
+    'backToTop.label': 'Volver arriba',
+
+    // Language switcher
+    'language.label': 'Idioma',
+
+    // Command palette
+    'palette.label': 'Ir a una sección, curso o acción',
+    'palette.placeholder': 'Busca secciones, cursos y acciones...',
+    'palette.empty': 'No hay resultados para «{query}»',
+    'palette.results': {
+      one: '{count} resultado',
+      other: '{count} resultados',
+    },
+    'palette.groupSection': 'Sección',
+    'palette.groupCourse': 'Curso',
+    'palette.groupAction': 'Acción',
+    'palette.contact': 'Contactar con admisiones',
+    'palette.newsletter': 'Suscribirse al boletín',
+    'palette.backToTop': 'Volver arriba',
+    'palette.toggleAnimations': 'Activar o desactivar animaciones',
+    'palette.animationsOff': 'Animaciones desactivadas',
+    'palette.animationsOn': 'Animaciones activadas',
+
+    // Contact personalisation
+    'contact.courseTitle': '¿Te interesa {course}?',
+    'contact.coursePlaceholder': '¿Qué te gustaría saber sobre {course}? Fechas de inicio, requisitos previos, financiación...',
+  });
+
+})();
\ No newline at end of file
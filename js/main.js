@@ -1,7 +1,8 @@
 /**
  * Main JavaScript functionality for Programming School Landing Page
- * Implements smooth scroll navigation, mobile menu toggle, form validation,
- * scroll-triggered animations, and morphing button states
+ * Implements smooth scroll navigation, hash routing with course deep links,
+ * form validation and scroll-triggered animations (the mobile drawer lives in
+ * js/mobile-nav.js)
  * 
  * @generated-from: task-id:TASK-007
  * @modifies: index.html
@@ -16,46 +17,45 @@
   // ============================================
 
   const CONFIG = Object.freeze({
+    // Used when js/scroll-offset.js is not loaded
     SCROLL_OFFSET: 80,
+    SCROLL_DURATION: 600,
+    SCROLL_EASING: 'easeInOutCubic',
     DEBOUNCE_DELAY: 150,
     ANIMATION_STAGGER: 100,
-    FORM_SUCCESS_DURATION: 3000,
     INTERSECTION_THRESHOLD: 0.1,
     INTERSECTION_ROOT_MARGIN: '0px 0px -100px 0px',
   });
 
   const SELECTORS = Object.freeze({
-    NAV_MENU: '.nav-menu',
-    NAV_LINKS: '.nav-menu a',
-    CONTACT_FORM: '.contact-form',
-    FORM_SUBMIT_BTN: '.contact-form .btn-primary',
+    SMOOTH_SCROLL_LINKS: 'a[data-smooth-scroll], .nav-menu a[href^="#"]',
+    CONTACT_TITLE: '#contact-title',
+    COURSE_SELECT: '#course-interest',
+    MESSAGE_FIELD: '#message',
+    VALIDATED_FORMS: 'form[data-validate-form]',
     FORM_GROUPS: '.form-group',
     ANIMATED_ELEMENTS: '.course-card, .testimonial-card, .stat-item, .trust-badge',
     HERO_ACTIONS: '.hero-actions',
   });
 
-  const VALIDATION_RULES = Object.freeze({
-    name: {
-      required: true,
-      minLength: 2,
-      pattern: /^[a-zA-Z\s'-]+$/,
-      message: 'Please enter a valid name (letters, spaces, hyphens, and apostrophes only)',
-    },
-    email: {
-      required: true,
-      pattern: /^[^\s@]+@[^\s@]+\.[^\s@]+$/,
-      message: 'Please enter a valid email address',
-    },
-    phone: {
-      required: false,
-      pattern: /^[\d\s()+-]+$/,
-      message: 'Please enter a valid phone number',
-    },
-    message: {
-      required: true,
-      minLength: 10,
-      message: 'Please enter a message (at least 10 characters)',
-    },
+  const ATTRIBUTES = Object.freeze({
+    SCROLL_DURATION: 'data-scroll-duration',
+    SCROLL_EASING: 'data-scroll-easing',
+  });
+
+  // Easing curves for the scroll engine, selectable per link with data-scroll-easing
+  const EASINGS = Object.freeze({
+    linear: progress => progress,
+    easeInOutQuad: progress => (progress < 0.5 ? 2 * progress * progress : 1 - Math.pow(-2 * progress + 2, 2) / 2),
+    easeInOutCubic: progress => (progress < 0.5 ? 4 * Math.pow(progress, 3) : 1 - Math.pow(-2 * progress + 2, 3) / 2),
+    easeOutQuart: progress => 1 - Math.pow(1 - progress, 4),
+  });
+
+  // Any of these means the visitor has taken over the scrolling
+  const SCROLL_CANCEL_EVENTS = Object.freeze(['wheel', 'touchstart', 'keydown', 'mousedown']);
+
+  const ROUTER_EVENTS = Object.freeze({
+    ROUTE_CHANGE: 'routechange',
   });
 
   // ============================================
@@ -115,23 +115,31 @@
     }
   }
 
+  /**
+   * Translate a message through the shared catalogs (js/i18n.js)
+   * @param {string} key - Message key
+   * @param {Object} [params] - Interpolation values
+   * @returns {string} Translated message, or the key if i18n is unavailable
+   */
+  function t(key, params) {
+    const i18n = window.ProgrammingSchool?.i18n;
+    return i18n ? i18n.t(key, params) : key;
+  }
+
   // ============================================
   // Smooth Scroll Navigation
   // ============================================
 
   /**
    * Initialize smooth scroll navigation for anchor links
+   * Clicks are delegated, so links added after load are handled too.
    */
   function initSmoothScroll() {
     try {
-      const navLinks = document.querySelectorAll(SELECTORS.NAV_LINKS);
-      
-      navLinks.forEach(link => {
-        link.addEventListener('click', handleSmoothScroll);
-      });
+      document.addEventListener('click', handleSmoothScroll);
 
       log('info', 'Smooth scroll navigation initialized', {
-        linkCount: navLinks.length,
+        linkCount: document.querySelectorAll(SELECTORS.SMOOTH_SCROLL_LINKS).length,
       });
     } catch (error) {
       log('error', 'Failed to initialize smooth scroll', {
@@ -143,10 +151,18 @@
 
   /**
    * Handle smooth scroll click event
-   * @param {Event} event - Click event
+   * @param {MouseEvent} event - Click event
    */
   function handleSmoothScroll(event) {
-    const href = event.currentTarget.getAttribute('href');
+    const link = event.target.closest?.(SELECTORS.SMOOTH_SCROLL_LINKS);
+
+    // Leave modified clicks (new tab, new window) to the browser
+    if (!link || event.defaultPrevented || event.button !== 0 ||
+        event.metaKey || event.ctrlKey || event.shiftKey || event.altKey) {
+      return;
+    }
+
+    const href = link.getAttribute('href');
     
     if (!href || !href.startsWith('#')) {
       return;
@@ -154,74 +170,358 @@
 
     event.preventDefault();
 
-    const targetId = href.substring(1);
-    const targetElement = document.getElementById(targetId);
+    const { targetId, params } = parseHash(href);
 
-    if (!targetElement) {
-      log('warn', 'Smooth scroll target not found', { targetId });
-      return;
+    // Course CTAs carry the course so the enquiry form arrives pre-filled
+    const course = link.getAttribute('data-course');
+    if (course) {
+      params.set('course', course);
     }
 
-    try {
-      const targetPosition = targetElement.getBoundingClientRect().top + window.pageYOffset;
-      const offsetPosition = targetPosition - CONFIG.SCROLL_OFFSET;
+    const duration = parseInt(link.getAttribute(ATTRIBUTES.SCROLL_DURATION), 10);
 
-      window.scrollTo({
-        top: offsetPosition,
-        behavior: 'smooth',
-      });
+    navigate(targetId, params, {
+      duration: Number.isNaN(duration) ? undefined : duration,
+      easing: link.getAttribute(ATTRIBUTES.SCROLL_EASING) || undefined,
+    });
+  }
+
+  /**
+   * Height of the sticky header the target must clear
+   * @returns {number} Offset in pixels
+   */
+  function getScrollOffset() {
+    return window.ProgrammingSchool?.scrollOffset?.get() ?? CONFIG.SCROLL_OFFSET;
+  }
+
+  // ============================================
+  // Scroll Engine
+  // ============================================
 
-      // Update URL without triggering navigation
-      if (history.pushState) {
-        history.pushState(null, '', href);
+  const scrollAnimation = {
+    frame: null,
+    finish: null,
+  };
+
+  /**
+   * Jump without animation
+   * "instant" bypasses the scroll-behavior: smooth set on <html>.
+   * @param {number} top - Scroll position
+   */
+  function jumpTo(top) {
+    window.scrollTo({ top, behavior: 'instant' });
+  }
+
+  /**
+   * Stop the running scroll animation where it is
+   * @returns {boolean} True if an animation was running
+   */
+  function cancelScroll() {
+    if (!scrollAnimation.finish) {
+      return false;
+    }
+
+    scrollAnimation.finish(false);
+    return true;
+  }
+
+  /**
+   * Animate the window to a scroll position
+   * @param {number} top - Target scroll position
+   * @param {Object} options - { duration, easing }
+   * @returns {Promise<boolean>} Resolves true on arrival, false if cancelled
+   */
+  function animateScroll(top, options = {}) {
+    const { duration = CONFIG.SCROLL_DURATION, easing = CONFIG.SCROLL_EASING } = options;
+
+    cancelScroll();
+
+    const maxTop = Math.max(0, document.documentElement.scrollHeight - window.innerHeight);
+    const targetTop = Math.min(Math.max(0, top), maxTop);
+    const startTop = window.pageYOffset;
+    const distance = targetTop - startTop;
+
+    if (shouldDisableAnimations() || duration <= 0 || distance === 0) {
+      jumpTo(targetTop);
+      return Promise.resolve(true);
+    }
+
+    if (!EASINGS[easing]) {
+      log('warn', 'Unknown scroll easing - using default', { easing });
+    }
+    const ease = EASINGS[easing] || EASINGS[CONFIG.SCROLL_EASING];
+
+    return new Promise(resolve => {
+      const startTime = performance.now();
+
+      const finish = completed => {
+        cancelAnimationFrame(scrollAnimation.frame);
+        SCROLL_CANCEL_EVENTS.forEach(type => window.removeEventListener(type, handleUserScroll));
+        scrollAnimation.frame = null;
+        scrollAnimation.finish = null;
+        resolve(completed);
+      };
+
+      const handleUserScroll = () => {
+        log('info', 'Smooth scroll cancelled by user input');
+        finish(false);
+      };
+
+      const step = now => {
+        const progress = Math.min((now - startTime) / duration, 1);
+
+        jumpTo(startTop + distance * ease(progress));
+
+        if (progress < 1) {
+          scrollAnimation.frame = requestAnimationFrame(step);
+        } else {
+          finish(true);
+        }
+      };
+
+      SCROLL_CANCEL_EVENTS.forEach(type => window.addEventListener(type, handleUserScroll, { passive: true }));
+      scrollAnimation.finish = finish;
+      scrollAnimation.frame = requestAnimationFrame(step);
+    });
+  }
+
+  /**
+   * Scroll a section below the sticky header and move focus to it
+   * Focus follows only when the scroll completes; a cancelled scroll leaves
+   * focus with the visitor who interrupted it.
+   * @param {string|HTMLElement} target - Section element, id or "#id"
+   * @param {Object} [options] - { behavior ('smooth' or 'auto'), duration, easing, focus }
+   * @returns {Promise<boolean>} Resolves true once the section is reached
+   */
+  function scrollToSection(target, options = {}) {
+    const { behavior = 'smooth', focus = true, duration, easing } = options;
+    const element = typeof target === 'string'
+      ? document.getElementById(decodeURIComponent(target.replace(/^#/, '')))
+      : target;
+
+    if (!element) {
+      log('warn', 'Scroll target not found', { target });
+      return Promise.resolve(false);
+    }
+
+    const top = element.getBoundingClientRect().top + window.pageYOffset - getScrollOffset();
+    let scrolled;
+
+    if (behavior === 'smooth') {
+      scrolled = animateScroll(top, { duration, easing });
+    } else {
+      cancelScroll();
+      jumpTo(top);
+      scrolled = Promise.resolve(true);
+    }
+
+    return scrolled.then(completed => {
+      if (completed && focus) {
+        // Set focus for accessibility
+        element.setAttribute('tabindex', '-1');
+        element.focus({ preventScroll: true });
       }
 
-      // Set focus for accessibility
+      log('info', 'Scrolled to section', {
+        targetId: element.id,
+        top,
+        behavior,
+        completed,
+      });
+
+      return completed;
+    });
+  }
+
+  /**
+   * Split a hash into its target id and query parameters
+   * @param {string} hash - Hash such as "#contact?course=python-programming"
+   * @returns {Object} { targetId, params }
+   */
+  function parseHash(hash) {
+    const [targetId, query = ''] = hash.replace(/^#/, '').split('?');
+
+    return {
+      targetId: decodeURIComponent(targetId),
+      params: new URLSearchParams(query),
+    };
+  }
+
+  // ============================================
+  // Section Router
+  // ============================================
+
+  // Hash most recently routed, so one fragment change is not handled twice
+  let currentHash = null;
+
+  // Key stored in history.state on every entry the router has seen. A popstate
+  // for an entry without it is a new fragment navigation (address bar, plain
+  // link), not a visit back or forward to a known entry.
+  const HISTORY_STATE_KEY = 'programmingSchoolRoute';
+
+  /**
+   * Mark the current history entry as seen by the router
+   */
+  function markHistoryEntry() {
+    if (history.replaceState && !history.state?.[HISTORY_STATE_KEY]) {
+      history.replaceState({ ...history.state, [HISTORY_STATE_KEY]: true }, '');
+    }
+  }
+
+  /**
+   * Build a hash from a section id and its parameters
+   * @param {string} targetId - Section id
+   * @param {URLSearchParams} params - Hash parameters
+   * @returns {string} Hash such as "#contact?course=python-programming"
+   */
+  function buildHash(targetId, params) {
+    const query = params.toString();
+    return `#${encodeURIComponent(targetId)}${query ? `?${query}` : ''}`;
+  }
+
+  /**
+   * Act on a hash: apply its parameters, show its section and tell other modules
+   * @param {string} hash - Location hash
+   * @param {Object} options - { behavior, duration, easing, scroll, focus, source };
+   *   focus only applies without scroll (scrolling focuses on arrival)
+   */
+  function applyRoute(hash, options = {}) {
+    const { behavior = 'auto', duration, easing, scroll = true, focus = false, source } = options;
+    const { targetId, params } = parseHash(hash);
+    const targetElement = targetId ? document.getElementById(targetId) : null;
+
+    currentHash = hash;
+
+    const course = params.get('course');
+    if (course) {
+      selectCourse(course);
+    }
+
+    if (targetElement && scroll) {
+      scrollToSection(targetElement, { behavior, duration, easing });
+    } else if (targetElement && focus) {
       targetElement.setAttribute('tabindex', '-1');
       targetElement.focus({ preventScroll: true });
+    } else if (targetId && !targetElement) {
+      log('warn', 'Route target not found', { targetId });
+    }
+
+    document.dispatchEvent(new CustomEvent(ROUTER_EVENTS.ROUTE_CHANGE, {
+      detail: { targetId, params, source },
+    }));
+  }
+
+  /**
+   * Navigate to a section, adding a history entry
+   * @param {string} targetId - Section id
+   * @param {URLSearchParams} [params] - Hash parameters for other modules
+   * @param {Object} [options] - { behavior, duration, easing } smooth by default
+   * @returns {boolean} True if the section exists
+   */
+  function navigate(targetId, params = new URLSearchParams(), options = {}) {
+    const { behavior = 'smooth', duration, easing } = options;
+
+    if (!document.getElementById(targetId)) {
+      log('warn', 'Smooth scroll target not found', { targetId });
+      return false;
+    }
+
+    const hash = buildHash(targetId, params);
+
+    // Update URL without triggering navigation
+    if (history.pushState && hash !== window.location.hash) {
+      history.pushState({ [HISTORY_STATE_KEY]: true }, '', hash);
+    }
+
+    applyRoute(hash, { behavior, duration, easing, source: 'navigate' });
+    return true;
+  }
+
+  /**
+   * Current route
+   * @returns {Object} { targetId, params } parsed from the location hash
+   */
+  function getRoute() {
+    return parseHash(window.location.hash);
+  }
+
+  /**
+   * Route the initial hash and follow back/forward navigation
+   */
+  function initRouter() {
+    try {
+      // Reloads and back/forward visits get their scroll position from the
+      // browser; only fresh visits are scrolled to the linked section
+      const navigation = performance.getEntriesByType?.('navigation')[0];
+      const isRestoredVisit = Boolean(navigation && navigation.type !== 'navigate');
+
+      if (window.location.hash) {
+        applyRoute(window.location.hash, { scroll: !isRestoredVisit, source: 'load' });
+      } else {
+        currentHash = '';
+      }
+      markHistoryEntry();
+
+      window.addEventListener('popstate', event => {
+        // Back/forward: the browser restores the scroll position saved with the
+        // entry (history.scrollRestoration stays "auto"); only parameters and focus follow
+        if (event.state?.[HISTORY_STATE_KEY]) {
+          applyRoute(window.location.hash, { scroll: false, focus: true, source: 'popstate' });
+          return;
+        }
+
+        markHistoryEntry();
+        applyRoute(window.location.hash, { source: 'popstate' });
+      });
+
+      // Browsers fire popstate and hashchange for one fragment change; older ones only hashchange
+      window.addEventListener('hashchange', () => {
+        if (window.location.hash !== currentHash) {
+          markHistoryEntry();
+          applyRoute(window.location.hash, { source: 'hashchange' });
+        }
+      });
 
-      log('info', 'Smooth scroll executed', {
-        targetId,
-        offsetPosition,
+      log('info', 'Section router initialized', {
+        hash: window.location.hash,
+        restoredVisit: isRestoredVisit,
       });
     } catch (error) {
-      log('error', 'Smooth scroll failed', {
-        targetId,
+      log('error', 'Failed to initialize section router', {
         error: error.message,
+        stack: error.stack,
       });
     }
   }
 
   // ============================================
-  // Form Validation
+  // Course Deep Links
   // ============================================
 
+  // Unpersonalised contact copy, captured before any course is applied
+  const contactDefaults = {
+    title: null,
+    placeholder: null,
+  };
+
   /**
-   * Initialize form validation
+   * Initialize course personalisation and shareable course links
    */
-  function initFormValidation() {
+  function initCourseLinks() {
     try {
-      const form = document.querySelector(SELECTORS.CONTACT_FORM);
-      
-      if (!form) {
-        log('warn', 'Contact form not found');
-        return;
-      }
+      const courseSelect = document.querySelector(SELECTORS.COURSE_SELECT);
 
-      form.addEventListener('submit', handleFormSubmit);
+      if (courseSelect) {
+        const update = () => personaliseContact(courseSelect.selectedOptions[0]);
 
-      // Add real-time validation on blur
-      const inputs = form.querySelectorAll('input, textarea, select');
-      inputs.forEach(input => {
-        input.addEventListener('blur', () => validateField(input));
-        input.addEventListener('input', () => clearFieldError(input));
-      });
+        // Keep the copy in step with manual choices and restored drafts
+        courseSelect.addEventListener('input', update);
 
-      log('info', 'Form validation initialized', {
-        inputCount: inputs.length,
-      });
+        // reset fires before the fields are cleared, so read the select afterwards
+        courseSelect.form?.addEventListener('reset', () => setTimeout(update, 0));
+      }
     } catch (error) {
-      log('error', 'Failed to initialize form validation', {
+      log('error', 'Failed to initialize course links', {
         error: error.message,
         stack: error.stack,
       });
@@ -229,124 +529,143 @@
   }
 
   /**
-   * Handle form submission
-   * @param {Event} event - Submit event
+   * Pre-select a course in the contact form
+   * @param {string} course - Course option value
+   * @returns {boolean} True if the course exists
    */
-  async function handleFormSubmit(event) {
-    event.preventDefault();
+  function selectCourse(course) {
+    const courseSelect = document.querySelector(SELECTORS.COURSE_SELECT);
+    const option = courseSelect && Array.from(courseSelect.options).find(item => item.value === course);
 
-    const form = event.target;
-    const submitButton = form.querySelector(SELECTORS.FORM_SUBMIT_BTN);
-    
-    // Clear previous errors
-    clearAllErrors(form);
+    if (!option) {
+      log('warn', 'Unknown course in link', { course });
+      return false;
+    }
 
-    // Validate all fields
-    const isValid = validateForm(form);
+    courseSelect.value = course;
+    courseSelect.dispatchEvent(new Event('change', { bubbles: true }));
+    clearFieldError(courseSelect);
+    personaliseContact(option);
 
-    if (!isValid) {
-      log('warn', 'Form validation failed');
-      return;
-    }
+    log('info', 'Course pre-selected', { course });
+    return true;
+  }
 
-    try {
-      // Set loading state
-      setButtonState(submitButton, 'loading');
-      
-      const formData = new FormData(form);
-      const data = Object.fromEntries(formData.entries());
+  /**
+   * Tailor the contact heading and message prompt to a course
+   * @param {HTMLOptionElement|undefined} option - Selected course option
+   */
+  function personaliseContact(option) {
+    const title = document.querySelector(SELECTORS.CONTACT_TITLE);
+    const message = document.querySelector(SELECTORS.MESSAGE_FIELD);
 
-      log('info', 'Form submission started', {
-        fields: Object.keys(data),
-      });
+    if (contactDefaults.title === null) {
+      contactDefaults.title = title ? title.textContent : '';
+      contactDefaults.placeholder = message ? message.placeholder : '';
+    }
 
-      // Simulate API call (replace with actual endpoint)
-      await simulateFormSubmission(data);
+    // The placeholder and "not sure" choices get the generic copy
+    const courseName = option && option.value && option.value !== 'not-sure'
+      ? option.textContent.trim()
+      : null;
 
-      // Set success state
-      setButtonState(submitButton, 'success');
+    if (title) {
+      title.textContent = courseName ? t('contact.courseTitle', { course: courseName }) : contactDefaults.title;
+    }
 
-      // Reset form after delay
-      setTimeout(() => {
-        form.reset();
-        setButtonState(submitButton, 'default');
-        log('info', 'Form reset after successful submission');
-      }, CONFIG.FORM_SUCCESS_DURATION);
+    if (message) {
+      message.placeholder = courseName
+        ? t('contact.coursePlaceholder', { course: courseName })
+        : contactDefaults.placeholder;
+    }
+  }
 
-      log('info', 'Form submission successful');
-    } catch (error) {
-      setButtonState(submitButton, 'error');
+  // ============================================
+  // Form Validation
+  // ============================================
+
+  /**
+   * Initialize form validation for every form marked with data-validate-form
+   */
+  function initFormValidation() {
+    try {
+      const forms = document.querySelectorAll(SELECTORS.VALIDATED_FORMS);
       
-      setTimeout(() => {
-        setButtonState(submitButton, 'default');
-      }, CONFIG.FORM_SUCCESS_DURATION);
+      if (forms.length === 0) {
+        log('warn', 'No forms to validate found');
+        return;
+      }
+
+      // Submission is owned by the form controller (js/interactions.js),
+      // which calls validateForm() through the public API below
+      let inputCount = 0;
+
+      forms.forEach(form => {
+        // Add real-time validation on blur
+        const inputs = form.querySelectorAll('input, textarea, select');
+        inputs.forEach(input => {
+          input.addEventListener('blur', () => validateField(input));
+          input.addEventListener('input', () => clearFieldError(input));
+        });
+        inputCount += inputs.length;
+      });
 
-      log('error', 'Form submission failed', {
+      log('info', 'Form validation initialized', {
+        formCount: forms.length,
+        inputCount,
+      });
+    } catch (error) {
+      log('error', 'Failed to initialize form validation', {
         error: error.message,
         stack: error.stack,
       });
-
-      showFormError(form, 'An error occurred. Please try again later.');
     }
   }
 
   /**
    * Validate entire form
    * @param {HTMLFormElement} form - Form element
-   * @returns {boolean} True if form is valid
+   * @returns {Promise<boolean>} True if form is valid
    */
-  function validateForm(form) {
-    const inputs = form.querySelectorAll('input[required], textarea[required]');
-    let isValid = true;
+  async function validateForm(form) {
+    const engine = window.ProgrammingSchool?.validation;
 
-    inputs.forEach(input => {
-      if (!validateField(input)) {
-        isValid = false;
-      }
-    });
+    if (!engine) {
+      log('warn', 'Validation engine not available - skipping validation');
+      return true;
+    }
 
-    return isValid;
+    const results = await Promise.all(engine.getValidatableFields(form).map(validateField));
+    return results.every(Boolean);
   }
 
   /**
-   * Validate individual field
+   * Validate individual field through the validation engine and render the result
    * @param {HTMLInputElement} field - Input field
-   * @returns {boolean} True if field is valid
+   * @returns {Promise<boolean>} True if field is valid
    */
-  function validateField(field) {
-    const fieldName = field.name;
-    const fieldValue = field.value.trim();
-    const rules = VALIDATION_RULES[fieldName];
+  async function validateField(field) {
+    const engine = window.ProgrammingSchool?.validation;
 
-    if (!rules) {
+    if (!engine) {
       return true;
     }
 
-    // Required validation
-    if (rules.required && !fieldValue) {
-      showFieldError(field, `${field.labels[0]?.textContent || 'This field'} is required`);
-      return false;
-    }
-
-    // Skip other validations if field is empty and not required
-    if (!fieldValue && !rules.required) {
-      return true;
-    }
+    const result = await engine.validateField(field);
 
-    // Min length validation
-    if (rules.minLength && fieldValue.length < rules.minLength) {
-      showFieldError(field, `Must be at least ${rules.minLength} characters`);
-      return false;
+    // A newer validation of this field owns the UI; a stale result carries
+    // that newer run's outcome, so the returned validity is still real
+    if (result.stale) {
+      return result.valid;
     }
 
-    // Pattern validation
-    if (rules.pattern && !rules.pattern.test(fieldValue)) {
-      showFieldError(field, rules.message);
-      return false;
+    if (result.valid) {
+      clearFieldError(field);
+    } else {
+      showFieldError(field, result.message);
     }
 
-    clearFieldError(field);
-    return true;
+    return result.valid;
   }
 
   /**
@@ -373,9 +692,9 @@
     errorElement.className = 'field-error';
     errorElement.textContent = message;
     errorElement.setAttribute('role', 'alert');
-    errorElement.style.cssText = 'display: block; color: hsl(0, 70%, 60%); font-size: 0.875rem; margin-top: 0.5rem;';
 
     formGroup.appendChild(errorElement);
+    notifyValidationChange(field, false, message);
 
     log('info', 'Field validation error shown', {
       field: field.name,
@@ -391,6 +710,8 @@
     const formGroup = field.closest('.form-group');
     if (!formGroup) return;
 
+    const wasInvalid = field.getAttribute('aria-invalid') === 'true';
+
     field.classList.remove('error');
     field.removeAttribute('aria-invalid');
 
@@ -398,6 +719,23 @@
     if (errorElement) {
       errorElement.remove();
     }
+
+    if (wasInvalid) {
+      notifyValidationChange(field, true, null);
+    }
+  }
+
+  /**
+   * Let other modules (e.g. the error summary) follow a field's error state
+   * @param {HTMLElement} field - Form field
+   * @param {boolean} valid - Whether the field is now valid
+   * @param {string|null} message - Error message shown for the field
+   */
+  function notifyValidationChange(field, valid, message) {
+    field.dispatchEvent(new CustomEvent('fieldValidationChange', {
+      detail: { valid, message },
+      bubbles: true,
+    }));
   }
 
   /**
@@ -414,86 +752,46 @@
       field.removeAttribute('aria-invalid');
     });
 
-    const formError = form.querySelector('.form-error');
-    if (formError) {
-      formError.remove();
-    }
+    window.ProgrammingSchool?.errorSummary?.clear(form);
   }
 
   /**
-   * Show general form error
+   * Route server-side field errors onto the matching fields
    * @param {HTMLFormElement} form - Form element
-   * @param {string} message - Error message
+   * @param {Object<string, string>} fieldErrors - Messages keyed by field name
+   * @returns {string[]} Messages that did not match any field
    */
-  function showFormError(form, message) {
-    const errorElement = document.createElement('div');
-    errorElement.className = 'form-error';
-    errorElement.textContent = message;
-    errorElement.setAttribute('role', 'alert');
-    errorElement.style.cssText = 'padding: 1rem; background-color: hsl(0, 70%, 95%); color: hsl(0, 70%, 40%); border-radius: 0.5rem; margin-bottom: 1rem;';
+  function applyServerErrors(form, fieldErrors) {
+    const unmatched = [];
+    const invalidFields = [];
 
-    form.insertBefore(errorElement, form.firstChild);
-  }
+    Object.entries(fieldErrors).forEach(([name, message]) => {
+      let field = form.elements.namedItem(name);
 
-  /**
-   * Set button state (loading, success, error, default)
-   * @param {HTMLButtonElement} button - Button element
-   * @param {string} state - Button state
-   */
-  function setButtonState(button, state) {
-    if (!button) return;
+      // Radio groups and same-named controls resolve to a collection
+      if (field && !(field instanceof Element)) {
+        field = field[0];
+      }
 
-    // Remove all state classes
-    button.classList.remove('loading', 'success', 'error');
-    button.disabled = false;
+      if (!field || !field.closest('.form-group')) {
+        unmatched.push(message);
+        return;
+      }
 
-    const originalText = button.getAttribute('data-original-text') || button.textContent;
-    
-    if (!button.hasAttribute('data-original-text')) {
-      button.setAttribute('data-original-text', originalText);
-    }
-
-    switch (state) {
-      case 'loading':
-        button.classList.add('loading');
-        button.disabled = true;
-        button.innerHTML = '<span>Sending...</span>';
-        break;
-      case 'success':
-        button.classList.add('success');
-        button.disabled = true;
-        button.innerHTML = '<span>Message Sent!</span>';
-        break;
-      case 'error':
-        button.classList.add('error');
-        button.innerHTML = '<span>Failed - Try Again</span>';
-        break;
-      default:
-        button.innerHTML = `<span>${originalText}</span>`;
-    }
-
-    log('info', 'Button state changed', {
-      state,
-      disabled: button.disabled,
+      showFieldError(field, message);
+      invalidFields.push(field);
     });
-  }
 
-  /**
-   * Simulate form submission (replace with actual API call)
-   * @param {Object} data - Form data
-   * @returns {Promise} Promise that resolves after delay
-   */
-  function simulateFormSubmission(data) {
-    return new Promise((resolve, reject) => {
-      setTimeout(() => {
-        // Simulate 90% success rate
-        if (Math.random() > 0.1) {
-          resolve({ success: true, data });
-        } else {
-          reject(new Error('Simulated network error'));
-        }
-      }, 2000);
+    // Focus is left to the error summary, which links to each field. Focusing a
+    // field here would blur it when the summary takes focus, and the blur-time
+    // validation would replace the server message.
+
+    log('info', 'Server field errors applied', {
+      fields: invalidFields.map(field => field.name),
+      unmatchedCount: unmatched.length,
     });
+
+    return unmatched;
   }
 
   // ============================================
@@ -575,43 +873,6 @@
     });
   }
 
-  // ============================================
-  // Mobile Menu Toggle (if needed in future)
-  // ============================================
-
-  /**
-   * Initialize mobile menu toggle functionality
-   * Note: Current design doesn't have hamburger menu, but prepared for future use
-   */
-  function initMobileMenu() {
-    try {
-      const menuToggle = document.querySelector('.menu-toggle');
-      const navMenu = document.querySelector(SELECTORS.NAV_MENU);
-
-      if (!menuToggle || !navMenu) {
-        log('info', 'Mobile menu elements not found (may not be needed)');
-        return;
-      }
-
-      menuToggle.addEventListener('click', () => {
-        const isExpanded = menuToggle.getAttribute('aria-expanded') === 'true';
-        
-        menuToggle.setAttribute('aria-expanded', !isExpanded);
-        navMenu.classList.toggle('active');
-
-        log('info', 'Mobile menu toggled', {
-          expanded: !isExpanded,
-        });
-      });
-
-      log('info', 'Mobile menu initialized');
-    } catch (error) {
-      log('error', 'Failed to initialize mobile menu', {
-        error: error.message,
-      });
-    }
-  }
-
   // ============================================
   // Initialization
   // ============================================
@@ -625,8 +886,9 @@
 
       initSmoothScroll();
       initFormValidation();
+      initCourseLinks();
+      initRouter();
       initScrollAnimations();
-      initMobileMenu();
 
       log('info', 'All features initialized successfully');
     } catch (error) {
@@ -653,13 +915,38 @@
     }
   });
 
+  // Expose form validation helpers for other modules
+  window.ProgrammingSchool = window.ProgrammingSchool || {};
+  window.ProgrammingSchool.formValidation = Object.freeze({
+    validateForm,
+    validateField,
+    showFieldError,
+    clearFieldError,
+    clearAllErrors,
+    applyServerErrors,
+  });
+
+  // Expose the scroll engine for code that needs to await a scroll
+  window.ProgrammingSchool.scroll = Object.freeze({
+    EASINGS: Object.keys(EASINGS),
+    scrollToSection,
+    cancel: cancelScroll,
+  });
+
+  // Expose the section router; hash parameters reach other modules through routechange
+  window.ProgrammingSchool.router = Object.freeze({
+    EVENTS: ROUTER_EVENTS,
+    getRoute,
+    navigate,
+  });
+
   // Expose public API for debugging (only in development)
   if (window.location.hostname === 'localhost' || window.location.hostname === '127.0.0.1') {
-    window.ProgrammingSchool = {
+    window.ProgrammingSchool = Object.assign(window.ProgrammingSchool || {}, {
       version: '1.0.0',
       config: CONFIG,
       log,
-    };
+    });
   }
 
 })();
\ No newline at end of file
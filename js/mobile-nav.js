@@ -0,0 +1,417 @@
+/**
+ * Mobile Navigation - Off-canvas drawer for #mobile-nav
+ * The .menu-toggle button opens the drawer. While open, focus is trapped
+ * between the toggle and the drawer links and the page behind does not scroll.
+ * Escape, the overlay, a link click, a swipe towards the screen edge or
+ * widening the viewport past the desktop breakpoint all close it; closing
+ * with the keyboard or a button returns focus to the toggle.
+ *
+ * @modifies: index.html
+ * @dependencies: ["css/components.css", "css/responsive.css"]
+ */
+
+(function() {
+  'use strict';
+
+  // ============================================
+  // Configuration and Constants
+  // ============================================
+
+  const CONFIG = Object.freeze({
+    // Matches the tablet breakpoint in css/responsive.css, where .nav-menu takes over
+    DESKTOP_QUERY: '(min-width: 768px)',
+    SWIPE_CLOSE_DISTANCE: 80,
+    // Vertical movement this far before any horizontal movement means the visitor is scrolling
+    SWIPE_SCROLL_TOLERANCE: 10,
+  });
+
+  const SELECTORS = Object.freeze({
+    TOGGLE: '.menu-toggle',
+    DRAWER: '#mobile-nav',
+    OVERLAY: '.mobile-nav-overlay',
+    CONTENT: '.mobile-nav-content',
+    LINKS: 'a[href]',
+    FOCUSABLE: 'a[href], button:not([disabled]), input:not([disabled]), select:not([disabled]), textarea:not([disabled]), [tabindex]:not([tabindex="-1"])',
+  });
+
+  const CLASSES = Object.freeze({
+    OPEN: 'is-open',
+    DRAGGING: 'is-dragging',
+    SCROLL_LOCKED: 'is-scroll-locked',
+  });
+
+  const EVENTS = Object.freeze({
+    TOGGLE: 'drawertoggle',
+  });
+
+  let drawer = null;
+
+  // ============================================
+  // Utility Functions
+  // ============================================
+
+  /**
+   * Log structured message to console
+   * @param {string} level - Log level (info, warn, error)
+   * @param {string} message - Log message
+   * @param {Object} context - Additional context
+   */
+  function log(level, message, context = {}) {
+    const timestamp = new Date().toISOString();
+    const logData = {
+      timestamp,
+      level,
+      message,
+      module: 'mobile-nav',
+      ...context,
+    };
+
+    if (level === 'error') {
+      console.error('[Programming School - Mobile Nav]', logData);
+    } else if (level === 'warn') {
+      console.warn('[Programming School - Mobile Nav]', logData);
+    } else {
+      console.log('[Programming School - Mobile Nav]', logData);
+    }
+  }
+
+  /**
+   * Whether the page is laid out right to left
+   * @returns {boolean} True for RTL
+   */
+  function isRightToLeft() {
+    return document.documentElement.dir === 'rtl';
+  }
+
+  // ============================================
+  // Scroll Lock
+  // ============================================
+
+  /**
+   * Stop the page behind an overlay from scrolling
+   * Shared with the command palette through ProgrammingSchool.scrollLock: every
+   * lock() needs its own unlock(), and the page only scrolls again once all
+   * overlays have released it. The scrollbar width is reserved so the layout
+   * does not shift.
+   */
+  const scrollLock = {
+    count: 0,
+
+    lock() {
+      this.count += 1;
+
+      if (this.count === 1) {
+        const root = document.documentElement;
+        root.style.setProperty('--scrollbar-gap', `${window.innerWidth - root.clientWidth}px`);
+        root.classList.add(CLASSES.SCROLL_LOCKED);
+      }
+    },
+
+    unlock() {
+      if (this.count === 0) {
+        return;
+      }
+
+      this.count -= 1;
+
+      if (this.count === 0) {
+        const root = document.documentElement;
+        root.style.removeProperty('--scrollbar-gap');
+        root.classList.remove(CLASSES.SCROLL_LOCKED);
+      }
+    },
+  };
+
+  // ============================================
+  // Drawer
+  // ============================================
+
+  /**
+   * Drawer controller for the mobile navigation
+   */
+  class MobileDrawer {
+    constructor(toggle, nav) {
+      this.toggleButton = toggle;
+      this.nav = nav;
+      this.overlay = nav.querySelector(SELECTORS.OVERLAY);
+      this.content = nav.querySelector(SELECTORS.CONTENT) || nav;
+      this.desktopQuery = window.matchMedia(CONFIG.DESKTOP_QUERY);
+      this.isOpen = false;
+      this.swipe = null;
+
+      this.handleKeydown = this.handleKeydown.bind(this);
+
+      this.init();
+    }
+
+    /**
+     * Initialize drawer
+     */
+    init() {
+      this.toggleButton.setAttribute('aria-expanded', 'false');
+
+      this.toggleButton.addEventListener('click', () => this.toggle());
+      this.overlay?.addEventListener('click', () => this.close());
+
+      // Let the link navigate; focus moves to its target rather than back to the toggle
+      this.nav.querySelectorAll(SELECTORS.LINKS).forEach(link => {
+        link.addEventListener('click', () => this.close({ restoreFocus: false }));
+      });
+
+      const handleBreakpoint = event => {
+        if (event.matches) {
+          this.close({ restoreFocus: false });
+        }
+      };
+
+      if (this.desktopQuery.addEventListener) {
+        this.desktopQuery.addEventListener('change', handleBreakpoint);
+      } else {
+        // Fallback for older browsers
+        this.desktopQuery.addListener(handleBreakpoint);
+      }
+
+      this.content.addEventListener('touchstart', event => this.handleTouchStart(event), { passive: true });
+      this.content.addEventListener('touchmove', event => this.handleTouchMove(event), { passive: true });
+      this.content.addEventListener('touchend', () => this.handleTouchEnd());
+      this.content.addEventListener('touchcancel', () => this.handleTouchEnd({ cancelled: true }));
+    }
+
+    /**
+     * Toggle the drawer
+     */
+    toggle() {
+      if (this.isOpen) {
+        this.close();
+      } else {
+        this.open();
+      }
+    }
+
+    /**
+     * Open the drawer and move focus into it
+     * @returns {boolean} True if the drawer opened
+     */
+    open() {
+      if (this.isOpen || this.desktopQuery.matches) {
+        return false;
+      }
+
+      this.isOpen = true;
+      this.nav.classList.add(CLASSES.OPEN);
+      this.toggleButton.setAttribute('aria-expanded', 'true');
+      scrollLock.lock();
+
+      document.addEventListener('keydown', this.handleKeydown);
+
+      this.getFocusableElements()[1]?.focus();
+
+      this.dispatchToggle();
+      log('info', 'Mobile navigation opened');
+      return true;
+    }
+
+    /**
+     * Close the drawer
+     * @param {Object} options - { restoreFocus } whether focus returns to the toggle
+     * @returns {boolean} True if the drawer closed
+     */
+    close(options = {}) {
+      const { restoreFocus = true } = options;
+
+      if (!this.isOpen) {
+        return false;
+      }
+
+      this.isOpen = false;
+      this.nav.classList.remove(CLASSES.OPEN);
+      this.toggleButton.setAttribute('aria-expanded', 'false');
+      this.resetSwipe();
+      scrollLock.unlock();
+
+      document.removeEventListener('keydown', this.handleKeydown);
+
+      if (restoreFocus) {
+        this.toggleButton.focus();
+      }
+
+      this.dispatchToggle();
+      log('info', 'Mobile navigation closed', { restoreFocus });
+      return true;
+    }
+
+    /**
+     * Announce open state changes to other modules
+     */
+    dispatchToggle() {
+      this.nav.dispatchEvent(new CustomEvent(EVENTS.TOGGLE, {
+        detail: { open: this.isOpen },
+        bubbles: true,
+      }));
+    }
+
+    /**
+     * Elements in the focus trap: the toggle (which closes the drawer) and the drawer contents
+     * @returns {HTMLElement[]} Focusable elements in tab order
+     */
+    getFocusableElements() {
+      return [this.toggleButton, ...this.content.querySelectorAll(SELECTORS.FOCUSABLE)];
+    }
+
+    /**
+     * Close on Escape and keep Tab inside the drawer
+     * @param {KeyboardEvent} event - Keydown event
+     */
+    handleKeydown(event) {
+      if (event.key === 'Escape') {
+        event.preventDefault();
+        this.close();
+        return;
+      }
+
+      if (event.key !== 'Tab') {
+        return;
+      }
+
+      const focusable = this.getFocusableElements();
+      const first = focusable[0];
+      const last = focusable[focusable.length - 1];
+      const isInside = focusable.includes(document.activeElement);
+
+      if (event.shiftKey && (document.activeElement === first || !isInside)) {
+        event.preventDefault();
+        last.focus();
+      } else if (!event.shiftKey && (document.activeElement === last || !isInside)) {
+        event.preventDefault();
+        first.focus();
+      }
+    }
+
+    /**
+     * Start tracking a swipe
+     * @param {TouchEvent} event - Touch event
+     */
+    handleTouchStart(event) {
+      if (!this.isOpen || event.touches.length !== 1) {
+        return;
+      }
+
+      const touch = event.touches[0];
+      this.swipe = { startX: touch.clientX, startY: touch.clientY, distance: 0, isHorizontal: null };
+    }
+
+    /**
+     * Let the drawer follow the finger towards the screen edge
+     * @param {TouchEvent} event - Touch event
+     */
+    handleTouchMove(event) {
+      if (!this.swipe) {
+        return;
+      }
+
+      const touch = event.touches[0];
+      const deltaX = touch.clientX - this.swipe.startX;
+      const deltaY = touch.clientY - this.swipe.startY;
+
+      // Decide once whether this gesture is a swipe or a scroll of the drawer links
+      if (this.swipe.isHorizontal === null) {
+        if (Math.abs(deltaY) > CONFIG.SWIPE_SCROLL_TOLERANCE && Math.abs(deltaY) > Math.abs(deltaX)) {
+          this.swipe.isHorizontal = false;
+        } else if (Math.abs(deltaX) > CONFIG.SWIPE_SCROLL_TOLERANCE) {
+          this.swipe.isHorizontal = true;
+          this.content.classList.add(CLASSES.DRAGGING);
+        }
+      }
+
+      if (!this.swipe.isHorizontal) {
+        return;
+      }
+
+      // The drawer sits on the inline-end edge, so it closes towards it
+      const direction = isRightToLeft() ? -1 : 1;
+      this.swipe.distance = Math.max(0, deltaX * direction);
+      this.content.style.transform = `translateX(${this.swipe.distance * direction}px)`;
+    }
+
+    /**
+     * Close if the swipe went far enough, otherwise snap back
+     * @param {Object} options - { cancelled } whether the browser cancelled the touch
+     */
+    handleTouchEnd(options = {}) {
+      if (!this.swipe) {
+        return;
+      }
+
+      const shouldClose = !options.cancelled && this.swipe.distance >= CONFIG.SWIPE_CLOSE_DISTANCE;
+
+      this.resetSwipe();
+
+      if (shouldClose) {
+        this.close({ restoreFocus: false });
+      }
+    }
+
+    /**
+     * Drop any swipe in progress
+     */
+    resetSwipe() {
+      this.swipe = null;
+      this.content.classList.remove(CLASSES.DRAGGING);
+      this.content.style.removeProperty('transform');
+    }
+  }
+
+  // ============================================
+  // Initialization
+  // ============================================
+
+  /**
+   * Initialize the mobile navigation drawer
+   */
+  function init() {
+    try {
+      const toggle = document.querySelector(SELECTORS.TOGGLE);
+      const nav = document.querySelector(SELECTORS.DRAWER);
+
+      if (!toggle || !nav) {
+        log('info', 'Mobile navigation elements not found (may not be needed)');
+        return;
+      }
+
+      drawer = new MobileDrawer(toggle, nav);
+
+      log('info', 'Mobile navigation initialized');
+    } catch (error) {
+      log('error', 'Failed to initialize mobile navigation', {
+        error: error.message,
+        stack: error.stack,
+      });
+    }
+  }
+
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', init);
+  } else {
+    init();
+  }
+
+  // ============================================
+  // Public API
+  // ============================================
+
+  window.ProgrammingSchool = window.ProgrammingSchool || {};
+  window.ProgrammingSchool.mobileNav = Object.freeze({
+    version: '1.0.0',
+    EVENTS,
+    open: () => Boolean(drawer?.open()),
+    close: options => Boolean(drawer?.close(options)),
+    isOpen: () => Boolean(drawer?.isOpen),
+  });
+
+  window.ProgrammingSchool.scrollLock = Object.freeze({
+    lock: () => scrollLock.lock(),
+    unlock: () => scrollLock.unlock(),
+    isLocked: () => scrollLock.count > 0,
+  });
+
+})();
\ No newline at end of file
@@ -0,0 +1,410 @@
+/**
+ * Newsletter - Compact signup form mountable anywhere
+ * Renders an email + course interests form into every [data-newsletter]
+ * element. The form is an ordinary [data-form-controller] form, so it gets the
+ * shared validation rules, morphing button, spam checks and transport. This file
+ * is loaded before js/main.js and js/interactions.js so the rendered forms are
+ * picked up when those modules initialise; the double opt-in hooks are attached
+ * when interactions.js announces the form's controller. Labels follow the
+ * current locale.
+ *
+ * Mount attributes:
+ * - data-newsletter="<source>": where the form sits, sent as the "source" field
+ * - data-newsletter-action: endpoint (defaults to CONFIG.DEFAULT_ACTION)
+ * - data-newsletter-courses-from: select whose options become the interests
+ * - data-transport, data-mock-scenario, data-timeout: passed to the form
+ *
+ * @modifies: index.html
+ * @dependencies: ["js/interactions.js", "js/validation.js", "js/i18n.js", "css/components.css"]
+ */
+
+(function() {
+  'use strict';
+
+  // ============================================
+  // Configuration and Constants
+  // ============================================
+
+  const CONFIG = Object.freeze({
+    DEFAULT_ACTION: '/subscribe-newsletter',
+    DEFAULT_COURSES_FROM: '#course-interest',
+    INTERESTS_FIELD: 'interests',
+  });
+
+  const ATTRIBUTES = Object.freeze({
+    MOUNT: 'data-newsletter',
+    ACTION: 'data-newsletter-action',
+    COURSES_FROM: 'data-newsletter-courses-from',
+  });
+
+  // Mount attributes copied onto the rendered form
+  const PASSTHROUGH_ATTRIBUTES = Object.freeze(['data-transport', 'data-mock-scenario', 'data-timeout']);
+
+  const SELECTORS = Object.freeze({
+    MOUNTS: '[data-newsletter]',
+    FORMS: '[data-newsletter] .newsletter-form',
+    HEADING: 'h1, h2, h3, h4, h5, h6',
+    STATUS: '.newsletter-status',
+    NOTE: '.newsletter-note',
+    EMAIL: 'input[name="email"]',
+    INTERESTS_LEGEND: '.newsletter-interests legend',
+    SUBMIT_BUTTON: 'button[type="submit"]',
+  });
+
+  // Course select options that are not courses
+  const SKIPPED_COURSES = Object.freeze(['', 'not-sure']);
+
+  let mountCount = 0;
+
+  // ============================================
+  // Utility Functions
+  // ============================================
+
+  /**
+   * Log structured message to console
+   * @param {string} level - Log level (info, warn, error)
+   * @param {string} message - Log message
+   * @param {Object} context - Additional context
+   */
+  function log(level, message, context = {}) {
+    const timestamp = new Date().toISOString();
+    const logData = {
+      timestamp,
+      level,
+      message,
+      module: 'newsletter',
+      ...context,
+    };
+
+    if (level === 'error') {
+      console.error('[Programming School - Newsletter]', logData);
+    } else if (level === 'warn') {
+      console.warn('[Programming School - Newsletter]', logData);
+    } else {
+      console.log('[Programming School - Newsletter]', logData);
+    }
+  }
+
+  /**
+   * Translate a message through the shared catalogs (js/i18n.js)
+   * @param {string} key - Message key
+   * @param {Object} [params] - Interpolation values
+   * @returns {string} Translated message, or the key if i18n is unavailable
+   */
+  function t(key, params) {
+    const i18n = window.ProgrammingSchool?.i18n;
+    return i18n ? i18n.t(key, params) : key;
+  }
+
+  /**
+   * Create an element with a class and optional text
+   * @param {string} tag - Tag name
+   * @param {string} [className] - Class name
+   * @param {string} [text] - Text content
+   * @returns {HTMLElement} Element
+   */
+  function createElement(tag, className, text) {
+    const element = document.createElement(tag);
+    if (className) {
+      element.className = className;
+    }
+    if (text) {
+      element.textContent = text;
+    }
+    return element;
+  }
+
+  /**
+   * Courses offered as interests
+   * @param {HTMLElement} mount - Mount element
+   * @returns {Array<{value: string, label: string}>} Courses
+   */
+  function getCourses(mount) {
+    const sourceSelector = mount.getAttribute(ATTRIBUTES.COURSES_FROM) || CONFIG.DEFAULT_COURSES_FROM;
+    const source = document.querySelector(sourceSelector);
+
+    if (!source) {
+      log('warn', 'Course source not found - interests omitted', { source: sourceSelector });
+      return [];
+    }
+
+    return Array.from(source.options)
+      .filter(option => !SKIPPED_COURSES.includes(option.value))
+      .map(option => ({ value: option.value, label: option.textContent.trim() }));
+  }
+
+  // ============================================
+  // Rendering
+  // ============================================
+
+  /**
+   * Build the email field
+   * @param {string} id - Field id
+   * @returns {HTMLElement} Form group
+   */
+  function renderEmailField(id) {
+    const group = createElement('div', 'form-group');
+    const label = createElement('label');
+    const required = createElement('span', null, '*');
+    const input = document.createElement('input');
+
+    label.htmlFor = id;
+    required.setAttribute('aria-label', 'required');
+    // The text node before the marker is filled in by applyLabels
+    label.append(document.createTextNode(''), required);
+
+    input.type = 'email';
+    input.id = id;
+    input.name = 'email';
+    input.required = true;
+    input.autocomplete = 'email';
+    input.setAttribute('aria-required', 'true');
+    input.setAttribute('inputmode', 'email');
+    input.setAttribute('data-validate', 'email email-domain');
+
+    group.append(label, input);
+    return group;
+  }
+
+  /**
+   * Build the interests checkboxes
+   * @param {Array<{value: string, label: string}>} courses - Courses
+   * @returns {HTMLFieldSetElement} Fieldset
+   */
+  function renderInterests(courses) {
+    const fieldset = createElement('fieldset', 'form-group form-options newsletter-interests');
+    fieldset.appendChild(createElement('legend'));
+
+    courses.forEach(course => {
+      const label = createElement('label', 'form-option');
+      const checkbox = document.createElement('input');
+
+      checkbox.type = 'checkbox';
+      checkbox.name = CONFIG.INTERESTS_FIELD;
+      checkbox.value = course.value;
+
+      label.append(checkbox, document.createTextNode(course.label));
+      fieldset.appendChild(label);
+    });
+
+    return fieldset;
+  }
+
+  /**
+   * Build the honeypot checked by js/spam-protection.js
+   * @param {string} id - Field id
+   * @returns {HTMLElement} Honeypot wrapper
+   */
+  function renderHoneypot(id) {
+    const wrapper = createElement('div', 'form-honeypot');
+    const label = createElement('label', null, 'Leave this field empty');
+    const input = document.createElement('input');
+
+    wrapper.setAttribute('aria-hidden', 'true');
+    label.htmlFor = id;
+
+    input.type = 'text';
+    input.id = id;
+    input.name = 'website';
+    input.tabIndex = -1;
+    input.autocomplete = 'off';
+    input.setAttribute('data-honeypot', '');
+
+    wrapper.append(label, input);
+    return wrapper;
+  }
+
+  /**
+   * Render the signup form into a mount element
+   * @param {HTMLElement} mount - Mount element
+   * @returns {HTMLFormElement} Rendered form
+   */
+  function mountNewsletter(mount) {
+    mountCount += 1;
+
+    const prefix = `newsletter-${mountCount}`;
+    const source = mount.getAttribute(ATTRIBUTES.MOUNT);
+    const courses = getCourses(mount);
+    const form = createElement('form', 'newsletter-form');
+
+    form.method = 'POST';
+    form.action = mount.getAttribute(ATTRIBUTES.ACTION) || CONFIG.DEFAULT_ACTION;
+    form.noValidate = true;
+    form.setAttribute('data-form-controller', '');
+    form.setAttribute('data-validate-form', '');
+    form.setAttribute('data-spam-protection', '');
+
+    PASSTHROUGH_ATTRIBUTES.forEach(name => {
+      if (mount.hasAttribute(name)) {
+        form.setAttribute(name, mount.getAttribute(name));
+      }
+    });
+
+    // Label the form by the mount's own heading when it has one
+    const heading = mount.querySelector(SELECTORS.HEADING);
+    if (heading) {
+      heading.id = heading.id || `${prefix}-title`;
+      form.setAttribute('aria-labelledby', heading.id);
+    }
+
+    form.appendChild(renderEmailField(`${prefix}-email`));
+
+    if (courses.length) {
+      form.appendChild(renderInterests(courses));
+    }
+
+    form.appendChild(renderHoneypot(`${prefix}-website`));
+
+    if (source) {
+      const sourceField = document.createElement('input');
+      sourceField.type = 'hidden';
+      sourceField.name = 'source';
+      sourceField.value = source;
+      form.appendChild(sourceField);
+    }
+
+    const button = createElement('button', 'btn btn-primary', t('newsletter.subscribe'));
+    button.type = 'submit';
+    button.setAttribute('data-morphing-button', '');
+    form.appendChild(button);
+
+    const status = createElement('p', 'newsletter-status');
+    status.setAttribute('role', 'status');
+    form.appendChild(status);
+
+    form.appendChild(createElement('p', 'newsletter-note'));
+
+    applyLabels(form);
+
+    mount.appendChild(form);
+    return form;
+  }
+
+  /**
+   * Write the translated labels into a rendered form
+   * Called on render and again on every locale change.
+   * @param {HTMLFormElement} form - Rendered form
+   */
+  function applyLabels(form) {
+    const email = form.querySelector(SELECTORS.EMAIL);
+    const legend = form.querySelector(SELECTORS.INTERESTS_LEGEND);
+
+    form.querySelector(`label[for="${email.id}"]`).firstChild.nodeValue = t('newsletter.emailLabel');
+    email.placeholder = t('newsletter.emailPlaceholder');
+
+    if (legend) {
+      legend.textContent = t('newsletter.interests');
+    }
+
+    if (!form.hasAttribute('aria-labelledby')) {
+      form.setAttribute('aria-label', t('newsletter.label'));
+    }
+
+    form.setAttribute('data-success-text', t('newsletter.success'));
+    form.querySelector(SELECTORS.NOTE).textContent = t('newsletter.note');
+  }
+
+  /**
+   * Re-translate a form after the locale changed
+   * The submit button's idle content belongs to its state manager
+   * (js/interactions.js), or the next state change would bring the old label back.
+   * @param {HTMLFormElement} form - Rendered form
+   */
+  function relabel(form) {
+    const button = form.querySelector(SELECTORS.SUBMIT_BUTTON);
+    const buttons = window.ProgrammingSchool?.buttons;
+
+    applyLabels(form);
+
+    if (buttons) {
+      buttons.getManager(button).setOriginalContent(t('newsletter.subscribe'));
+    } else {
+      button.textContent = t('newsletter.subscribe');
+    }
+  }
+
+  // ============================================
+  // Submission
+  // ============================================
+
+  /**
+   * Hook a rendered form into its controller
+   * @param {HTMLFormElement} form - Rendered form
+   * @param {Object} controller - Form controller (js/interactions.js)
+   */
+  function attachController(form, controller) {
+    const forms = window.ProgrammingSchool.forms;
+    const status = form.querySelector(SELECTORS.STATUS);
+
+    controller.addHook(forms.HOOKS.BEFORE_VALIDATE, () => {
+      status.textContent = '';
+    });
+
+    // FormData entries keep only the last checked box
+    controller.addHook(forms.HOOKS.BEFORE_SUBMIT, context => {
+      context.data[CONFIG.INTERESTS_FIELD] = new FormData(form).getAll(CONFIG.INTERESTS_FIELD);
+    });
+
+    controller.addHook(forms.HOOKS.AFTER_SUBMIT, context => {
+      if (context.outcome !== 'success' && context.outcome !== 'rejected') {
+        return;
+      }
+
+      // Subscriptions stay pending until the emailed link is followed, unless
+      // the server says the address is already confirmed
+      const confirmed = context.result?.data?.doubleOptIn === false;
+
+      status.textContent = confirmed
+        ? t('newsletter.subscribed')
+        : t('newsletter.checkInbox', { email: context.data.email });
+    });
+  }
+
+  // ============================================
+  // Initialization
+  // ============================================
+
+  /**
+   * Render every newsletter mount
+   */
+  function init() {
+    try {
+      const mounts = document.querySelectorAll(SELECTORS.MOUNTS);
+
+      mounts.forEach(mount => {
+        const form = mountNewsletter(mount);
+        const controller = window.ProgrammingSchool?.forms?.getController(form);
+
+        if (controller) {
+          attachController(form, controller);
+        } else {
+          form.addEventListener('formControllerReady', event => {
+            attachController(form, event.detail.controller);
+          }, { once: true });
+        }
+      });
+
+      if (mounts.length) {
+        document.addEventListener('localechange', () => {
+          document.querySelectorAll(SELECTORS.FORMS).forEach(relabel);
+        });
+      }
+
+      if (mounts.length) {
+        log('info', 'Newsletter forms rendered', { formCount: mounts.length });
+      }
+    } catch (error) {
+      log('error', 'Failed to initialize newsletter forms', {
+        error: error.message,
+        stack: error.stack,
+      });
+    }
+  }
+
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', init);
+  } else {
+    init();
+  }
+
+})();
\ No newline at end of file
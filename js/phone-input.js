@@ -0,0 +1,517 @@
+/**
+ * Phone Input - Country-aware phone field with E.164 normalisation
+ * Enhances [data-phone-input] fields with a country picker, formats numbers as
+ * they are typed, validates per-country lengths through the "phone-number"
+ * validator and rewrites the submitted value to E.164 via the form controller's
+ * beforeSubmit hook. Country metadata is bundled so it works offline.
+ *
+ * @modifies: index.html
+ * @dependencies: ["js/validation.js", "js/interactions.js", "css/components.css"]
+ */
+
+(function() {
+  'use strict';
+
+  // ============================================
+  // Configuration and Constants
+  // ============================================
+
+  const CONFIG = Object.freeze({
+    VALIDATOR_NAME: 'phone-number',
+    DEFAULT_COUNTRY: 'US',
+    PLACEHOLDER_DIGITS: '5550123456789',
+  });
+
+  const ATTRIBUTES = Object.freeze({
+    DEFAULT_COUNTRY: 'data-default-country',
+    COUNTRY: 'data-phone-country',
+  });
+
+  const SELECTORS = Object.freeze({
+    FIELDS: 'input[data-phone-input]',
+  });
+
+  /**
+   * Country metadata
+   * dial: country calling code; lengths: [min, max] digits of the national
+   * significant number; format: display groups for those digits; trunk:
+   * national prefix dialled domestically but dropped in E.164
+   */
+  const COUNTRIES = Object.freeze([
+    { iso: 'US', name: 'United States', dial: '1', lengths: [10, 10], format: '(###) ###-####' },
+    { iso: 'CA', name: 'Canada', dial: '1', lengths: [10, 10], format: '(###) ###-####' },
+    { iso: 'MX', name: 'Mexico', dial: '52', lengths: [10, 10], format: '## #### ####' },
+    { iso: 'BR', name: 'Brazil', dial: '55', lengths: [10, 11], format: '## #####-####' },
+    { iso: 'AR', name: 'Argentina', dial: '54', lengths: [10, 11], format: '## ####-####' },
+    { iso: 'CO', name: 'Colombia', dial: '57', lengths: [10, 10], format: '### #######' },
+    { iso: 'GB', name: 'United Kingdom', dial: '44', lengths: [9, 10], format: '#### ######', trunk: '0' },
+    { iso: 'IE', name: 'Ireland', dial: '353', lengths: [7, 9], format: '## ### ####', trunk: '0' },
+    { iso: 'FR', name: 'France', dial: '33', lengths: [9, 9], format: '# ## ## ## ##', trunk: '0' },
+    { iso: 'DE', name: 'Germany', dial: '49', lengths: [6, 11], format: '### ########', trunk: '0' },
+    { iso: 'ES', name: 'Spain', dial: '34', lengths: [9, 9], format: '### ### ###' },
+    { iso: 'IT', name: 'Italy', dial: '39', lengths: [6, 11], format: '### ### ####' },
+    { iso: 'NL', name: 'Netherlands', dial: '31', lengths: [9, 9], format: '# ########', trunk: '0' },
+    { iso: 'PT', name: 'Portugal', dial: '351', lengths: [9, 9], format: '### ### ###' },
+    { iso: 'IN', name: 'India', dial: '91', lengths: [10, 10], format: '##### #####', trunk: '0' },
+    { iso: 'AU', name: 'Australia', dial: '61', lengths: [9, 9], format: '### ### ###', trunk: '0' },
+    { iso: 'NZ', name: 'New Zealand', dial: '64', lengths: [8, 10], format: '## ### ####', trunk: '0' },
+    { iso: 'JP', name: 'Japan', dial: '81', lengths: [9, 10], format: '## #### ####', trunk: '0' },
+    { iso: 'SG', name: 'Singapore', dial: '65', lengths: [8, 8], format: '#### ####' },
+    { iso: 'SA', name: 'Saudi Arabia', dial: '966', lengths: [9, 9], format: '## ### ####', trunk: '0' },
+    { iso: 'AE', name: 'United Arab Emirates', dial: '971', lengths: [8, 9], format: '## ### ####', trunk: '0' },
+    { iso: 'EG', name: 'Egypt', dial: '20', lengths: [10, 10], format: '### ### ####', trunk: '0' },
+    { iso: 'MA', name: 'Morocco', dial: '212', lengths: [9, 9], format: '### ######', trunk: '0' },
+    { iso: 'NG', name: 'Nigeria', dial: '234', lengths: [10, 10], format: '### ### ####', trunk: '0' },
+    { iso: 'ZA', name: 'South Africa', dial: '27', lengths: [9, 9], format: '## ### ####', trunk: '0' },
+  ]);
+
+  const COUNTRY_BY_ISO = new Map(COUNTRIES.map(country => [country.iso, country]));
+
+  // ============================================
+  // Utility Functions
+  // ============================================
+
+  /**
+   * Log structured message to console
+   * @param {string} level - Log level (info, warn, error)
+   * @param {string} message - Log message
+   * @param {Object} context - Additional context
+   */
+  function log(level, message, context = {}) {
+    const timestamp = new Date().toISOString();
+    const logData = {
+      timestamp,
+      level,
+      message,
+      module: 'phone-input',
+      ...context,
+    };
+
+    if (level === 'error') {
+      console.error('[Programming School - Phone]', logData);
+    } else if (level === 'warn') {
+      console.warn('[Programming School - Phone]', logData);
+    } else {
+      console.log('[Programming School - Phone]', logData);
+    }
+  }
+
+  /**
+   * Translate a message through the shared catalogs (js/i18n.js)
+   * @param {string} key - Message key
+   * @param {Object} [params] - Interpolation values
+   * @returns {string} Translated message, or the key if i18n is unavailable
+   */
+  function t(key, params) {
+    const i18n = window.ProgrammingSchool?.i18n;
+    return i18n ? i18n.t(key, params) : key;
+  }
+
+  /**
+   * Flag emoji for an ISO 3166-1 alpha-2 code
+   * @param {string} iso - Country code
+   * @returns {string} Flag emoji
+   */
+  function getFlag(iso) {
+    return String.fromCodePoint(...iso.split('').map(char => 0x1F1A5 + char.charCodeAt(0)));
+  }
+
+  /**
+   * Country name in the active locale, falling back to the bundled English name
+   * @param {Object} country - Country entry
+   * @returns {string} Country name
+   */
+  function getCountryName(country) {
+    try {
+      const locale = window.ProgrammingSchool?.i18n?.getLocale() || 'en';
+      return new Intl.DisplayNames([locale], { type: 'region' }).of(country.iso) || country.name;
+    } catch (error) {
+      return country.name;
+    }
+  }
+
+  /**
+   * Keep digits only
+   * @param {string} value - Raw value
+   * @returns {string} Digits
+   */
+  function digitsOnly(value) {
+    return value.replace(/\D/g, '');
+  }
+
+  // ============================================
+  // Parsing and Formatting
+  // ============================================
+
+  /**
+   * Find the country owning the longest matching calling code
+   * @param {string} digits - International digits without "+"
+   * @param {Object} preferred - Country to prefer when codes are shared (e.g. +1)
+   * @returns {Object|null} Country
+   */
+  function findCountryByDialCode(digits, preferred) {
+    if (preferred && digits.startsWith(preferred.dial)) {
+      return preferred;
+    }
+
+    return COUNTRIES
+      .filter(country => digits.startsWith(country.dial))
+      .sort((a, b) => b.dial.length - a.dial.length)[0] || null;
+  }
+
+  /**
+   * Parse a typed number
+   * @param {string} value - Raw value
+   * @param {Object} selected - Currently selected country
+   * @returns {Object} { country, nationalNumber, international, trunk }
+   */
+  function parse(value, selected) {
+    const trimmed = value.trim();
+    const international = trimmed.startsWith('+') || trimmed.startsWith('00');
+    let digits = digitsOnly(trimmed);
+
+    if (international) {
+      if (trimmed.startsWith('00')) {
+        digits = digits.slice(2);
+      }
+
+      const country = findCountryByDialCode(digits, selected);
+      return {
+        country,
+        nationalNumber: country ? digits.slice(country.dial.length) : digits,
+        international: true,
+        trunk: false,
+      };
+    }
+
+    // Drop the domestic trunk prefix (e.g. UK 07700 -> 7700)
+    const trunk = Boolean(selected.trunk && digits.startsWith(selected.trunk));
+    if (trunk) {
+      digits = digits.slice(selected.trunk.length);
+    } else if (selected.dial === '1' && digits.length === 11 && digits.startsWith('1')) {
+      // North American numbers are often typed with a leading 1
+      digits = digits.slice(1);
+    }
+
+    return {
+      country: selected,
+      nationalNumber: digits,
+      international: false,
+      trunk,
+    };
+  }
+
+  /**
+   * Apply a country's display groups to national digits
+   * @param {string} digits - National significant number
+   * @param {Object} country - Country
+   * @returns {string} Formatted number
+   */
+  function formatNational(digits, country) {
+    let result = '';
+    let index = 0;
+
+    for (const char of country.format) {
+      if (index >= digits.length) {
+        break;
+      }
+      if (char === '#') {
+        result += digits[index];
+        index += 1;
+      } else {
+        result += char;
+      }
+    }
+
+    // Digits beyond the pattern are appended rather than dropped
+    return result + digits.slice(index);
+  }
+
+  /**
+   * Format a typed value for display
+   * @param {string} value - Raw value
+   * @param {Object} selected - Currently selected country
+   * @returns {string} Formatted value
+   */
+  function format(value, selected) {
+    const parsed = parse(value, selected);
+
+    if (parsed.international) {
+      if (!parsed.country) {
+        return `+${parsed.nationalNumber}`;
+      }
+      const national = formatNational(parsed.nationalNumber, parsed.country);
+      return `+${parsed.country.dial}${national ? ` ${national}` : ''}`;
+    }
+
+    const national = formatNational(parsed.nationalNumber, parsed.country);
+    return parsed.trunk ? `${parsed.country.trunk}${national}` : national;
+  }
+
+  /**
+   * Whether a typed value is a valid number
+   * @param {string} value - Raw value
+   * @param {Object} selected - Currently selected country
+   * @returns {true|string} True, or an error message
+   */
+  function check(value, selected) {
+    const parsed = parse(value, selected);
+
+    if (!parsed.country) {
+      return t('phone.countryCode');
+    }
+
+    const [min, max] = parsed.country.lengths;
+    const length = parsed.nationalNumber.length;
+
+    if (length < min || length > max) {
+      return t('phone.invalidForCountry', { country: getCountryName(parsed.country) });
+    }
+
+    return true;
+  }
+
+  /**
+   * Normalise a typed value to E.164
+   * @param {string} value - Raw value
+   * @param {string|Object} countryOrIso - Selected country or ISO code
+   * @returns {string|null} E.164 number, or null if it cannot be normalised
+   */
+  function toE164(value, countryOrIso = CONFIG.DEFAULT_COUNTRY) {
+    const selected = typeof countryOrIso === 'string' ? COUNTRY_BY_ISO.get(countryOrIso) : countryOrIso;
+    if (!selected || check(value, selected) !== true) {
+      return null;
+    }
+
+    const parsed = parse(value, selected);
+    return `+${parsed.country.dial}${parsed.nationalNumber}`;
+  }
+
+  // ============================================
+  // Field Enhancement
+  // ============================================
+
+  // Selected country per enhanced field
+  const fieldCountries = new WeakMap();
+
+  /**
+   * Selected country for a field
+   * @param {HTMLInputElement} field - Phone field
+   * @returns {Object} Country
+   */
+  function getCountry(field) {
+    return fieldCountries.get(field) || COUNTRY_BY_ISO.get(CONFIG.DEFAULT_COUNTRY);
+  }
+
+  /**
+   * Initial country from the field attribute or the browser locale
+   * @param {HTMLInputElement} field - Phone field
+   * @returns {Object} Country
+   */
+  function detectCountry(field) {
+    const candidates = [
+      field.getAttribute(ATTRIBUTES.DEFAULT_COUNTRY),
+      ...(navigator.languages || [navigator.language]).map(locale => (locale || '').split('-')[1]),
+    ];
+
+    const iso = candidates.find(code => code && COUNTRY_BY_ISO.has(code.toUpperCase()));
+    return COUNTRY_BY_ISO.get(iso ? iso.toUpperCase() : CONFIG.DEFAULT_COUNTRY);
+  }
+
+  /**
+   * Select a country for a field and refresh its display
+   * @param {HTMLInputElement} field - Phone field
+   * @param {HTMLSelectElement} select - Country picker
+   * @param {Object} country - Country
+   */
+  function setCountry(field, select, country) {
+    fieldCountries.set(field, country);
+    select.value = country.iso;
+    field.setAttribute(ATTRIBUTES.COUNTRY, country.iso);
+    field.placeholder = formatNational(
+      CONFIG.PLACEHOLDER_DIGITS.slice(0, country.lengths[1]),
+      country
+    );
+  }
+
+  /**
+   * Reformat while typing, keeping the caret after the same digit
+   * @param {HTMLInputElement} field - Phone field
+   * @param {HTMLSelectElement} select - Country picker
+   * @param {InputEvent} event - Input event
+   */
+  function handleInput(field, select, event) {
+    // Reformatting on delete would re-insert the separator being removed
+    if (event.inputType && event.inputType.startsWith('delete')) {
+      return;
+    }
+
+    const caret = field.selectionStart ?? field.value.length;
+    const significantBeforeCaret = field.value.slice(0, caret).replace(/[^\d+]/g, '').length;
+
+    const parsed = parse(field.value, getCountry(field));
+    if (parsed.international && parsed.country && parsed.country !== getCountry(field)) {
+      setCountry(field, select, parsed.country);
+    }
+
+    const formatted = format(field.value, getCountry(field));
+    if (formatted === field.value) {
+      return;
+    }
+
+    field.value = formatted;
+
+    let position = 0;
+    let seen = 0;
+    while (position < formatted.length && seen < significantBeforeCaret) {
+      if (/[\d+]/.test(formatted[position])) {
+        seen += 1;
+      }
+      position += 1;
+    }
+    field.setSelectionRange(position, position);
+  }
+
+  /**
+   * Write the (localised) country names into the picker options
+   * @param {HTMLSelectElement} select - Country picker
+   */
+  function labelOptions(select) {
+    Array.from(select.options).forEach(option => {
+      const country = COUNTRY_BY_ISO.get(option.value);
+      option.textContent = `${getFlag(country.iso)} ${getCountryName(country)} (+${country.dial})`;
+    });
+  }
+
+  /**
+   * Add the country picker to a phone field
+   * @param {HTMLInputElement} field - Phone field
+   */
+  function enhanceField(field) {
+    const wrapper = document.createElement('div');
+    wrapper.className = 'phone-input';
+
+    const select = document.createElement('select');
+    select.className = 'phone-input-country';
+    select.setAttribute('aria-label', t('phone.countryLabel'));
+
+    COUNTRIES.forEach(country => {
+      const option = document.createElement('option');
+      option.value = country.iso;
+      select.appendChild(option);
+    });
+    labelOptions(select);
+
+    document.addEventListener('localechange', () => {
+      select.setAttribute('aria-label', t('phone.countryLabel'));
+      labelOptions(select);
+    });
+
+    field.parentNode.insertBefore(wrapper, field);
+    wrapper.append(select, field);
+
+    setCountry(field, select, detectCountry(field));
+
+    select.addEventListener('change', () => {
+      const previous = parse(field.value, getCountry(field));
+      setCountry(field, select, COUNTRY_BY_ISO.get(select.value));
+
+      if (field.value) {
+        // An explicit pick overrides a typed calling code, so keep only the national part
+        field.value = format(previous.international ? previous.nationalNumber : field.value, getCountry(field));
+        window.ProgrammingSchool?.formValidation?.validateField(field);
+      }
+
+      log('info', 'Phone country changed', { country: select.value });
+    });
+
+    field.addEventListener('input', event => handleInput(field, select, event));
+    field.addEventListener('blur', () => {
+      if (field.value) {
+        field.value = format(field.value, getCountry(field));
+      }
+    });
+  }
+
+  /**
+   * Rewrite phone values to E.164 before they leave the form
+   * @param {HTMLFormElement} form - Form element
+   * @param {HTMLInputElement[]} fields - Phone fields in the form
+   */
+  function registerNormalisation(form, fields) {
+    const controller = window.ProgrammingSchool?.forms?.getController(form);
+
+    if (!controller) {
+      log('warn', 'Form controller not found - phone numbers will not be normalised', {
+        formId: form.id || 'unnamed',
+      });
+      return;
+    }
+
+    controller.addHook(window.ProgrammingSchool.forms.HOOKS.BEFORE_SUBMIT, context => {
+      fields.forEach(field => {
+        if (context.data[field.name]) {
+          context.data[field.name] = toE164(context.data[field.name], getCountry(field)) || context.data[field.name];
+        }
+      });
+    });
+  }
+
+  // ============================================
+  // Initialization
+  // ============================================
+
+  /**
+   * Register validator and enhance phone fields
+   */
+  function init() {
+    try {
+      const engine = window.ProgrammingSchool?.validation;
+
+      if (engine) {
+        engine.registerValidator(CONFIG.VALIDATOR_NAME, (value, field) => check(value, getCountry(field)), {
+          messageKey: 'validation.phone',
+        });
+      } else {
+        log('warn', 'Validation engine not found - phone validation disabled');
+      }
+
+      const fields = Array.from(document.querySelectorAll(SELECTORS.FIELDS));
+      fields.forEach(enhanceField);
+
+      const forms = new Set(fields.map(field => field.form).filter(Boolean));
+      forms.forEach(form => {
+        registerNormalisation(form, fields.filter(field => field.form === form));
+      });
+
+      log('info', 'Phone input initialized', {
+        fieldCount: fields.length,
+        countryCount: COUNTRIES.length,
+      });
+    } catch (error) {
+      log('error', 'Failed to initialize phone input', {
+        error: error.message,
+        stack: error.stack,
+      });
+    }
+  }
+
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', init);
+  } else {
+    init();
+  }
+
+  // ============================================
+  // Public API
+  // ============================================
+
+  window.ProgrammingSchool = window.ProgrammingSchool || {};
+  window.ProgrammingSchool.phoneInput = Object.freeze({
+    version: '1.0.0',
+    COUNTRIES,
+    format: (value, iso = CONFIG.DEFAULT_COUNTRY) => format(value, COUNTRY_BY_ISO.get(iso)),
+    toE164,
+  });
+
+})();
\ No newline at end of file
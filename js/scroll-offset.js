@@ -0,0 +1,171 @@
+/**
+ * Scroll Offset - Measured height of the sticky page chrome
+ * Sums the heights of the sticky header and any other pinned element marked
+ * [data-scroll-offset], keeps the total current with ResizeObserver and
+ * publishes it as the --scroll-offset custom property (used for
+ * scroll-margin-top in css/base.css) and through a scrolloffsetchange event.
+ * Scripted scrolling reads the same value, so anchors, focus and smooth scroll
+ * all clear the header at every breakpoint.
+ *
+ * @modifies: index.html
+ * @dependencies: ["css/base.css"]
+ */
+
+(function() {
+  'use strict';
+
+  // ============================================
+  // Configuration and Constants
+  // ============================================
+
+  const CONFIG = Object.freeze({
+    // Used until the first measurement and when nothing is pinned
+    FALLBACK_OFFSET: 80,
+    CSS_PROPERTY: '--scroll-offset',
+  });
+
+  const SELECTORS = Object.freeze({
+    PINNED: 'header[role="banner"], [data-scroll-offset]',
+  });
+
+  // Only elements that stay on screen while scrolling cover content
+  const PINNED_POSITIONS = Object.freeze(['sticky', 'fixed']);
+
+  const EVENTS = Object.freeze({
+    CHANGE: 'scrolloffsetchange',
+  });
+
+  const state = {
+    offset: null,
+    elements: [],
+  };
+
+  // ============================================
+  // Utility Functions
+  // ============================================
+
+  /**
+   * Log structured message to console
+   * @param {string} level - Log level (info, warn, error)
+   * @param {string} message - Log message
+   * @param {Object} context - Additional context
+   */
+  function log(level, message, context = {}) {
+    const timestamp = new Date().toISOString();
+    const logData = {
+      timestamp,
+      level,
+      message,
+      module: 'scroll-offset',
+      ...context,
+    };
+
+    if (level === 'error') {
+      console.error('[Programming School - Scroll Offset]', logData);
+    } else if (level === 'warn') {
+      console.warn('[Programming School - Scroll Offset]', logData);
+    } else {
+      console.log('[Programming School - Scroll Offset]', logData);
+    }
+  }
+
+  // ============================================
+  // Measurement
+  // ============================================
+
+  /**
+   * Total height of the pinned elements
+   * Elements that are hidden or scroll away with the page (an announcement bar
+   * above a sticky header, say) do not count.
+   * @returns {number} Offset in pixels
+   */
+  function measure() {
+    return Math.ceil(state.elements.reduce((total, element) => {
+      const isPinned = PINNED_POSITIONS.includes(window.getComputedStyle(element).position);
+      return isPinned ? total + element.getBoundingClientRect().height : total;
+    }, 0));
+  }
+
+  /**
+   * Re-measure and publish the offset if it changed
+   */
+  function update() {
+    const offset = measure();
+
+    if (offset === state.offset) {
+      return;
+    }
+
+    const previousOffset = state.offset;
+    state.offset = offset;
+    document.documentElement.style.setProperty(CONFIG.CSS_PROPERTY, `${offset}px`);
+
+    document.dispatchEvent(new CustomEvent(EVENTS.CHANGE, {
+      detail: { offset, previousOffset },
+    }));
+
+    log('info', 'Scroll offset updated', { offset, previousOffset });
+  }
+
+  /**
+   * Current offset
+   * @returns {number} Height in pixels of the chrome pinned to the top of the viewport
+   */
+  function getOffset() {
+    return state.offset ?? CONFIG.FALLBACK_OFFSET;
+  }
+
+  // ============================================
+  // Initialization
+  // ============================================
+
+  /**
+   * Measure the pinned elements and watch them for size changes
+   */
+  function init() {
+    try {
+      state.elements = Array.from(document.querySelectorAll(SELECTORS.PINNED));
+
+      if ('ResizeObserver' in window) {
+        const observer = new ResizeObserver(update);
+        state.elements.forEach(element => observer.observe(element));
+      } else {
+        log('warn', 'ResizeObserver not supported - offset updates on window resize only');
+      }
+
+      // Breakpoints can switch an element between pinned and static without resizing it
+      window.addEventListener('resize', update);
+
+      update();
+
+      log('info', 'Scroll offset initialized', {
+        elementCount: state.elements.length,
+        offset: getOffset(),
+      });
+    } catch (error) {
+      log('error', 'Failed to initialize scroll offset', {
+        error: error.message,
+        stack: error.stack,
+      });
+    }
+  }
+
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', init);
+  } else {
+    init();
+  }
+
+  // ============================================
+  // Public API
+  // ============================================
+
+  window.ProgrammingSchool = window.ProgrammingSchool || {};
+  window.ProgrammingSchool.scrollOffset = Object.freeze({
+    version: '1.0.0',
+    EVENTS,
+    get: getOffset,
+    update,
+  });
+
+})();
\ No newline at end of file
@@ -0,0 +1,250 @@
+/**
+ * Scroll Spy - Highlights the navigation link for the section in view
+ * Tracks every section[id] with an IntersectionObserver and marks matching
+ * links in the main nav, mobile nav and footer with an active class and
+ * aria-current="location". With [data-scroll-spy-hash] on <body> the URL hash
+ * follows along through history.replaceState, so scrolling never adds entries.
+ *
+ * @modifies: index.html
+ * @dependencies: ["js/scroll-offset.js", "css/components.css", "css/animations.css"]
+ */
+
+(function() {
+  'use strict';
+
+  // ============================================
+  // Configuration and Constants
+  // ============================================
+
+  const CONFIG = Object.freeze({
+    // Used when js/scroll-offset.js is not loaded
+    HEADER_OFFSET: 80,
+    // A section is current while it crosses the top 40% of the viewport
+    ACTIVE_BAND_BOTTOM: '-60%',
+    HASH_UPDATE_DELAY: 150,
+  });
+
+  const SELECTORS = Object.freeze({
+    SECTIONS: 'section[id]',
+    LINKS: '.nav-menu a[href^="#"], .mobile-nav-menu a[href^="#"], .footer-section a[href^="#"]',
+  });
+
+  const ATTRIBUTES = Object.freeze({
+    UPDATE_HASH: 'data-scroll-spy-hash',
+  });
+
+  const CLASSES = Object.freeze({
+    ACTIVE: 'is-active',
+  });
+
+  const EVENTS = Object.freeze({
+    SECTION_CHANGE: 'sectionchange',
+  });
+
+  const state = {
+    activeId: null,
+    links: new Map(),
+    visible: new Set(),
+    sections: [],
+    observer: null,
+    hashTimeout: null,
+  };
+
+  // ============================================
+  // Utility Functions
+  // ============================================
+
+  /**
+   * Log structured message to console
+   * @param {string} level - Log level (info, warn, error)
+   * @param {string} message - Log message
+   * @param {Object} context - Additional context
+   */
+  function log(level, message, context = {}) {
+    const timestamp = new Date().toISOString();
+    const logData = {
+      timestamp,
+      level,
+      message,
+      module: 'scroll-spy',
+      ...context,
+    };
+
+    if (level === 'error') {
+      console.error('[Programming School - Scroll Spy]', logData);
+    } else if (level === 'warn') {
+      console.warn('[Programming School - Scroll Spy]', logData);
+    } else {
+      console.log('[Programming School - Scroll Spy]', logData);
+    }
+  }
+
+  /**
+   * Section id a link points at
+   * @param {HTMLAnchorElement} link - Link
+   * @returns {string} Section id (any "?query" part of the hash is ignored)
+   */
+  function getLinkTarget(link) {
+    return decodeURIComponent(link.getAttribute('href').slice(1).split('?')[0]);
+  }
+
+  // ============================================
+  // Active Section
+  // ============================================
+
+  /**
+   * Mark the links of the active section
+   * @param {string|null} id - Active section id, or null above the first section
+   */
+  function setActive(id) {
+    if (id === state.activeId) {
+      return;
+    }
+
+    const previousId = state.activeId;
+    state.activeId = id;
+
+    state.links.forEach((links, targetId) => {
+      const isActive = targetId === id;
+
+      links.forEach(link => {
+        link.classList.toggle(CLASSES.ACTIVE, isActive);
+
+        if (isActive) {
+          link.setAttribute('aria-current', 'location');
+        } else {
+          link.removeAttribute('aria-current');
+        }
+      });
+    });
+
+    if (document.body.hasAttribute(ATTRIBUTES.UPDATE_HASH)) {
+      scheduleHashUpdate(id);
+    }
+
+    document.dispatchEvent(new CustomEvent(EVENTS.SECTION_CHANGE, {
+      detail: { id, previousId },
+    }));
+  }
+
+  /**
+   * Replace the URL hash once scrolling settles on a section
+   * @param {string|null} id - Active section id
+   */
+  function scheduleHashUpdate(id) {
+    clearTimeout(state.hashTimeout);
+
+    state.hashTimeout = setTimeout(() => {
+      const currentId = decodeURIComponent(window.location.hash.slice(1).split('?')[0]);
+
+      // Keep deep link parameters such as #contact?course=... while on that section
+      if (currentId === (id || '')) {
+        return;
+      }
+
+      const url = `${window.location.pathname}${window.location.search}${id ? `#${encodeURIComponent(id)}` : ''}`;
+      history.replaceState(history.state, '', url);
+    }, CONFIG.HASH_UPDATE_DELAY);
+  }
+
+  /**
+   * Handle sections entering and leaving the active band
+   * @param {IntersectionObserverEntry[]} entries - Observer entries
+   */
+  function handleIntersections(entries) {
+    entries.forEach(entry => {
+      if (entry.isIntersecting) {
+        state.visible.add(entry.target);
+      } else {
+        state.visible.delete(entry.target);
+      }
+    });
+
+    // The first section in document order wins when two share the band
+    const active = state.sections.find(section => state.visible.has(section));
+    setActive(active ? active.id : null);
+  }
+
+  /**
+   * Watch the sections through a band starting below the sticky header
+   * Called again whenever the header height changes.
+   */
+  function observeSections() {
+    const offset = window.ProgrammingSchool?.scrollOffset?.get() ?? CONFIG.HEADER_OFFSET;
+
+    state.observer?.disconnect();
+    state.visible.clear();
+
+    state.observer = new IntersectionObserver(handleIntersections, {
+      rootMargin: `-${offset}px 0px ${CONFIG.ACTIVE_BAND_BOTTOM} 0px`,
+    });
+
+    state.sections.forEach(section => state.observer.observe(section));
+  }
+
+  /**
+   * Id of the section currently in view
+   * @returns {string|null} Section id
+   */
+  function getActiveSection() {
+    return state.activeId;
+  }
+
+  // ============================================
+  // Initialization
+  // ============================================
+
+  /**
+   * Observe the page sections and collect the links that point at them
+   */
+  function init() {
+    try {
+      if (!('IntersectionObserver' in window)) {
+        log('warn', 'IntersectionObserver not supported - scroll spy disabled');
+        return;
+      }
+
+      document.querySelectorAll(SELECTORS.LINKS).forEach(link => {
+        const targetId = getLinkTarget(link);
+
+        if (!state.links.has(targetId)) {
+          state.links.set(targetId, []);
+        }
+        state.links.get(targetId).push(link);
+      });
+
+      state.sections = Array.from(document.querySelectorAll(SELECTORS.SECTIONS));
+
+      observeSections();
+      document.addEventListener('scrolloffsetchange', observeSections);
+
+      log('info', 'Scroll spy initialized', {
+        sectionCount: state.sections.length,
+        linkCount: Array.from(state.links.values()).reduce((total, links) => total + links.length, 0),
+      });
+    } catch (error) {
+      log('error', 'Failed to initialize scroll spy', {
+        error: error.message,
+        stack: error.stack,
+      });
+    }
+  }
+
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', init);
+  } else {
+    init();
+  }
+
+  // ============================================
+  // Public API
+  // ============================================
+
+  window.ProgrammingSchool = window.ProgrammingSchool || {};
+  window.ProgrammingSchool.scrollSpy = Object.freeze({
+    version: '1.0.0',
+    EVENTS,
+    getActiveSection,
+  });
+
+})();
\ No newline at end of file
@@ -0,0 +1,319 @@
+/**
+ * Spam Protection - Layered bot checks for forms
+ * Adds a honeypot check, a minimum time-to-fill, a per-browser, per-form rate
+ * limit on successful submissions and an optional proof-of-work token to forms
+ * marked [data-spam-protection]. Runs as a beforeSubmit hook on the form
+ * controller. Submissions that look automated appear successful to the sender
+ * and are only logged; a visitor over the rate limit is told when they can
+ * send again, since they are most likely a real person.
+ *
+ * @modifies: index.html
+ * @dependencies: ["js/interactions.js", "css/components.css"]
+ */
+
+(function() {
+  'use strict';
+
+  // ============================================
+  // Configuration and Constants
+  // ============================================
+
+  const CONFIG = Object.freeze({
+    MIN_FILL_TIME: 3000,
+    RATE_LIMIT_MAX: 3,
+    RATE_LIMIT_WINDOW: 60 * 60 * 1000,
+    // Suffixed with the form's id or action, so each form has its own allowance
+    STORAGE_KEY: 'programming-school:submission-log',
+    POW_DEFAULT_DIFFICULTY: 12,
+    POW_MAX_DIFFICULTY: 24,
+    POW_FIELD: 'pow-token',
+  });
+
+  const REASONS = Object.freeze({
+    HONEYPOT: 'honeypot',
+    TOO_FAST: 'too-fast',
+  });
+
+  const ATTRIBUTES = Object.freeze({
+    MIN_FILL_TIME: 'data-spam-min-fill',
+    POW: 'data-spam-pow',
+  });
+
+  const SELECTORS = Object.freeze({
+    FORMS: 'form[data-spam-protection]',
+    HONEYPOT: '[data-honeypot]',
+  });
+
+  // ============================================
+  // Utility Functions
+  // ============================================
+
+  /**
+   * Log structured message to console
+   * @param {string} level - Log level (info, warn, error)
+   * @param {string} message - Log message
+   * @param {Object} context - Additional context
+   */
+  function log(level, message, context = {}) {
+    const timestamp = new Date().toISOString();
+    const logData = {
+      timestamp,
+      level,
+      message,
+      module: 'spam-protection',
+      ...context,
+    };
+
+    if (level === 'error') {
+      console.error('[Programming School - Spam]', logData);
+    } else if (level === 'warn') {
+      console.warn('[Programming School - Spam]', logData);
+    } else {
+      console.log('[Programming School - Spam]', logData);
+    }
+  }
+
+  /**
+   * Read a positive integer attribute
+   * @param {HTMLElement} element - Element
+   * @param {string} name - Attribute name
+   * @param {number} fallback - Value when missing or invalid
+   * @returns {number} Parsed value
+   */
+  function readNumber(element, name, fallback) {
+    const value = parseInt(element.getAttribute(name), 10);
+    return Number.isFinite(value) && value >= 0 ? value : fallback;
+  }
+
+  // ============================================
+  // Rate Limiting
+  // ============================================
+
+  /**
+   * Storage key of a form's submission log
+   * @param {HTMLFormElement} form - Form element
+   * @returns {string} Storage key
+   */
+  function getStorageKey(form) {
+    return `${CONFIG.STORAGE_KEY}:${form.id || form.getAttribute('action') || 'form'}`;
+  }
+
+  /**
+   * Timestamps of a form's recent successful submissions
+   * @param {HTMLFormElement} form - Form element
+   * @returns {number[]} Timestamps within the rate-limit window, oldest first
+   */
+  function readSubmissionLog(form) {
+    try {
+      const entries = JSON.parse(window.localStorage.getItem(getStorageKey(form)) || '[]');
+      const cutoff = Date.now() - CONFIG.RATE_LIMIT_WINDOW;
+      return Array.isArray(entries) ? entries.filter(time => time > cutoff) : [];
+    } catch (error) {
+      log('warn', 'Failed to read submission log', { error: error.message });
+      return [];
+    }
+  }
+
+  /**
+   * Record a successful submission
+   * @param {HTMLFormElement} form - Form element
+   */
+  function recordSubmission(form) {
+    try {
+      const entries = readSubmissionLog(form);
+      entries.push(Date.now());
+      window.localStorage.setItem(getStorageKey(form), JSON.stringify(entries));
+    } catch (error) {
+      log('warn', 'Failed to record submission', { error: error.message });
+    }
+  }
+
+  /**
+   * When this browser may submit a form again
+   * @param {HTMLFormElement} form - Form element
+   * @returns {number|null} Timestamp the oldest counted submission expires, or null if not limited
+   */
+  function getRateLimitedUntil(form) {
+    const entries = readSubmissionLog(form);
+
+    if (entries.length < CONFIG.RATE_LIMIT_MAX) {
+      return null;
+    }
+
+    return entries[entries.length - CONFIG.RATE_LIMIT_MAX] + CONFIG.RATE_LIMIT_WINDOW;
+  }
+
+  // ============================================
+  // Proof of Work
+  // ============================================
+
+  /**
+   * Count leading zero bits of a digest
+   * @param {ArrayBuffer} buffer - Digest
+   * @returns {number} Leading zero bits
+   */
+  function leadingZeroBits(buffer) {
+    const bytes = new Uint8Array(buffer);
+    let bits = 0;
+
+    for (const byte of bytes) {
+      if (byte === 0) {
+        bits += 8;
+        continue;
+      }
+      bits += Math.clz32(byte) - 24;
+      break;
+    }
+
+    return bits;
+  }
+
+  /**
+   * Find a nonce whose SHA-256 has the requested leading zero bits
+   * Token format: "difficulty:timestamp:challenge:nonce", verifiable server-side
+   * by hashing the token itself.
+   * @param {string} challenge - Per-submission challenge (the idempotency key)
+   * @param {number} difficulty - Required leading zero bits
+   * @returns {Promise<string|null>} Token, or null if Web Crypto is unavailable
+   */
+  async function solveProofOfWork(challenge, difficulty) {
+    if (!window.crypto?.subtle) {
+      log('warn', 'Proof of work skipped - Web Crypto unavailable');
+      return null;
+    }
+
+    const encoder = new TextEncoder();
+    const prefix = `${difficulty}:${Date.now()}:${challenge}:`;
+    const startTime = Date.now();
+
+    for (let nonce = 0; ; nonce++) {
+      const token = `${prefix}${nonce}`;
+      const digest = await window.crypto.subtle.digest('SHA-256', encoder.encode(token));
+
+      if (leadingZeroBits(digest) >= difficulty) {
+        log('info', 'Proof of work solved', {
+          difficulty,
+          attempts: nonce + 1,
+          duration: Date.now() - startTime,
+        });
+        return token;
+      }
+    }
+  }
+
+  // ============================================
+  // Form Protection
+  // ============================================
+
+  /**
+   * Reason a submission looks automated
+   * @param {HTMLFormElement} form - Form element
+   * @param {number} renderedAt - When the form was rendered or last reset
+   * @returns {string|null} Reason code, or null if the submission looks human
+   */
+  function getRejectionReason(form, renderedAt) {
+    const honeypot = form.querySelector(SELECTORS.HONEYPOT);
+    if (honeypot && honeypot.value.trim() !== '') {
+      return REASONS.HONEYPOT;
+    }
+
+    const minFillTime = readNumber(form, ATTRIBUTES.MIN_FILL_TIME, CONFIG.MIN_FILL_TIME);
+    if (Date.now() - renderedAt < minFillTime) {
+      return REASONS.TOO_FAST;
+    }
+
+    return null;
+  }
+
+  /**
+   * Attach spam checks to a form's controller
+   * @param {HTMLFormElement} form - Form element
+   */
+  function protectForm(form) {
+    const forms = window.ProgrammingSchool?.forms;
+    const controller = forms?.getController(form);
+
+    if (!controller) {
+      log('warn', 'Form controller not found - spam protection disabled', {
+        formId: form.id || 'unnamed',
+      });
+      return;
+    }
+
+    let renderedAt = Date.now();
+    form.addEventListener('reset', () => {
+      renderedAt = Date.now();
+    });
+
+    form.addEventListener('formSubmitSuccess', () => recordSubmission(form));
+
+    controller.addHook(forms.HOOKS.BEFORE_SUBMIT, async context => {
+      const honeypot = form.querySelector(SELECTORS.HONEYPOT);
+      if (honeypot) {
+        delete context.data[honeypot.name];
+      }
+
+      const reason = getRejectionReason(form, renderedAt);
+      if (reason) {
+        context.rejected = reason;
+        log('warn', 'Submission rejected as spam', {
+          reason,
+          formId: form.id || 'unnamed',
+          elapsed: Date.now() - renderedAt,
+        });
+        return;
+      }
+
+      // Real feedback rather than a fake success: this is most likely a person
+      const blockedUntil = getRateLimitedUntil(form);
+      if (blockedUntil) {
+        context.blockedUntil = blockedUntil;
+        log('warn', 'Submission blocked by rate limit', {
+          formId: form.id || 'unnamed',
+          until: new Date(blockedUntil).toISOString(),
+        });
+        return;
+      }
+
+      if (form.hasAttribute(ATTRIBUTES.POW)) {
+        const difficulty = Math.min(
+          readNumber(form, ATTRIBUTES.POW, CONFIG.POW_DEFAULT_DIFFICULTY) || CONFIG.POW_DEFAULT_DIFFICULTY,
+          CONFIG.POW_MAX_DIFFICULTY
+        );
+        const token = await solveProofOfWork(context.idempotencyKey || String(renderedAt), difficulty);
+
+        if (token) {
+          context.data[CONFIG.POW_FIELD] = token;
+        }
+      }
+    });
+  }
+
+  // ============================================
+  // Initialization
+  // ============================================
+
+  /**
+   * Protect every opted-in form
+   */
+  function init() {
+    try {
+      const forms = document.querySelectorAll(SELECTORS.FORMS);
+      forms.forEach(protectForm);
+
+      log('info', 'Spam protection initialized', { formCount: forms.length });
+    } catch (error) {
+      log('error', 'Failed to initialize spam protection', {
+        error: error.message,
+        stack: error.stack,
+      });
+    }
+  }
+
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', init);
+  } else {
+    init();
+  }
+
+})();
\ No newline at end of file
@@ -0,0 +1,344 @@
+/**
+ * Submission Queue - Offline persistence and replay for form submissions
+ * Stores submissions that could not be delivered in localStorage and replays
+ * them through the submission transport when the browser comes back online or
+ * on the next visit. Each entry carries an idempotency key so a replay never
+ * creates a duplicate lead.
+ *
+ * @modifies: index.html
+ * @dependencies: ["js/transport.js"]
+ */
+
+(function() {
+  'use strict';
+
+  // ============================================
+  // Configuration and Constants
+  // ============================================
+
+  const CONFIG = Object.freeze({
+    STORAGE_KEY: 'programming-school:submission-queue',
+    MAX_ENTRIES: 20,
+    MAX_ATTEMPTS: 5,
+    MAX_AGE: 7 * 24 * 60 * 60 * 1000,
+    REPLAY_DELAY: 1000,
+  });
+
+  const EVENTS = Object.freeze({
+    REPLAYED: 'formSubmitReplayed',
+    REPLAY_FAILED: 'formSubmitReplayFailed',
+  });
+
+  // ============================================
+  // Utility Functions
+  // ============================================
+
+  /**
+   * Log structured message to console
+   * @param {string} level - Log level (info, warn, error)
+   * @param {string} message - Log message
+   * @param {Object} context - Additional context
+   */
+  function log(level, message, context = {}) {
+    const timestamp = new Date().toISOString();
+    const logData = {
+      timestamp,
+      level,
+      message,
+      module: 'submission-queue',
+      ...context,
+    };
+
+    if (level === 'error') {
+      console.error('[Programming School - Queue]', logData);
+    } else if (level === 'warn') {
+      console.warn('[Programming School - Queue]', logData);
+    } else {
+      console.log('[Programming School - Queue]', logData);
+    }
+  }
+
+  /**
+   * Generate an idempotency key for a submission
+   * @returns {string} Unique key
+   */
+  function createIdempotencyKey() {
+    if (window.crypto?.randomUUID) {
+      return window.crypto.randomUUID();
+    }
+    return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 12)}`;
+  }
+
+  // ============================================
+  // Storage
+  // ============================================
+
+  /**
+   * Read queued entries from storage
+   * @returns {Object[]} Entries
+   */
+  function readEntries() {
+    try {
+      const raw = window.localStorage.getItem(CONFIG.STORAGE_KEY);
+      const entries = raw ? JSON.parse(raw) : [];
+      return Array.isArray(entries) ? entries : [];
+    } catch (error) {
+      log('warn', 'Failed to read submission queue', { error: error.message });
+      return [];
+    }
+  }
+
+  /**
+   * Write queued entries to storage
+   * @param {Object[]} entries - Entries
+   * @returns {boolean} True if persisted
+   */
+  function writeEntries(entries) {
+    try {
+      if (entries.length === 0) {
+        window.localStorage.removeItem(CONFIG.STORAGE_KEY);
+      } else {
+        window.localStorage.setItem(CONFIG.STORAGE_KEY, JSON.stringify(entries));
+      }
+      return true;
+    } catch (error) {
+      log('error', 'Failed to persist submission queue', { error: error.message });
+      return false;
+    }
+  }
+
+  /**
+   * Remove an entry by idempotency key
+   * @param {string} key - Idempotency key
+   */
+  function removeEntry(key) {
+    writeEntries(readEntries().filter(entry => entry.idempotencyKey !== key));
+  }
+
+  /**
+   * Update an entry by idempotency key
+   * @param {string} key - Idempotency key
+   * @param {Object} changes - Properties to merge
+   */
+  function updateEntry(key, changes) {
+    writeEntries(readEntries().map(entry => (
+      entry.idempotencyKey === key ? { ...entry, ...changes } : entry
+    )));
+  }
+
+  // ============================================
+  // Queue Operations
+  // ============================================
+
+  /**
+   * Persist a submission for later delivery
+   * @param {HTMLFormElement} form - Source form
+   * @param {Object} data - Payload
+   * @param {string} idempotencyKey - Key identifying this submission
+   * @returns {boolean} True if the submission is (now) queued
+   */
+  function enqueue(form, data, idempotencyKey) {
+    const entries = readEntries();
+
+    if (entries.some(entry => entry.idempotencyKey === idempotencyKey)) {
+      log('info', 'Submission already queued', { idempotencyKey });
+      return true;
+    }
+
+    if (entries.length >= CONFIG.MAX_ENTRIES) {
+      log('warn', 'Submission queue full - dropping oldest entry', {
+        dropped: entries[0].idempotencyKey,
+      });
+      entries.shift();
+    }
+
+    // Resolve the target now so a replay on another page state sends to the same place
+    const entry = {
+      idempotencyKey,
+      url: new URL(form.getAttribute('action') || window.location.href, document.baseURI).toString(),
+      method: form.getAttribute('method') || 'POST',
+      encoding: form.getAttribute('data-encoding') || undefined,
+      adapter: form.getAttribute('data-transport') || undefined,
+      formId: form.id || null,
+      data,
+      queuedAt: Date.now(),
+      attempts: 0,
+    };
+
+    entries.push(entry);
+
+    if (!writeEntries(entries)) {
+      return false;
+    }
+
+    log('info', 'Submission queued for later delivery', {
+      idempotencyKey,
+      queueLength: entries.length,
+    });
+
+    return true;
+  }
+
+  let isReplaying = false;
+
+  /**
+   * Dispatch a replay event on the source form, or the document if it is gone
+   * @param {string} type - Event name
+   * @param {Object} entry - Queue entry
+   * @param {Object} detail - Extra detail
+   */
+  function dispatchReplayEvent(type, entry, detail) {
+    const target = (entry.formId && document.getElementById(entry.formId)) || document;
+    target.dispatchEvent(new CustomEvent(type, {
+      detail: { idempotencyKey: entry.idempotencyKey, data: entry.data, ...detail },
+      bubbles: true,
+    }));
+  }
+
+  /**
+   * Attempt delivery of every queued submission
+   * @returns {Promise<number>} Number of submissions delivered
+   */
+  async function replay() {
+    if (isReplaying) {
+      return 0;
+    }
+
+    if (navigator.onLine === false) {
+      log('info', 'Replay skipped - browser offline');
+      return 0;
+    }
+
+    const transport = window.ProgrammingSchool?.transport;
+    if (!transport) {
+      log('error', 'Replay skipped - submission transport not available');
+      return 0;
+    }
+
+    const now = Date.now();
+    const entries = readEntries();
+    const expired = entries.filter(entry => now - entry.queuedAt > CONFIG.MAX_AGE);
+
+    expired.forEach(entry => {
+      removeEntry(entry.idempotencyKey);
+      log('warn', 'Queued submission expired', { idempotencyKey: entry.idempotencyKey });
+    });
+
+    const pending = entries.filter(entry => !expired.includes(entry));
+    if (pending.length === 0) {
+      return 0;
+    }
+
+    isReplaying = true;
+    let delivered = 0;
+
+    log('info', 'Replaying queued submissions', { count: pending.length });
+
+    try {
+      for (const entry of pending) {
+        const attempts = entry.attempts + 1;
+        updateEntry(entry.idempotencyKey, { attempts });
+
+        try {
+          const result = await transport.submit(null, entry.data, {
+            url: entry.url,
+            method: entry.method,
+            encoding: entry.encoding,
+            adapter: entry.adapter,
+            idempotencyKey: entry.idempotencyKey,
+          });
+
+          removeEntry(entry.idempotencyKey);
+          delivered += 1;
+          dispatchReplayEvent(EVENTS.REPLAYED, entry, { result });
+
+          log('info', 'Queued submission delivered', {
+            idempotencyKey: entry.idempotencyKey,
+            attempts,
+          });
+        } catch (error) {
+          const exhausted = attempts >= CONFIG.MAX_ATTEMPTS;
+
+          if (error.isRetryable && !exhausted) {
+            log('warn', 'Queued submission still undeliverable', {
+              idempotencyKey: entry.idempotencyKey,
+              attempts,
+              type: error.type,
+            });
+
+            // Further entries would fail the same way while the network is down
+            if (error.type === transport.ERROR_TYPES.NETWORK) {
+              break;
+            }
+            continue;
+          }
+
+          removeEntry(entry.idempotencyKey);
+          dispatchReplayEvent(EVENTS.REPLAY_FAILED, entry, { error });
+
+          log('error', 'Queued submission dropped', {
+            idempotencyKey: entry.idempotencyKey,
+            attempts,
+            type: error.type,
+            status: error.status,
+          });
+        }
+      }
+    } finally {
+      isReplaying = false;
+    }
+
+    return delivered;
+  }
+
+  /**
+   * Number of submissions waiting for delivery
+   * @returns {number} Queue length
+   */
+  function size() {
+    return readEntries().length;
+  }
+
+  // ============================================
+  // Initialization
+  // ============================================
+
+  /**
+   * Schedule replay on load and whenever connectivity returns
+   */
+  function init() {
+    window.addEventListener('online', () => {
+      log('info', 'Connection restored - replaying queue');
+      replay();
+    });
+
+    // Give the page a moment to settle before replaying on the next visit
+    if (size() > 0) {
+      setTimeout(replay, CONFIG.REPLAY_DELAY);
+    }
+
+    log('info', 'Submission queue initialized', { queueLength: size() });
+  }
+
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', init);
+  } else {
+    init();
+  }
+
+  // ============================================
+  // Public API
+  // ============================================
+
+  window.ProgrammingSchool = window.ProgrammingSchool || {};
+  window.ProgrammingSchool.submissionQueue = Object.freeze({
+    version: '1.0.0',
+    config: CONFIG,
+    EVENTS,
+    createIdempotencyKey,
+    enqueue,
+    replay,
+    size,
+  });
+
+})();
\ No newline at end of file
@@ -0,0 +1,759 @@
+/**
+ * Submission Transport - HTTP layer for form submissions
+ * Sends form payloads to the form's action using its method, encodes bodies as
+ * JSON, urlencoded or multipart (whenever files are attached), enforces timeouts
+ * via AbortController and maps HTTP status codes onto typed errors. Adapters are
+ * swappable so a local mock can stand in for the backend; uploads that report
+ * progress go through XMLHttpRequest, which unlike fetch exposes upload events.
+ *
+ * @modifies: index.html
+ * @dependencies: []
+ */
+
+(function() {
+  'use strict';
+
+  // ============================================
+  // Configuration and Constants
+  // ============================================
+
+  const CONFIG = Object.freeze({
+    DEFAULT_TIMEOUT: 10000,
+    DEFAULT_ENCODING: 'json',
+    DEFAULT_METHOD: 'POST',
+    DEFAULT_ADAPTER: 'fetch',
+    MOCK_DELAY: 1200,
+  });
+
+  const ENCODINGS = Object.freeze({
+    JSON: 'json',
+    URLENCODED: 'urlencoded',
+    MULTIPART: 'multipart',
+  });
+
+  const ERROR_TYPES = Object.freeze({
+    TIMEOUT: 'timeout',
+    NETWORK: 'network',
+    ABORTED: 'aborted',
+    CLIENT: 'client',
+    SERVER: 'server',
+  });
+
+  // Catalog keys (see js/i18n.js) of the default message per error type
+  const ERROR_MESSAGES = Object.freeze({
+    [ERROR_TYPES.TIMEOUT]: 'transport.timeout',
+    [ERROR_TYPES.NETWORK]: 'transport.network',
+    [ERROR_TYPES.ABORTED]: 'transport.aborted',
+    [ERROR_TYPES.CLIENT]: 'transport.client',
+    [ERROR_TYPES.SERVER]: 'transport.server',
+  });
+
+  const ATTRIBUTES = Object.freeze({
+    ADAPTER: 'data-transport',
+    ENCODING: 'data-encoding',
+    TIMEOUT: 'data-timeout',
+    MOCK_SCENARIO: 'data-mock-scenario',
+  });
+
+  // ============================================
+  // Utility Functions
+  // ============================================
+
+  /**
+   * Log structured message to console
+   * @param {string} level - Log level (info, warn, error)
+   * @param {string} message - Log message
+   * @param {Object} context - Additional context
+   */
+  function log(level, message, context = {}) {
+    const timestamp = new Date().toISOString();
+    const logData = {
+      timestamp,
+      level,
+      message,
+      module: 'transport',
+      ...context,
+    };
+
+    if (level === 'error') {
+      console.error('[Programming School - Transport]', logData);
+    } else if (level === 'warn') {
+      console.warn('[Programming School - Transport]', logData);
+    } else {
+      console.log('[Programming School - Transport]', logData);
+    }
+  }
+
+  /**
+   * Translate a message through the shared catalogs (js/i18n.js)
+   * @param {string} key - Message key
+   * @param {Object} [params] - Interpolation values
+   * @returns {string} Translated message, or the key if i18n is unavailable
+   */
+  function t(key, params) {
+    const i18n = window.ProgrammingSchool?.i18n;
+    return i18n ? i18n.t(key, params) : key;
+  }
+
+  /**
+   * Create an AbortError compatible with fetch rejections
+   * @returns {Error} Abort error
+   */
+  function createAbortError() {
+    if (typeof DOMException === 'function') {
+      return new DOMException('The operation was aborted', 'AbortError');
+    }
+    const error = new Error('The operation was aborted');
+    error.name = 'AbortError';
+    return error;
+  }
+
+  // ============================================
+  // Transport Errors
+  // ============================================
+
+  /**
+   * Error raised for any failed submission
+   */
+  class TransportError extends Error {
+    /**
+     * @param {string} message - User-facing error message
+     * @param {Object} details - Error details
+     * @param {string} details.type - One of ERROR_TYPES
+     * @param {number} [details.status] - HTTP status code (0 when no response)
+     * @param {*} [details.body] - Parsed response body
+     * @param {Object<string, string>} [details.fieldErrors] - Per-field messages keyed by field name
+     */
+    constructor(message, { type, status = 0, body = null, fieldErrors = null } = {}) {
+      super(message);
+      this.name = 'TransportError';
+      this.type = type;
+      this.status = status;
+      this.body = body;
+      this.fieldErrors = fieldErrors;
+    }
+
+    /**
+     * Whether retrying the same request could succeed
+     * @returns {boolean} True for timeouts, network and server errors
+     */
+    get isRetryable() {
+      return (
+        this.type === ERROR_TYPES.TIMEOUT ||
+        this.type === ERROR_TYPES.NETWORK ||
+        this.type === ERROR_TYPES.SERVER
+      );
+    }
+  }
+
+  // ============================================
+  // Adapters
+  // ============================================
+
+  /**
+   * Adapter performing real HTTP requests with fetch
+   */
+  const fetchAdapter = Object.freeze({
+    name: 'fetch',
+
+    /**
+     * Send request
+     * @param {Object} request - Prepared request
+     * @returns {Promise<Response>} Fetch response
+     */
+    send(request) {
+      return fetch(request.url, {
+        method: request.method,
+        headers: request.headers,
+        body: request.body,
+        signal: request.signal,
+        credentials: 'same-origin',
+      });
+    },
+  });
+
+  /**
+   * Parse raw XHR response headers
+   * @param {string} raw - Value of getAllResponseHeaders()
+   * @returns {Headers} Headers
+   */
+  function parseXhrHeaders(raw) {
+    const headers = new Headers();
+
+    raw.trim().split(/[\r\n]+/).forEach(line => {
+      const index = line.indexOf(':');
+      if (index > 0) {
+        headers.append(line.slice(0, index).trim(), line.slice(index + 1).trim());
+      }
+    });
+
+    return headers;
+  }
+
+  /**
+   * Adapter using XMLHttpRequest so uploads can report progress
+   */
+  const xhrAdapter = Object.freeze({
+    name: 'xhr',
+
+    /**
+     * Send request
+     * @param {Object} request - Prepared request
+     * @param {Object} context - Request context
+     * @param {Function} [context.onUploadProgress] - Receives { loaded, total, percent }
+     * @returns {Promise<Response>} Response built from the XHR result
+     */
+    send(request, context = {}) {
+      return new Promise((resolve, reject) => {
+        const xhr = new XMLHttpRequest();
+
+        const onAbort = () => xhr.abort();
+
+        xhr.open(request.method, request.url);
+        Object.entries(request.headers).forEach(([name, value]) => xhr.setRequestHeader(name, value));
+
+        if (context.onUploadProgress) {
+          xhr.upload.addEventListener('progress', event => {
+            if (event.lengthComputable) {
+              context.onUploadProgress({
+                loaded: event.loaded,
+                total: event.total,
+                percent: Math.round((event.loaded / event.total) * 100),
+              });
+            }
+          });
+        }
+
+        xhr.addEventListener('load', () => {
+          request.signal?.removeEventListener('abort', onAbort);
+
+          // Null-body statuses must not be given a body
+          const body = [204, 205, 304].includes(xhr.status) ? null : xhr.responseText;
+          resolve(new Response(body, {
+            status: xhr.status,
+            statusText: xhr.statusText,
+            headers: parseXhrHeaders(xhr.getAllResponseHeaders()),
+          }));
+        });
+
+        xhr.addEventListener('error', () => {
+          request.signal?.removeEventListener('abort', onAbort);
+          reject(new TypeError('Network request failed'));
+        });
+
+        xhr.addEventListener('abort', () => {
+          request.signal?.removeEventListener('abort', onAbort);
+          reject(createAbortError());
+        });
+
+        if (request.signal) {
+          if (request.signal.aborted) {
+            reject(createAbortError());
+            return;
+          }
+          request.signal.addEventListener('abort', onAbort, { once: true });
+        }
+
+        xhr.send(request.body ?? null);
+      });
+    },
+  });
+
+  const MOCK_SCENARIOS = Object.freeze({
+    success: {
+      status: 200,
+      body: { success: true, message: 'Form submitted successfully' },
+    },
+    'client-error': {
+      status: 400,
+      body: { success: false, message: 'The submission was rejected. Please check your details and try again.' },
+    },
+    'validation-error': {
+      status: 422,
+      body: {
+        success: false,
+        message: 'Some fields need your attention',
+        errors: { email: 'This email address is already registered' },
+      },
+    },
+    'server-error': {
+      status: 500,
+      body: { success: false, message: 'Internal server error' },
+    },
+    timeout: null,
+  });
+
+  /**
+   * Create a local mock adapter for exercising success and failure paths
+   * @param {Object} options - Mock options
+   * @param {string} [options.scenario] - Scenario name (see MOCK_SCENARIOS)
+   * @param {number} [options.delay] - Simulated latency in milliseconds
+   * @returns {Object} Adapter
+   */
+  function createMockAdapter(options = {}) {
+    return Object.freeze({
+      name: 'mock',
+
+      /**
+       * Send request
+       * @param {Object} request - Prepared request
+       * @param {Object} context - Request context
+       * @returns {Promise<Response>} Simulated response
+       */
+      send(request, context = {}) {
+        const scenarioName = options.scenario ||
+          context.form?.getAttribute(ATTRIBUTES.MOCK_SCENARIO) ||
+          'success';
+        const delay = options.delay ?? CONFIG.MOCK_DELAY;
+
+        if (!(scenarioName in MOCK_SCENARIOS)) {
+          log('warn', 'Unknown mock scenario - falling back to success', { scenario: scenarioName });
+        }
+
+        const scenario = scenarioName in MOCK_SCENARIOS ? MOCK_SCENARIOS[scenarioName] : MOCK_SCENARIOS.success;
+        const progressTimers = [];
+
+        log('info', 'Mock request received', {
+          scenario: scenarioName,
+          method: request.method,
+          url: request.url,
+        });
+
+        return new Promise((resolve, reject) => {
+          let timer = null;
+
+          const onAbort = () => {
+            clearTimeout(timer);
+            progressTimers.forEach(clearTimeout);
+            reject(createAbortError());
+          };
+
+          if (request.signal) {
+            if (request.signal.aborted) {
+              onAbort();
+              return;
+            }
+            request.signal.addEventListener('abort', onAbort, { once: true });
+          }
+
+          // Simulate an upload spread over the first half of the latency
+          if (context.onUploadProgress && request.body instanceof FormData) {
+            for (let step = 1; step <= 10; step++) {
+              progressTimers.push(setTimeout(() => {
+                context.onUploadProgress({ loaded: step, total: 10, percent: step * 10 });
+              }, (delay / 20) * step));
+            }
+          }
+
+          // The timeout scenario never answers; only the abort signal settles it
+          if (!scenario) {
+            return;
+          }
+
+          timer = setTimeout(() => {
+            request.signal?.removeEventListener('abort', onAbort);
+            resolve(new Response(JSON.stringify(scenario.body), {
+              status: scenario.status,
+              headers: { 'Content-Type': 'application/json' },
+            }));
+          }, delay);
+        });
+      },
+    });
+  }
+
+  const adapters = new Map([
+    ['fetch', fetchAdapter],
+    ['xhr', xhrAdapter],
+    ['mock', createMockAdapter()],
+  ]);
+
+  let activeAdapter = CONFIG.DEFAULT_ADAPTER;
+
+  /**
+   * Register a named adapter
+   * @param {string} name - Adapter name
+   * @param {Object} adapter - Adapter exposing send(request, context)
+   */
+  function registerAdapter(name, adapter) {
+    if (!adapter || typeof adapter.send !== 'function') {
+      throw new TypeError(`Adapter "${name}" must implement send()`);
+    }
+    adapters.set(name, adapter);
+    log('info', 'Transport adapter registered', { name });
+  }
+
+  /**
+   * Set the adapter used when a form does not choose one
+   * @param {string|Object} nameOrAdapter - Registered adapter name or adapter object
+   */
+  function useAdapter(nameOrAdapter) {
+    if (typeof nameOrAdapter === 'string') {
+      if (!adapters.has(nameOrAdapter)) {
+        throw new Error(`Unknown transport adapter "${nameOrAdapter}"`);
+      }
+      activeAdapter = nameOrAdapter;
+    } else {
+      registerAdapter('custom', nameOrAdapter);
+      activeAdapter = 'custom';
+    }
+
+    log('info', 'Default transport adapter changed', { adapter: activeAdapter });
+  }
+
+  /**
+   * Resolve the adapter for a submission
+   * @param {HTMLFormElement} form - Form element
+   * @param {Object} options - Submit options
+   * @returns {Object} Adapter
+   */
+  function resolveAdapter(form, options) {
+    if (options.adapter && typeof options.adapter === 'object') {
+      return options.adapter;
+    }
+
+    let name = options.adapter || form?.getAttribute(ATTRIBUTES.ADAPTER) || activeAdapter;
+
+    // fetch cannot observe upload progress
+    if (name === 'fetch' && options.onUploadProgress) {
+      name = 'xhr';
+    }
+
+    const adapter = adapters.get(name);
+
+    if (!adapter) {
+      log('warn', 'Unknown transport adapter - using default', { adapter: name });
+      return adapters.get(CONFIG.DEFAULT_ADAPTER);
+    }
+
+    return adapter;
+  }
+
+  // ============================================
+  // Request Building
+  // ============================================
+
+  /**
+   * Whether a payload carries files
+   * @param {Object} data - Payload
+   * @returns {boolean} True if any value is a Blob or a list containing one
+   */
+  function hasFiles(data) {
+    return Boolean(data) && Object.values(data).some(value => (
+      value instanceof Blob || (Array.isArray(value) && value.some(item => item instanceof Blob))
+    ));
+  }
+
+  /**
+   * Serialise data as multipart/form-data
+   * @param {Object} data - Payload
+   * @returns {FormData} Encoded body
+   */
+  function encodeMultipart(data) {
+    const formData = new FormData();
+
+    Object.entries(data).forEach(([key, value]) => {
+      [].concat(value).forEach(item => {
+        if (item instanceof Blob) {
+          formData.append(key, item, item.name);
+        } else if (item !== undefined && item !== null) {
+          formData.append(key, item);
+        }
+      });
+    });
+
+    return formData;
+  }
+
+  /**
+   * Serialise data as application/x-www-form-urlencoded
+   * @param {Object} data - Payload
+   * @returns {string} Encoded body
+   */
+  function encodeUrlencoded(data) {
+    const params = new URLSearchParams();
+
+    Object.entries(data).forEach(([key, value]) => {
+      if (Array.isArray(value)) {
+        value.forEach(item => params.append(key, item));
+      } else if (value !== undefined && value !== null) {
+        params.append(key, value);
+      }
+    });
+
+    return params.toString();
+  }
+
+  /**
+   * Build request from form attributes and options
+   * @param {HTMLFormElement} form - Form element
+   * @param {Object} data - Payload
+   * @param {Object} options - Submit options
+   * @returns {Object} Request with url, method, headers and body
+   */
+  function buildRequest(form, data, options) {
+    // getAttribute avoids inputs named "action"/"method" shadowing the properties
+    const method = (options.method || form?.getAttribute('method') || CONFIG.DEFAULT_METHOD).toUpperCase();
+    const action = options.url || form?.getAttribute('action') || window.location.href;
+    const url = new URL(action, document.baseURI);
+    const requestedEncoding = options.encoding || form?.getAttribute(ATTRIBUTES.ENCODING) || CONFIG.DEFAULT_ENCODING;
+
+    // Files cannot travel as JSON or urlencoded
+    const encoding = hasFiles(data) ? ENCODINGS.MULTIPART : requestedEncoding;
+
+    const headers = {
+      Accept: 'application/json',
+      ...options.headers,
+    };
+
+    // Lets the server discard replays of a submission it has already accepted
+    if (options.idempotencyKey) {
+      headers['Idempotency-Key'] = options.idempotencyKey;
+    }
+
+    let body;
+
+    if (method === 'GET' || method === 'HEAD') {
+      const query = encodeUrlencoded(data);
+      if (query) {
+        url.search = url.search ? `${url.search}&${query}` : query;
+      }
+    } else if (encoding === ENCODINGS.MULTIPART) {
+      // The browser sets the multipart boundary itself
+      body = encodeMultipart(data);
+    } else if (encoding === ENCODINGS.URLENCODED) {
+      headers['Content-Type'] = 'application/x-www-form-urlencoded;charset=UTF-8';
+      body = encodeUrlencoded(data);
+    } else {
+      if (encoding !== ENCODINGS.JSON) {
+        log('warn', 'Unknown encoding - falling back to JSON', { encoding });
+      }
+      headers['Content-Type'] = 'application/json';
+      body = JSON.stringify(data);
+    }
+
+    return {
+      url: url.toString(),
+      method,
+      headers,
+      body,
+    };
+  }
+
+  /**
+   * Resolve timeout for a submission
+   * @param {HTMLFormElement} form - Form element
+   * @param {Object} options - Submit options
+   * @returns {number} Timeout in milliseconds
+   */
+  function resolveTimeout(form, options) {
+    const attributeValue = parseInt(form?.getAttribute(ATTRIBUTES.TIMEOUT) || '', 10);
+    const timeout = options.timeout ?? (Number.isFinite(attributeValue) ? attributeValue : CONFIG.DEFAULT_TIMEOUT);
+    return Math.max(0, timeout);
+  }
+
+  // ============================================
+  // Response Handling
+  // ============================================
+
+  /**
+   * Parse response body as JSON when possible, otherwise text
+   * @param {Response} response - Response
+   * @returns {Promise<*>} Parsed body or null
+   */
+  async function parseBody(response) {
+    if (response.status === 204) {
+      return null;
+    }
+
+    const text = await response.text();
+    if (!text) {
+      return null;
+    }
+
+    const contentType = response.headers.get('Content-Type') || '';
+    if (contentType.includes('json')) {
+      try {
+        return JSON.parse(text);
+      } catch (error) {
+        log('warn', 'Response declared JSON but could not be parsed', {
+          status: response.status,
+          error: error.message,
+        });
+      }
+    }
+
+    return text;
+  }
+
+  /**
+   * Normalise per-field errors from a response body
+   * Accepts `{ errors: { field: 'message' } }`, `{ errors: { field: ['message', ...] } }`
+   * and `{ errors: [{ field, message }] }`
+   * @param {*} body - Parsed body
+   * @returns {Object<string, string>|null} Messages keyed by field name, or null
+   */
+  function parseFieldErrors(body) {
+    const errors = body && typeof body === 'object' ? body.errors : null;
+    if (!errors || typeof errors !== 'object') {
+      return null;
+    }
+
+    const entries = Array.isArray(errors)
+      ? errors.map(item => [item?.field || item?.name, item?.message])
+      : Object.entries(errors);
+
+    const fieldErrors = {};
+    entries.forEach(([field, message]) => {
+      const text = Array.isArray(message) ? message[0] : message;
+      if (field && typeof text === 'string' && text) {
+        fieldErrors[field] = text;
+      }
+    });
+
+    return Object.keys(fieldErrors).length > 0 ? fieldErrors : null;
+  }
+
+  /**
+   * Convert a non-2xx response into a TransportError
+   * @param {Response} response - Response
+   * @param {*} body - Parsed body
+   * @returns {TransportError} Error
+   */
+  function createHttpError(response, body) {
+    const type = response.status >= 500 ? ERROR_TYPES.SERVER : ERROR_TYPES.CLIENT;
+
+    // Only client errors surface the server's wording; 5xx bodies are not meant for users
+    const serverMessage = type === ERROR_TYPES.CLIENT && body && typeof body === 'object' ? body.message : null;
+
+    return new TransportError(serverMessage || t(ERROR_MESSAGES[type]), {
+      type,
+      status: response.status,
+      body,
+      fieldErrors: type === ERROR_TYPES.CLIENT ? parseFieldErrors(body) : null,
+    });
+  }
+
+  // ============================================
+  // Submission
+  // ============================================
+
+  /**
+   * Submit a payload for a form
+   * @param {HTMLFormElement|null} form - Form whose action/method/data attributes apply
+   * @param {Object} data - Payload
+   * @param {Object} options - Overrides
+   * @param {string} [options.url] - Override target URL
+   * @param {string} [options.method] - Override HTTP method
+   * @param {string} [options.encoding] - 'json' or 'urlencoded'
+   * @param {number} [options.timeout] - Timeout in milliseconds
+   * @param {Object} [options.headers] - Extra request headers
+   * @param {string} [options.idempotencyKey] - Sent as the Idempotency-Key header
+   * @param {AbortSignal} [options.signal] - External cancellation signal
+   * @param {Function} [options.onUploadProgress] - Receives { loaded, total, percent } while uploading
+   * @param {string|Object} [options.adapter] - Adapter name or object
+   * @returns {Promise<Object>} Submission result
+   * @throws {TransportError} On timeout, network failure, cancellation or non-2xx status
+   */
+  async function submit(form, data, options = {}) {
+    const request = buildRequest(form, data, options);
+    const adapter = resolveAdapter(form, options);
+    const timeout = resolveTimeout(form, options);
+    const controller = new AbortController();
+    const startTime = Date.now();
+
+    let timedOut = false;
+    const onTimeout = () => {
+      timedOut = true;
+      controller.abort();
+    };
+    let timer = setTimeout(onTimeout, timeout);
+
+    // While an upload makes progress the timeout measures inactivity, not total time
+    const onUploadProgress = options.onUploadProgress && (progress => {
+      clearTimeout(timer);
+      timer = setTimeout(onTimeout, timeout);
+      options.onUploadProgress(progress);
+    });
+
+    const onExternalAbort = () => controller.abort();
+    if (options.signal) {
+      if (options.signal.aborted) {
+        controller.abort();
+      } else {
+        options.signal.addEventListener('abort', onExternalAbort, { once: true });
+      }
+    }
+
+    log('info', 'Submission request started', {
+      adapter: adapter.name || 'custom',
+      method: request.method,
+      url: request.url,
+      timeout,
+    });
+
+    try {
+      const response = await adapter.send({ ...request, signal: controller.signal }, { form, onUploadProgress });
+      const body = await parseBody(response);
+
+      if (!response.ok) {
+        throw createHttpError(response, body);
+      }
+
+      log('info', 'Submission request succeeded', {
+        status: response.status,
+        duration: Date.now() - startTime,
+      });
+
+      return {
+        success: true,
+        status: response.status,
+        data: body,
+        message: body && typeof body === 'object' ? body.message : undefined,
+        timestamp: new Date().toISOString(),
+      };
+    } catch (error) {
+      let transportError = error;
+
+      if (!(error instanceof TransportError)) {
+        if (timedOut) {
+          transportError = new TransportError(t(ERROR_MESSAGES[ERROR_TYPES.TIMEOUT]), { type: ERROR_TYPES.TIMEOUT });
+        } else if (error.name === 'AbortError') {
+          transportError = new TransportError(t(ERROR_MESSAGES[ERROR_TYPES.ABORTED]), { type: ERROR_TYPES.ABORTED });
+        } else {
+          transportError = new TransportError(t(ERROR_MESSAGES[ERROR_TYPES.NETWORK]), { type: ERROR_TYPES.NETWORK });
+        }
+      }
+
+      log(transportError.type === ERROR_TYPES.ABORTED ? 'info' : 'error', 'Submission request failed', {
+        type: transportError.type,
+        status: transportError.status,
+        duration: Date.now() - startTime,
+        cause: error.message,
+      });
+
+      throw transportError;
+    } finally {
+      clearTimeout(timer);
+      options.signal?.removeEventListener('abort', onExternalAbort);
+    }
+  }
+
+  // ============================================
+  // Public API
+  // ============================================
+
+  window.ProgrammingSchool = window.ProgrammingSchool || {};
+  window.ProgrammingSchool.transport = Object.freeze({
+    version: '1.0.0',
+    config: CONFIG,
+    ERROR_TYPES,
+    TransportError,
+    submit,
+    hasFiles,
+    registerAdapter,
+    useAdapter,
+    createMockAdapter,
+  });
+
+})();
\ No newline at end of file
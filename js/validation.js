@@ -0,0 +1,538 @@
+/**
+ * Validation Engine - Declarative field validation
+ * Reads rules from markup (required, minlength, maxlength, pattern,
+ * data-validate presets, data-validate-equals and custom messages), runs
+ * registered custom validators including async ones, and reports structured
+ * results. Rendering of errors is left to the caller (see js/main.js).
+ *
+ * @modifies: index.html
+ * @dependencies: []
+ */
+
+(function() {
+  'use strict';
+
+  // ============================================
+  // Configuration and Constants
+  // ============================================
+
+  const ATTRIBUTES = Object.freeze({
+    VALIDATE: 'data-validate',
+    MESSAGE: 'data-validate-message',
+    EQUALS: 'data-validate-equals',
+    LABEL: 'data-validate-label',
+  });
+
+  const RULES = Object.freeze({
+    REQUIRED: 'required',
+    MIN_LENGTH: 'minLength',
+    MAX_LENGTH: 'maxLength',
+    PATTERN: 'pattern',
+    EQUALS: 'equals',
+  });
+
+  const SELECTORS = Object.freeze({
+    FIELDS: 'input, select, textarea',
+  });
+
+  const IGNORED_TYPES = Object.freeze(['hidden', 'submit', 'button', 'reset', 'image']);
+
+  // Named rule sets referenced by data-validate="<name>"
+  const presets = new Map([
+    ['name', {
+      minLength: 2,
+      // Letters and combining marks in any script, so "José Núñez" and Arabic names pass
+      pattern: /^[\p{L}\p{M}\s'’-]+$/u,
+      messageKey: 'validation.name',
+    }],
+    ['email', {
+      pattern: /^[^\s@]+@[^\s@]+\.[^\s@]+$/,
+      messageKey: 'validation.email',
+    }],
+    ['phone', {
+      pattern: /^[\d\s()+-]+$/,
+      messageKey: 'validation.phone',
+    }],
+    ['message', {
+      minLength: 10,
+      maxLength: 2000,
+      messageKey: 'validation.message',
+    }],
+  ]);
+
+  // Custom validators referenced by data-validate="<name>"
+  const validators = new Map();
+
+  // Pending async validation per field, aborted when a newer run starts
+  const pendingRuns = new WeakMap();
+
+  // Most recent run per field, which answers for the runs it superseded
+  const latestRuns = new WeakMap();
+
+  // ============================================
+  // Utility Functions
+  // ============================================
+
+  /**
+   * Log structured message to console
+   * @param {string} level - Log level (info, warn, error)
+   * @param {string} message - Log message
+   * @param {Object} context - Additional context
+   */
+  function log(level, message, context = {}) {
+    const timestamp = new Date().toISOString();
+    const logData = {
+      timestamp,
+      level,
+      message,
+      module: 'validation',
+      ...context,
+    };
+
+    if (level === 'error') {
+      console.error('[Programming School - Validation]', logData);
+    } else if (level === 'warn') {
+      console.warn('[Programming School - Validation]', logData);
+    } else {
+      console.log('[Programming School - Validation]', logData);
+    }
+  }
+
+  /**
+   * Translate a message through the shared catalogs (js/i18n.js)
+   * @param {string} key - Message key
+   * @param {Object} [params] - Interpolation values
+   * @returns {string} Translated message, or the key if i18n is unavailable
+   */
+  function t(key, params) {
+    const i18n = window.ProgrammingSchool?.i18n;
+    return i18n ? i18n.t(key, params) : key;
+  }
+
+  /**
+   * Human-readable label for a field
+   * @param {HTMLElement} field - Form field
+   * @returns {string} Label text without required markers
+   */
+  function getFieldLabel(field) {
+    const explicit = field.getAttribute(ATTRIBUTES.LABEL);
+    if (explicit) {
+      return explicit;
+    }
+
+    const label = field.labels?.[0];
+    if (!label) {
+      return field.name || t('validation.thisField');
+    }
+
+    // Only the label's own text, skipping the "*" marker span
+    const text = Array.from(label.childNodes)
+      .filter(node => node.nodeType === Node.TEXT_NODE)
+      .map(node => node.textContent)
+      .join(' ')
+      .replace(/\s+/g, ' ')
+      .trim();
+
+    return text || field.name || t('validation.thisField');
+  }
+
+  /**
+   * Current value of a field, trimmed
+   * @param {HTMLElement} field - Form field
+   * @returns {string} Value
+   */
+  function getFieldValue(field) {
+    if (field.type === 'checkbox' || field.type === 'radio') {
+      const group = field.form?.elements.namedItem(field.name);
+      const inputs = group && !(group instanceof Element) ? Array.from(group) : [field];
+      const checked = inputs.find(input => input.checked);
+      return checked ? checked.value : '';
+    }
+    return (field.value || '').trim();
+  }
+
+  /**
+   * Compile an HTML pattern attribute into an anchored RegExp
+   * @param {string} source - Pattern source
+   * @returns {RegExp|null} Compiled pattern, or null if invalid
+   */
+  function compilePattern(source) {
+    try {
+      return new RegExp(`^(?:${source})$`, 'u');
+    } catch (error) {
+      log('warn', 'Invalid pattern attribute ignored', { pattern: source, error: error.message });
+      return null;
+    }
+  }
+
+  // ============================================
+  // Rule Resolution
+  // ============================================
+
+  /**
+   * Build the rule set for a field from presets and attributes
+   * Attributes take precedence over preset values.
+   * @param {HTMLElement} field - Form field
+   * @returns {Object} Rules
+   */
+  function getRules(field) {
+    const rules = { validators: [] };
+    const names = (field.getAttribute(ATTRIBUTES.VALIDATE) || '').split(/\s+/).filter(Boolean);
+
+    names.forEach(name => {
+      if (presets.has(name)) {
+        Object.assign(rules, presets.get(name));
+      } else if (validators.has(name)) {
+        rules.validators.push(name);
+      } else {
+        log('warn', 'Unknown validation rule referenced', { rule: name, field: field.name });
+      }
+    });
+
+    if (field.required || field.hasAttribute('required')) {
+      rules.required = true;
+    }
+
+    const minLength = parseInt(field.getAttribute('minlength') || '', 10);
+    if (Number.isFinite(minLength)) {
+      rules.minLength = minLength;
+    }
+
+    const maxLength = parseInt(field.getAttribute('maxlength') || '', 10);
+    if (Number.isFinite(maxLength)) {
+      rules.maxLength = maxLength;
+    }
+
+    const pattern = field.getAttribute('pattern');
+    if (pattern) {
+      rules.pattern = compilePattern(pattern) || rules.pattern;
+    }
+
+    const equals = field.getAttribute(ATTRIBUTES.EQUALS);
+    if (equals) {
+      rules.equals = equals;
+    }
+
+    const message = field.getAttribute(ATTRIBUTES.MESSAGE);
+    if (message) {
+      rules.message = message;
+    }
+
+    return rules;
+  }
+
+  /**
+   * Whether a field has anything to validate
+   * @param {HTMLElement} field - Form field
+   * @returns {boolean} True if the field has rules
+   */
+  function hasRules(field) {
+    const rules = getRules(field);
+    return Boolean(
+      rules.required || rules.minLength || rules.maxLength || rules.pattern ||
+      rules.equals || rules.validators.length > 0
+    );
+  }
+
+  /**
+   * Message for a failed rule, honouring data-validate-<rule>-message overrides
+   * @param {HTMLElement} field - Form field
+   * @param {string} rule - Rule name
+   * @param {string} fallback - Default message
+   * @returns {string} Message
+   */
+  function getMessage(field, rule, fallback) {
+    const attribute = `data-validate-${rule.replace(/[A-Z]/g, char => `-${char.toLowerCase()}`)}-message`;
+    return field.getAttribute(attribute) || fallback;
+  }
+
+  /**
+   * Custom message of a rule set or validator
+   * A literal message (e.g. from data-validate-message) wins over a catalog key.
+   * @param {Object} source - Object with message and/or messageKey
+   * @returns {string|null} Message
+   */
+  function resolveMessage(source) {
+    if (source.message) {
+      return source.message;
+    }
+    return source.messageKey ? t(source.messageKey) : null;
+  }
+
+  /**
+   * Resolve the field referenced by an equals rule
+   * @param {HTMLElement} field - Form field
+   * @param {string} reference - Field name or CSS selector
+   * @returns {HTMLElement|null} Referenced field
+   */
+  function resolveReference(field, reference) {
+    const form = field.form;
+    const named = form?.elements.namedItem(reference);
+    if (named instanceof Element) {
+      return named;
+    }
+
+    try {
+      return (form || document).querySelector(reference);
+    } catch (error) {
+      return null;
+    }
+  }
+
+  // ============================================
+  // Validation
+  // ============================================
+
+  /**
+   * Build a result object
+   * @param {HTMLElement} field - Form field
+   * @param {string|null} rule - Failed rule, or null when valid
+   * @param {string|null} message - Error message
+   * @returns {Object} Result
+   */
+  function createResult(field, rule = null, message = null) {
+    return {
+      field,
+      name: field.name,
+      valid: rule === null,
+      rule,
+      message,
+      stale: false,
+    };
+  }
+
+  /**
+   * Run the built-in synchronous rules
+   * @param {HTMLElement} field - Form field
+   * @param {string} value - Field value
+   * @param {Object} rules - Rules
+   * @returns {Object|null} Failing result, or null if all pass
+   */
+  function runBuiltInRules(field, value, rules) {
+    const label = getFieldLabel(field);
+
+    if (rules.required && !value) {
+      return createResult(field, RULES.REQUIRED, getMessage(field, RULES.REQUIRED, t('validation.required', { label })));
+    }
+
+    // Skip other validations if field is empty and not required
+    if (!value) {
+      return null;
+    }
+
+    if (rules.minLength && value.length < rules.minLength) {
+      return createResult(field, RULES.MIN_LENGTH,
+        getMessage(field, RULES.MIN_LENGTH, t('validation.minLength', { count: rules.minLength })));
+    }
+
+    if (rules.maxLength && value.length > rules.maxLength) {
+      return createResult(field, RULES.MAX_LENGTH,
+        getMessage(field, RULES.MAX_LENGTH, t('validation.maxLength', { count: rules.maxLength })));
+    }
+
+    if (rules.pattern && !rules.pattern.test(value)) {
+      return createResult(field, RULES.PATTERN,
+        getMessage(field, RULES.PATTERN, resolveMessage(rules) || t('validation.pattern')));
+    }
+
+    if (rules.equals) {
+      const other = resolveReference(field, rules.equals);
+      if (!other) {
+        log('warn', 'Cross-field rule references missing field', { field: field.name, equals: rules.equals });
+      } else if (getFieldValue(other) !== value) {
+        return createResult(field, RULES.EQUALS,
+          getMessage(field, RULES.EQUALS, t('validation.equals', { label: getFieldLabel(other) })));
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Validate a single field
+   * Custom validators only run once the built-in rules pass. Starting a new
+   * run for a field aborts the previous one, which then resolves with the
+   * newer run's outcome marked stale, so an aborted run never passes a field
+   * that has not been checked.
+   * @param {HTMLElement} field - Form field
+   * @returns {Promise<Object>} Result with name, valid, rule, message and stale
+   */
+  function validateField(field) {
+    pendingRuns.get(field)?.abort();
+
+    const run = runValidation(field);
+    latestRuns.set(field, run);
+    return run;
+  }
+
+  /**
+   * Outcome of the run that superseded an aborted one
+   * @param {HTMLElement} field - Form field
+   * @returns {Promise<Object>} Newer result, marked stale
+   */
+  async function getSupersedingResult(field) {
+    const result = await latestRuns.get(field);
+    return { ...result, stale: true };
+  }
+
+  /**
+   * Run the rules and custom validators for a field
+   * @param {HTMLElement} field - Form field
+   * @returns {Promise<Object>} Result
+   */
+  async function runValidation(field) {
+    const rules = getRules(field);
+    const value = getFieldValue(field);
+
+    const failure = runBuiltInRules(field, value, rules);
+    if (failure) {
+      pendingRuns.delete(field);
+      return failure;
+    }
+
+    // Optional empty fields skip custom validators
+    if (!value || rules.validators.length === 0) {
+      pendingRuns.delete(field);
+      return createResult(field);
+    }
+
+    const controller = new AbortController();
+    pendingRuns.set(field, controller);
+
+    try {
+      for (const name of rules.validators) {
+        const validator = validators.get(name);
+        const outcome = await validator.validate(value, field, {
+          signal: controller.signal,
+          rules,
+          label: getFieldLabel(field),
+        });
+
+        if (controller.signal.aborted) {
+          return getSupersedingResult(field);
+        }
+
+        if (outcome !== true && outcome !== undefined) {
+          const message = typeof outcome === 'string'
+            ? outcome
+            : getMessage(field, name, resolveMessage(rules) || resolveMessage(validator) || t('validation.invalid'));
+          return createResult(field, name, message);
+        }
+      }
+
+      return createResult(field);
+    } catch (error) {
+      if (controller.signal.aborted) {
+        return getSupersedingResult(field);
+      }
+
+      // A broken validator must not block the submission
+      log('error', 'Custom validator failed', {
+        field: field.name,
+        error: error.message,
+        stack: error.stack,
+      });
+      return createResult(field);
+    } finally {
+      if (pendingRuns.get(field) === controller) {
+        pendingRuns.delete(field);
+      }
+    }
+  }
+
+  /**
+   * Fields of a form that carry validation rules
+   * @param {HTMLFormElement} form - Form element
+   * @returns {HTMLElement[]} Fields
+   */
+  function getValidatableFields(form) {
+    const seenGroups = new Set();
+
+    return Array.from(form.querySelectorAll(SELECTORS.FIELDS)).filter(field => {
+      if (field.disabled || !field.name || IGNORED_TYPES.includes(field.type)) {
+        return false;
+      }
+
+      // Validate radio and checkbox groups once
+      if (field.type === 'radio' || field.type === 'checkbox') {
+        if (seenGroups.has(field.name)) {
+          return false;
+        }
+        seenGroups.add(field.name);
+      }
+
+      return hasRules(field);
+    });
+  }
+
+  /**
+   * Validate every rule-bearing field of a form
+   * @param {HTMLFormElement} form - Form element
+   * @returns {Promise<Object>} { valid, results, errors }
+   */
+  async function validateForm(form) {
+    const results = await Promise.all(getValidatableFields(form).map(validateField));
+    const errors = results.filter(result => !result.valid);
+
+    return {
+      valid: errors.length === 0,
+      results,
+      errors,
+    };
+  }
+
+  // ============================================
+  // Registration
+  // ============================================
+
+  /**
+   * Register a custom validator usable via data-validate="<name>"
+   * @param {string} name - Validator name
+   * @param {Function} validate - (value, field, { signal, rules, label }) returning
+   *   true when valid, false or a message string when invalid; may return a Promise
+   * @param {Object} options - Validator options
+   * @param {string} [options.message] - Default message when validate returns false
+   * @param {string} [options.messageKey] - Catalog key of the default message, translated on use
+   */
+  function registerValidator(name, validate, options = {}) {
+    if (typeof validate !== 'function') {
+      throw new TypeError(`Validator "${name}" must be a function`);
+    }
+
+    validators.set(name, {
+      validate,
+      message: options.message || null,
+      messageKey: options.messageKey || null,
+    });
+
+    log('info', 'Validator registered', { name });
+  }
+
+  /**
+   * Register or replace a named rule preset usable via data-validate="<name>"
+   * @param {string} name - Preset name
+   * @param {Object} rules - Rules (minLength, maxLength, pattern, message or messageKey, ...)
+   */
+  function registerPreset(name, rules) {
+    presets.set(name, { ...rules });
+    log('info', 'Validation preset registered', { name });
+  }
+
+  // ============================================
+  // Public API
+  // ============================================
+
+  window.ProgrammingSchool = window.ProgrammingSchool || {};
+  window.ProgrammingSchool.validation = Object.freeze({
+    version: '1.0.0',
+    RULES,
+    getRules,
+    getFieldLabel,
+    getValidatableFields,
+    validateField,
+    validateForm,
+    registerValidator,
+    registerPreset,
+  });
+
+})();
\ No newline at end of file